@@ -2,8 +2,15 @@
 
 const { Telegraf, Markup } = require("telegraf");
 const simulationModule = require("./src/sim/simulation");
+const monteCarloModule = require("./src/sim/montecarlo");
+const backtestModule = require("./src/sim/backtest");
+const portfolioModule = require("./src/sim/portfolio");
+const gridModule = require("./src/sim/grid");
+const metricsModule = require("./src/sim/metrics");
 const parsingModule = require("./src/parsing/commands");
 const formattingModule = require("./src/ui/formatting");
+const MONTHLY_RETURNS = require("./src/data/monthly-returns.json");
+const FX_RATES = require("./src/data/fx-rates.json");
 
 // Export core functions for testing (when required as module)
 const isTestMode = process.env.NODE_ENV === "test";
@@ -24,55 +31,102 @@ const PRESETS = {
   pain: { weeklyAmount: 100, years: 10, annualReturnPct: 7, annualFeePct: 0, shockPct: -50, shockYear: 2 }
 };
 
-// ETF presets with historical average returns (based on long-term data)
+// ETF presets with historical average returns (based on long-term data).
+// annualReturnPct is total return; dividendYieldPct is the part of it paid as dividends.
+// volatilityPct (yearly) and crashesPerDecade (drops of about typicalShock) drive the /goal odds paths.
+// Leveraged presets describe their index (return, volatility, shock) and reset to `leverage` times it daily.
 const ETF_PRESETS = {
   voo: {
     name: "VOO",
     fullName: "S&P 500 ETF (Vanguard)",
     annualReturnPct: 10.5,
+    dividendYieldPct: 1.3,
     annualFeePct: 0.03,
     description: "Top 500 US companies (Apple, Microsoft, Amazon...). Most popular for passive investing.",
-    typicalShock: -35  // 2008 crisis, 2020 COVID
+    typicalShock: -35,  // 2008 crisis, 2020 COVID
+    volatilityPct: 16,
+    crashesPerDecade: 1
   },
   qqq: {
     name: "QQQ",
     fullName: "Nasdaq 100 ETF",
     annualReturnPct: 14,
+    dividendYieldPct: 0.6,
     annualFeePct: 0.2,
     description: "Top 100 tech companies. Higher returns but more volatile (dot-com crash was -80%).",
-    typicalShock: -50  // 2000 dot-com, 2022 tech crash
+    typicalShock: -50,  // 2000 dot-com, 2022 tech crash
+    volatilityPct: 22,
+    crashesPerDecade: 1.2
   },
   vti: {
     name: "VTI",
     fullName: "Total US Stock Market",
     annualReturnPct: 10,
+    dividendYieldPct: 1.3,
     annualFeePct: 0.03,
     description: "All ~4000 US stocks (large + mid + small cap). Maximum diversification.",
-    typicalShock: -35
+    typicalShock: -35,
+    volatilityPct: 17,
+    crashesPerDecade: 1
   },
   vxus: {
     name: "VXUS",
     fullName: "International Stocks",
     annualReturnPct: 5,
+    dividendYieldPct: 3,
     annualFeePct: 0.08,
     description: "Stocks outside USA (Europe, Asia, emerging markets). Diversifies away from US.",
-    typicalShock: -40
+    typicalShock: -40,
+    volatilityPct: 17,
+    crashesPerDecade: 1
   },
   bnd: {
     name: "BND",
     fullName: "US Bond Fund",
     annualReturnPct: 4,
+    dividendYieldPct: 3.5,
     annualFeePct: 0.03,
     description: "US government & corporate bonds. Low risk, low return. Good for stability.",
-    typicalShock: -10
+    typicalShock: -10,
+    volatilityPct: 5,
+    crashesPerDecade: 0.3
   },
   btc: {
     name: "BTC",
     fullName: "Bitcoin",
     annualReturnPct: 20,
+    dividendYieldPct: 0,
     annualFeePct: 0,
     description: "Cryptocurrency. Still volatile but maturing as an asset. Higher risk than stocks.",
-    typicalShock: -50
+    typicalShock: -50,
+    volatilityPct: 70,
+    crashesPerDecade: 2.5
+  },
+  upro: {
+    name: "UPRO",
+    fullName: "3× S&P 500 (ProShares)",
+    annualReturnPct: 10.5,
+    dividendYieldPct: 0,
+    annualFeePct: 0.91,
+    description: "Three times the S&P 500's daily move. Volatility decay eats into long holds, and a -33% day wipes it out.",
+    typicalShock: -35,
+    shockWeeks: 13,       // leveraged presets slide into their crash over a quarter, not in one day
+    volatilityPct: 16,
+    crashesPerDecade: 1,
+    leverage: 3
+  },
+  tqqq: {
+    name: "TQQQ",
+    fullName: "3× Nasdaq 100 (ProShares)",
+    annualReturnPct: 14,
+    dividendYieldPct: 0,
+    annualFeePct: 0.84,
+    description: "Three times the Nasdaq 100's daily move. Fell about 80% in 2022; a dot-com style crash would wipe it out.",
+    typicalShock: -50,
+    shockWeeks: 13,
+    volatilityPct: 22,
+    crashesPerDecade: 1.2,
+    leverage: 3
   }
 };
 
@@ -89,11 +143,49 @@ const DEFAULTS = {
   years: 10,
   annualReturnPct: 7,
   annualFeePct: 0,
+  initialAmount: 0,     // starting balance invested on day one
+  contributionWeeks: null, // stop contributing after this many weeks (null = whole horizon)
+  dividendYieldPct: 0,  // part of annualReturnPct paid out as dividends
+  dividendMode: "reinvest", // "reinvest" or "payout" (dividends leave the portfolio as income)
+  dividendTaxPct: 0,    // tax on dividends as they are paid
+  capitalGainsTaxPct: 0, // tax on gains above cost basis, charged on a final sale
+  taxExemption: 0,      // gains exempt from capital-gains tax
+  strategy: "dca",      // "dca" (fixed amount) or "va" (value averaging)
+  vaMaxBuyMultiple: null, // VA: cap a buy at this multiple of the base contribution (null = no cap)
+  vaMaxSellMultiple: null, // VA: cap a sale at this multiple (0 = never sell, null = no cap)
+  dipDrawdownPct: null, // multiply contributions while the drawdown is at or below this (null = off)
+  dipMultiplier: 2,     // contribution multiple while the dip rule is active
+  dipReserve: 0,        // one-off cash reserve deployed on the first dip to dipReserveDrawdownPct
+  dipReserveDrawdownPct: -30,
+  pauseYears: 0,        // contribution gap length in years (0 = none)
+  pauseStartYear: 3,    // gap starts in this year...
+  pauseAtShock: false,  // ...or when the first shock hits
+  pauseWithdrawal: 0,   // sold each period of the gap to cover living costs
+  tradeFixedFee: 0,     // flat commission per trade
+  tradeFeePct: 0,       // commission as % of each trade...
+  tradeMinFee: 0,       // ...but never less than this
+  spreadBps: 0,         // bid/ask spread paid on each trade, in basis points
+  contributionIncreasePct: 0,       // yearly raise of the contribution in %
+  contributionIncreaseMode: "fixed", // "fixed" (uses contributionIncreasePct) or "inflation"
   shockPct: null,
   shockYear: null,
-  frequency: "weekly",  // "weekly" or "monthly"
+  shocks: [],           // full shock schedule [{ pct, year, weeks }]; first entry mirrors shockPct/shockYear
+  recoveryShape: "steady", // post-shock profile: "steady", "v", "u", "l" or "w"
+  recoveryMonths: null, // length of the shape's main phase (null = shape default)
+  frequency: "weekly",  // a FREQUENCIES key: "daily", "weekly", "biweekly", "semimonthly", "monthly", "quarterly", "annual"
+  contributionTiming: "start", // contribute at the "start" or "end" of each period
   inflationPct: 3,      // for real return calculation
-  currency: "usd"       // "usd", "eur", or "chf"
+  riskFreePct: 2,       // cash rate the Sharpe and Sortino ratios measure excess return against
+  currency: "usd",      // home currency: "usd", "eur", or "chf"; amounts are entered in it
+  assetCurrency: "usd", // currency the asset is priced in (all ETF presets are USD)
+  fxDriftPct: 0,        // yearly change of the asset currency against the home currency
+  fxShockPct: null,     // one-off move of the asset currency (null = none)...
+  fxShockYear: null,    // ...in this year
+  leverage: 1,          // daily-reset leverage of the fund (1 = plain index fund)
+  leverageVolPct: 16,   // yearly volatility of the index, which sets the leveraged fund's decay
+  marginLoanPct: 0,     // borrow this % of each buy on top of it (0 = no margin loan)
+  marginRatePct: 7,     // yearly interest on the margin loan, added to what is owed
+  maintenancePct: 25    // equity below this % of the holdings triggers a forced sale
 };
 
 const LIMITS = {
@@ -101,10 +193,65 @@ const LIMITS = {
   years: { min: 0, max: 50 },
   annualReturnPct: { min: -100, max: 200 },
   annualFeePct: { min: 0, max: 5 },
+  initialAmount: { min: 0, max: 1_000_000 },
+  contributionWeeks: { min: 0, max: 2600 },
+  retirementBalance: { min: 0, max: 100_000_000 },
+  dividendYieldPct: { min: 0, max: 20 },
+  taxPct: { min: 0, max: 60 },
+  taxExemption: { min: 0, max: 1_000_000 },
+  vaMultiple: { min: 1, max: 20 },
+  dipDrawdownPct: { min: -95, max: -1 },
+  dipMultiplier: { min: 1, max: 10 },
+  dipReserve: { min: 0, max: 1_000_000 },
+  pauseYears: { min: 0, max: 10 },
+  tradeFee: { min: 0, max: 1000 },
+  tradeFeePct: { min: 0, max: 5 },
+  spreadBps: { min: 0, max: 500 },
+  contributionIncreasePct: { min: 0, max: 50 },
   shockPct: { min: -95, max: 0 },
-  inflationPct: { min: 0, max: 20 }
+  shockWeeks: { min: 0, max: 520 },
+  shockCount: { min: 0, max: 5 },
+  recoveryMonths: { min: 1, max: 120 },
+  inflationPct: { min: 0, max: 20 },
+  riskFreePct: { min: 0, max: 15 },
+  fxDriftPct: { min: -20, max: 20 },
+  fxShockPct: { min: -60, max: 100 },
+  leverage: { min: 1, max: 3 },
+  leverageVolPct: { min: 0, max: 150 },
+  marginLoanPct: { min: 0, max: 100 },
+  marginRatePct: { min: 0, max: 30 },
+  maintenancePct: { min: 5, max: 90 }
+};
+
+const MONTE_CARLO = {
+  defaultRuns: 500,
+  minRuns: 50,
+  maxRuns: 2000,
+  // Bounds runs × periods so a long daily schedule can't block the bot; fewer runs are used instead.
+  maxPeriodSteps: 1_000_000,
+  defaultVolatilityPct: 15,
+  maxVolatilityPct: 150
+};
+
+// /goal odds: seeded random paths, fewer of them on long or frequent schedules to bound the work.
+// Cards that didn't come from an ETF preset use the default risk profile.
+const GOAL_ODDS = {
+  runs: 500,
+  minRuns: 100,
+  maxPeriodSteps: 400_000,
+  seed: 1,
+  confidenceLevels: [75, 90],
+  defaultRisk: { name: "Market", volatilityPct: 15, crashesPerDecade: 1, crashPct: -30 }
 };
 
+// Years per /table page: 50 rows wouldn't fit one Telegram message, 10 stay readable on a phone.
+const YEARLY_TABLE_ROWS = 10;
+
+const RECOVERY_SHAPES = simulationModule.RECOVERY_SHAPES;
+const FREQUENCIES = simulationModule.FREQUENCIES;
+const REBALANCE_POLICIES = portfolioModule.REBALANCE_POLICIES;
+const GRID_AXES = gridModule.GRID_AXES;
+
 const RATE_LIMIT = {
   command: 900,
   button: 350,
@@ -250,36 +397,287 @@ function clampParams(p) {
  * @typedef {object} SimulationResult
  * @property {object} params - The validated parameters used
  * @property {number} contributed - Total amount contributed
+ * @property {number} finalContribution - Per-period contribution in the last period
  * @property {number} finalValue - Final portfolio value
  * @property {number} gains - Total gains (finalValue - contributed)
  * @property {number} maxDrawdownPct - Maximum drawdown percentage
- * @property {number|null} recoveryWeeks - Weeks to recover from shock (null if not recovered)
- * @property {number[]} series - Weekly portfolio values for charting
+ * @property {number|null} recoveryWeeks - Weeks to recover from the first shock (null if not recovered)
+ * @property {{pct:number, year:number, weeks:number, drawdownPct:number, recoveryWeeks:number|null, startPeriod:number, recoveryPeriods:number|null}[]} shocks - Per-shock drawdown and recovery (periods are 1-based, recovery counted from the start period)
+ * @property {number[]} series - Portfolio value at the end of each period, for charting
+ * @property {number[]} drawdownSeries - Percent below the running peak at the end of each period (0 or negative)
+ * @property {{initial:number, periods:number[], payouts:number[], timing:string, periodsPerYear:number}} flows - Starting balance, the net cash put in during each period and the dividends paid out in each (aligned with series), for computeMetrics()
  * @property {object} milestones - Portfolio value at year milestones
  * @property {number} inflationAdjusted - Final value adjusted for inflation
+ * @property {number} costBasis - Contributions plus reinvested after-tax dividends
+ * @property {number} dividendTaxPaid - Tax paid on dividends over the horizon
+ * @property {number} capitalGainsTax - Tax due on gains if everything is sold at the end
+ * @property {number} totalTaxPaid - Dividend plus capital-gains tax
+ * @property {number} afterTaxFinalValue - Final value after capital-gains tax
+ * @property {number[]} dividendSeries - After-tax dividends per period
+ * @property {number} dividendsPaidOut - After-tax dividends taken as cash (payout mode)
+ * @property {number} finalYearDividendIncome - After-tax dividends over the last year
+ * @property {number} contributedReal - Net contributions deflated to day-one prices
+ * @property {string} strategy - "dca" or "va"
+ * @property {number} cashInvested - Every buy including the initial amount
+ * @property {number} cashWithdrawn - Value-averaging sales taken as cash
+ * @property {number} largestContribution - Biggest single buy
+ * @property {number} tradingCosts - Commissions and spread paid over all trades
+ * @property {number} tradingCostsReal - The same costs deflated to day-one prices
+ * @property {number} trades - Number of buys and sales, including the initial amount
+ * @property {number} feesPaid - Annual fund fees taken out over the horizon
+ * @property {{year:number, contributed:number, gain:number, fees:number, endValue:number, drawdownPct:number, realValue:number}[]} yearly - One row per year (and a final part year): contributions to date, the year's gain after fees, its fees and trading costs, end value, drawdown from peak and value in today's money
+ * @property {{startYear:number, years:number, missedContributions:number, withdrawn:number, baselineFinalValue:number, cost:number}|null} pause - Contribution gap vs the same run without it (null when off)
+ * @property {{homeCurrency:string, assetCurrency:string, index:number, baselineFinalValue:number, effect:number}|null} fx - Exchange-rate effect vs a flat rate (null when both currencies match)
+ * @property {{factor:number, volatilityPct:number, decayPctPerYear:number, wipeoutDropPct:number, shockMoves:{pct:number, year:number, leveragedPct:number}[], wipeouts:{year:number, lost:number}[], baselineFinalValue:number, baselineMaxDrawdownPct:number, effect:number}|null} leverage - Leveraged fund vs the plain index (null at 1×)
+ * @property {{loanPct:number, ratePct:number, maintenancePct:number, borrowed:number, owed:number, interest:number, debtRepaid:number, calls:{year:number, sold:number, equityPct:number, wipedOut:boolean}[], worstEquityPct:number, dropToCallPct:number|null, baselineFinalValue:number, baselineMaxDrawdownPct:number, effect:number}|null} margin - Margin loan vs the same plan without it (null when off); values are equity
+ * @property {{extraInvested:number, reserveDeployedYear:number|null, baselineFinalValue:number, finalValueEffect:number, netEffect:number, baselineRecoveryWeeks:number|null}|null} dip - Dip-rule effect vs the same run without rules (null when off)
  */
 
 /**
  * Run a DCA (Dollar Cost Averaging) simulation with optional shock event
  * @param {object} params - Simulation parameters
- * @param {number} params.weeklyAmount - Weekly/monthly contribution amount
+ * @param {number} params.weeklyAmount - Contribution per period of the schedule
  * @param {number} params.years - Investment duration in years
  * @param {number} params.annualReturnPct - Expected annual return percentage
  * @param {number} params.annualFeePct - Annual management fee percentage
+ * @param {number} [params.pauseYears] - Contribution gap length in years (0 = none)
+ * @param {number} [params.pauseStartYear] - Year the gap starts
+ * @param {boolean} [params.pauseAtShock] - Start the gap when the first shock hits instead
+ * @param {number} [params.pauseWithdrawal] - Amount sold each period of the gap
+ * @param {number} [params.tradeFixedFee] - Flat commission per trade
+ * @param {number} [params.tradeFeePct] - Commission as a percentage of each trade
+ * @param {number} [params.tradeMinFee] - Minimum for the percentage commission
+ * @param {number} [params.spreadBps] - Bid/ask spread paid on each trade, in basis points
+ * @param {number} [params.initialAmount] - Starting balance invested on day one
+ * @param {number|null} [params.contributionWeeks] - Stop contributing after this many weeks
+ * @param {number} [params.dividendYieldPct] - Part of the annual return paid as dividends
+ * @param {string} [params.dividendMode] - "reinvest" or "payout"
+ * @param {number} [params.dividendTaxPct] - Tax rate on dividends
+ * @param {number} [params.capitalGainsTaxPct] - Tax rate on gains above cost basis
+ * @param {number} [params.taxExemption] - Gains exempt from capital-gains tax
+ * @param {string} [params.strategy] - "dca" (fixed amount) or "va" (value averaging)
+ * @param {number|null} [params.vaMaxBuyMultiple] - VA: largest buy as a multiple of the contribution
+ * @param {number|null} [params.vaMaxSellMultiple] - VA: largest sale as a multiple (0 = never sell)
+ * @param {number|null} [params.dipDrawdownPct] - Multiply contributions while the drawdown is at or below this
+ * @param {number} [params.dipMultiplier] - Contribution multiple during a dip
+ * @param {number} [params.dipReserve] - One-off cash reserve to deploy in a dip
+ * @param {number} [params.dipReserveDrawdownPct] - Drawdown that triggers the reserve
+ * @param {number} [params.contributionIncreasePct] - Yearly contribution raise in percent
+ * @param {string} [params.contributionIncreaseMode] - "fixed" or "inflation" (raise tracks inflationPct)
  * @param {number|null} params.shockPct - Shock event percentage (negative)
  * @param {number|null} params.shockYear - Year when shock occurs
- * @param {string} params.frequency - "weekly" or "monthly"
+ * @param {{pct:number, year:number, weeks:number}[]} [params.shocks] - Shock schedule; gradual when weeks > 0
+ * @param {string} [params.recoveryShape] - Post-shock recovery: "steady", "v", "u", "l" or "w"
+ * @param {number|null} [params.recoveryMonths] - Length of the recovery shape's main phase in months
+ * @param {string} params.frequency - FREQUENCIES key ("daily", "weekly", "biweekly", "semimonthly", "monthly", "quarterly", "annual")
+ * @param {string} [params.contributionTiming] - "start" or "end" of each period
  * @param {number} params.inflationPct - Annual inflation rate
+ * @param {number} [params.riskFreePct] - Cash rate behind the Sharpe and Sortino ratios
+ * @param {string} [params.currency] - Home currency; contributions and results are in it
+ * @param {string} [params.assetCurrency] - Currency the asset is priced in
+ * @param {number} [params.fxDriftPct] - Yearly change of the asset currency against the home currency
+ * @param {number|null} [params.fxShockPct] - One-off move of the asset currency
+ * @param {number|null} [params.fxShockYear] - Year of that move
+ * @param {number} [params.leverage] - Daily-reset leverage of the fund (1 = plain index)
+ * @param {number} [params.leverageVolPct] - Yearly index volatility behind the leveraged fund's decay
+ * @param {number} [params.marginLoanPct] - Borrow this percentage of each buy on top of it (0 = off)
+ * @param {number} [params.marginRatePct] - Yearly interest on the margin loan
+ * @param {number} [params.maintenancePct] - Equity share of the holdings below which the broker force-sells
+ * @param {object} [options] - Engine overrides
+ * @param {number[]} [options.periodReturns] - Per-period returns replacing the constant rate
+ * @param {boolean} [options.baselines] - false skips the dip, fx, pause, leverage and margin comparisons (those fields are null)
  * @returns {SimulationResult} Simulation results
  */
-function simulateDCA(params) {
+function simulateDCA(params, options = {}) {
   return simulationModule.simulateDCA(params, {
     clampParams,
-    weeklyRateFromAnnual,
-    weeklyFeeFactorFromAnnual
+    periodReturns: options.periodReturns,
+    baselines: options.baselines
+  });
+}
+
+/**
+ * Restate a simulation result in today's money (final value, contributions, milestones and series)
+ * @param {SimulationResult} sim - simulateDCA() result
+ * @returns {SimulationResult} Copy with deflated values, `realMoney: true` and `nominalFinalValue`
+ */
+function inTodaysMoney(sim) {
+  return simulationModule.inTodaysMoney(sim);
+}
+
+/**
+ * Return and risk metrics of a simulated run: ROI, money-weighted return (IRR on the cash flows),
+ * time-weighted CAGR, annualized volatility, Sharpe and Sortino, ulcer index and time underwater
+ * @param {{params: object, contributed: number, gains: number, finalValue: number, series: number[], flows?: object}} sim - simulateDCA(), simulateBacktest() or simulateMix() result
+ * @returns {{riskFreePct: number, roiPct: number, irrPct: number|null, twrCagrPct: number|null, volatilityPct: number|null, sharpe: number|null, sortino: number|null, ulcerIndex: number|null, underwaterPct: number|null, longestUnderwaterYears: number|null}}
+ */
+function computeMetrics(sim) {
+  const riskFreePct = sim.params && sim.params.riskFreePct !== undefined ? sim.params.riskFreePct : DEFAULTS.riskFreePct;
+  return metricsModule.computeMetrics(sim, { riskFreePct });
+}
+
+/**
+ * Compare investing a lump sum on day one with spreading it evenly over a number of weeks
+ * @param {object} params - Simulation parameters (years, return, fee, shocks)
+ * @param {{amount:number, spreadWeeks:number}} options - Total to invest and the DCA window
+ * @returns {{lump: SimulationResult, dca: SimulationResult, winner: string, diff: number, shocksDuringSpread: object[]}}
+ */
+function simulateLumpSum(params, options) {
+  return simulationModule.simulateLumpSum(params, options, { clampParams });
+}
+
+/**
+ * Run plain DCA and value averaging side by side on the same shock scenario
+ * @param {object} params - Simulation parameters, including the VA caps
+ * @returns {{params: object, dca: SimulationResult, va: SimulationResult, diff: number, extraCash: number}}
+ */
+function compareStrategies(params) {
+  return simulationModule.compareStrategies(params, { clampParams });
+}
+
+/**
+ * Run the same yearly budget on every contribution schedule, with the scenario's per-trade costs
+ * @param {object} params - Simulation parameters
+ * @returns {{params: object, yearlyAmount: number, rows: object[], best: string, current: string, savings: number}}
+ */
+function costEfficiency(params) {
+  return simulationModule.costEfficiency(params, { clampParams });
+}
+
+/**
+ * Simulate withdrawals from an existing balance with the usual return, fee and shock mechanics
+ * @param {object} params - Simulation parameters (years, return, fee, shocks, inflationPct)
+ * @param {{balance:number, withdrawal:{amount?:number, pct?:number}, inflationIndexed:boolean}} options - Starting balance and yearly withdrawal
+ * @returns {object} Survival, depletion year, totals and the balance series
+ */
+function simulateRetirement(params, options) {
+  return simulationModule.simulateRetirement(params, options, { clampParams });
+}
+
+/**
+ * Highest yearly withdrawal rate (% of the starting balance) that survives the scenario
+ * @param {object} params - Simulation parameters
+ * @param {{balance:number, inflationIndexed:boolean}} options - Starting balance and indexing
+ * @returns {number} Withdrawal rate in percent
+ */
+function safeWithdrawalRate(params, options) {
+  return simulationModule.safeWithdrawalRate(params, options, { clampParams });
+}
+
+/**
+ * Solve the scenario for the contribution, years or return that reaches a target final value
+ * @param {object} params - Simulation parameters (everything except the unknown is kept as-is)
+ * @param {{target:number, unknown:"contribution"|"years"|"return", realMoney:boolean}} options - Goal and what to solve for
+ * @returns {{params: object, target: number, unknown: string, solved: number|null, limit: number, finalValue: number, shock: object|null}}
+ */
+function solveGoal(params, options) {
+  return simulationModule.solveGoal(params, options, { clampParams, LIMITS });
+}
+
+/**
+ * Simulate a multi-asset mix with one sleeve per asset and a rebalancing policy
+ * @param {{pct:number, etf:object, name:string}[]} allocations - Mix allocations
+ * @param {object} params - Simulation parameters (amount, years, frequency)
+ * @param {{policy?: string, bandPct?: number, shockYear?: number}} [options] - Rebalancing policy ("none", "annual", "quarterly", "threshold") and band
+ * @returns {object} Portfolio result with per-sleeve ending weights and the buy-and-hold comparison
+ */
+function simulateMix(allocations, params, options = {}) {
+  return portfolioModule.simulateMix(allocations, params, options, {
+    clampParams,
+    periodRateFromAnnual: simulationModule.periodRateFromAnnual,
+    periodFeeFactorFromAnnual: simulationModule.periodFeeFactorFromAnnual,
+    periodsPerYearFor: simulationModule.periodsPerYearFor
+  });
+}
+
+/**
+ * Run simulateDCA over a 5×5 matrix of two parameters centred on the scenario
+ * @param {object} params - Simulation parameters
+ * @param {{xAxis: string, yAxis: string}} options - GRID_AXES keys
+ * @returns {{params: object, xAxis: string, yAxis: string, xValues: number[], yValues: number[], cells: number[][], center: {x: number, y: number}, min: number, max: number}}
+ */
+function simulateGrid(params, options) {
+  return gridModule.simulateGrid(params, options, { simulateDCA, clampParams, LIMITS });
+}
+
+/**
+ * Run many seeded random-return paths through simulateDCA
+ * @param {object} params - Simulation parameters (annualReturnPct is the median path)
+ * @param {{volatilityPct:number, runs:number, seed:number}} options - Monte Carlo settings (runs are capped at MONTE_CARLO.maxPeriodSteps)
+ * @returns {object} Percentiles, drawdown and loss probability plus p10/p50/p90 chart bands
+ */
+function simulateMonteCarlo(params, options) {
+  return monteCarloModule.simulateMonteCarlo(params, { maxPeriodSteps: MONTE_CARLO.maxPeriodSteps, ...options }, {
+    simulateDCA,
+    clampParams,
+    periodsPerYearFor: simulationModule.periodsPerYearFor
+  });
+}
+
+/**
+ * Chance of reaching a goal over seeded random paths, and the contribution for each confidence level
+ * @param {object} params - Solved goal scenario (fixed shocks are replaced by random crashes)
+ * @param {{target:number, risk:object, runs:number, seed:number, confidenceLevels:number[], realMoney:boolean}} options - Goal and risk profile
+ * @returns {{probabilityPct: number, levels: {confidencePct:number, contribution:number|null}[], runs: number, risk: object}}
+ */
+function simulateGoalOdds(params, options) {
+  return monteCarloModule.simulateGoalOdds(params, options, {
+    simulateDCA,
+    clampParams,
+    periodsPerYearFor: simulationModule.periodsPerYearFor
   });
 }
 
+/**
+ * Replay DCA contributions against the bundled historical dataset (calendar-year returns in this release)
+ * @param {object} params - Card parameters; shocks, strategy, dip, gap, fx, leverage and margin are ignored
+ * @param {string} ticker - ETF preset key with a dataset series
+ * @param {number|null} fromYear - First calendar year (defaults to first available)
+ * @param {number|null} toYear - Last calendar year (defaults to last available)
+ * @returns {SimulationResult|null} Result with `backtest` details, or null when no data covers the window
+ */
+function simulateBacktest(params, ticker, fromYear = null, toYear = null) {
+  const series = MONTHLY_RETURNS.series[ticker];
+  if (!series) return null;
+
+  const range = backtestModule.seriesYearRange(series);
+  const window = backtestModule.sliceSeries(series, fromYear ?? range.firstYear, toYear ?? range.lastYear);
+  if (!window) return null;
+
+  return backtestModule.simulateBacktest(params, {
+    ...window,
+    ticker,
+    dataVersion: MONTHLY_RETURNS.version,
+    dataNote: MONTHLY_RETURNS.note,
+    dataResolution: MONTHLY_RETURNS.resolution
+  }, { simulateDCA, clampParams, periodsPerYearFor: simulationModule.periodsPerYearFor });
+}
+
+/**
+ * Scenario for an ETF preset card: the preset's return, fee, yield and leverage on top of the
+ * user's amount, horizon and other settings, with its typical crash at year 3 replacing any shocks.
+ * Leveraged presets spread the crash over `shockWeeks`, since a daily-reset fund compounds a slide
+ * day by day and only a single-day drop of 1/leverage wipes it out.
+ * @param {object} cur - Current user state
+ * @param {object} etf - ETF_PRESETS entry
+ * @returns {object} Parameters for renderCard() or simulateDCA()
+ */
+function etfScenarioParams(cur, etf) {
+  const shockYear = Math.min(cur.years || 10, 3);
+  return {
+    ...cur,
+    annualReturnPct: etf.annualReturnPct,
+    annualFeePct: etf.annualFeePct,
+    dividendYieldPct: etf.dividendYieldPct,
+    assetCurrency: DEFAULTS.assetCurrency,
+    leverage: etf.leverage || 1,
+    leverageVolPct: etf.volatilityPct,
+    shockPct: etf.typicalShock,
+    shockYear,
+    shocks: [{ pct: etf.typicalShock, year: shockYear, weeks: etf.shockWeeks || 0 }]
+  };
+}
+
 /**
  * Format a number as currency string
  * @param {number} x - Number to format
@@ -295,12 +693,21 @@ function formatMoney(x, currencyCode = "usd") {
 
 /**
  * Parse /dca command text into simulation parameters
- * Format: /dca <weekly> <years> <annual_return> [fee <annual_fee>] [shock <shock_pct> at <shock_year>]
+ * Format: /dca <weekly> <years> <annual_return> [fee <annual_fee>] [initial <amount>] [yield <pct> [payout]] [tax <pct>] [divtax <pct>] [exempt <amount>] [increase <pct>/yr|inflation] [shock <shock_pct> at <shock_year> [over <weeks>w]]...
  * @param {string} text - Command text
  * @returns {object} Parsed and validated parameters
  */
 function parseDcaCommand(text) {
-  return parsingModule.parseDcaCommand(text, { DEFAULTS, toNum, clampParams });
+  return parsingModule.parseDcaCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, toNum, clampParams });
+}
+
+/**
+ * Rebuild the /dca command that reproduces the given parameters
+ * @param {object} p - Simulation parameters
+ * @returns {string} Command text
+ */
+function buildDcaCommand(p) {
+  return parsingModule.buildDcaCommand(p, { DEFAULTS });
 }
 
 /**
@@ -317,6 +724,86 @@ function parseCompareCommand(text) {
   return parsingModule.parseCompareCommand(text, { DEFAULTS, toNum, clampParams });
 }
 
+/**
+ * Parse /goal command text; "?" marks the unknown (the contribution when there is none)
+ * Format: /goal <target> <years|?> <annual_return|?> [<amount>|?] [increase <pct>/yr|inflation]
+ * @param {string} text - Command text
+ * @returns {{target:number, years:number|null, annualReturn:number|null, weeklyAmount:number|null, unknown:string, contributionIncreasePct:number, contributionIncreaseMode:string|null}}
+ */
+function parseGoalCommand(text) {
+  return parsingModule.parseGoalCommand(text, { toNum });
+}
+
+/**
+ * Parse /montecarlo command text
+ * Format: /montecarlo <weekly> <years> <return> vol <pct> [runs N] [seed S] (plus /dca options)
+ * @param {string} text - Command text
+ * @returns {{params: object, volatilityPct: number, runs: number, seed: number|null}}
+ */
+function parseMonteCarloCommand(text) {
+  return parsingModule.parseMonteCarloCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, MONTE_CARLO, toNum, clamp, clampParams });
+}
+
+/**
+ * Parse /lumpsum command text
+ * Format: /lumpsum <amount> <years> <return> [over <weeks>w|<months>m] (plus /dca options such as shocks)
+ * @param {string} text - Command text
+ * @returns {{params: object, amount: number, spreadWeeks: number}}
+ */
+function parseLumpSumCommand(text) {
+  return parsingModule.parseLumpSumCommand(text, { DEFAULTS, LIMITS, RECOVERY_SHAPES, FREQUENCIES, toNum, clamp, clampParams });
+}
+
+/**
+ * Parse /frequency command text
+ * Format: /frequency [daily|weekly|biweekly|semimonthly|monthly|quarterly|annual] [start|end]
+ * @param {string} text - Command text
+ * @returns {{frequency: string|null, timing: string|null}} null for anything not given
+ */
+function parseFrequencyCommand(text) {
+  return parsingModule.parseFrequencyCommand(text, { FREQUENCIES });
+}
+
+/**
+ * Parse /grid command text
+ * Format: /grid [x-axis] [y-axis] [<amount> <years> <return> ...options]
+ * @param {string} text - Command text
+ * @returns {{xAxis: string, yAxis: string, params: object|null}} params is null when no scenario is given
+ */
+function parseGridCommand(text) {
+  return parsingModule.parseGridCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, GRID_AXES, toNum, clampParams });
+}
+
+/**
+ * Parse /strategy command text
+ * Format: /strategy va <weekly> <years> <return> [maxbuy <N>] [maxsell <N>|nosell] (plus /dca options such as shocks)
+ * @param {string} text - Command text
+ * @returns {{strategy: string, params: object}|null} null when the strategy is unknown
+ */
+function parseStrategyCommand(text) {
+  return parsingModule.parseStrategyCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, toNum, clampParams });
+}
+
+/**
+ * Parse /retire command text
+ * Format: /retire <balance> <years> <return> withdraw <amount|pct%> [inflation [pct]] (plus /dca options such as shocks)
+ * @param {string} text - Command text
+ * @returns {{params: object, balance: number, withdrawal: {amount?: number, pct?: number}, inflationIndexed: boolean}}
+ */
+function parseRetireCommand(text) {
+  return parsingModule.parseRetireCommand(text, { DEFAULTS, LIMITS, RECOVERY_SHAPES, FREQUENCIES, toNum, clamp, clampParams });
+}
+
+/**
+ * Parse /backtest command text
+ * Format: /backtest <ticker> [from_year] [to_year]
+ * @param {string} text - Command text
+ * @returns {{ticker: string, fromYear: number|null, toYear: number|null}}
+ */
+function parseBacktestCommand(text) {
+  return parsingModule.parseBacktestCommand(text, { toNum });
+}
+
 
 /**
  * Parse compact mix string (e.g., "60voo-40bnd") into validated allocations.
@@ -327,6 +814,16 @@ function parseMixShortAllocations(mixShort) {
   return parsingModule.parseMixShortAllocations(mixShort, { ETF_PRESETS });
 }
 
+/**
+ * Parse the rebalancing option of /mix
+ * Format: rebalance <none|annual|quarterly|threshold [band]> or rebalance <band>%
+ * @param {string} text - Command text
+ * @returns {{policy: string, bandPct?: number}|null}
+ */
+function parseMixRebalance(text) {
+  return parsingModule.parseMixRebalance(text, { REBALANCE_POLICIES, toNum });
+}
+
 /**
  * Build mix simulation state from ETF allocations and base user state.
  * @param {{pct:number, etf:object, name:string}[]} allocations
@@ -334,11 +831,11 @@ function parseMixShortAllocations(mixShort) {
  * @returns {object|null}
  */
 function buildMixSimulationState(allocations, baseState = {}) {
-  return parsingModule.buildMixSimulationState(allocations, baseState, { simulateDCA });
+  return parsingModule.buildMixSimulationState(allocations, baseState, { simulateMix, computeMetrics });
 }
 
 function formatMixMessage(mixState, displayState = {}) {
-  return formattingModule.formatMixMessage(mixState, displayState, { escHtml, formatMoney });
+  return formattingModule.formatMixMessage(mixState, displayState, { escHtml, formatMoney, FREQUENCIES });
 }
 
 function buildMixControlsKeyboard(mixShort, options = {}) {
@@ -371,7 +868,10 @@ async function renderMixSummary(ctx, userId, allocations, options = {}) {
   userState.set(userId, nextState);
 
   const msg = formatMixMessage(mixState, cur);
-  const kb = buildMixControlsKeyboard(mixState.mixShort, options.keyboardOptions || {});
+  const kb = buildMixControlsKeyboard(mixState.mixShort, {
+    ...(options.keyboardOptions || {}),
+    rebalanceLabel: REBALANCE_POLICIES[mixState.sim.policy].label
+  });
   const renderOptions = { parse_mode: "HTML", reply_markup: kb.reply_markup };
 
   if (options.edit) {
@@ -391,56 +891,277 @@ async function renderMixSummary(ctx, userId, allocations, options = {}) {
 // Chart Generation
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Encode a Chart.js v2 config as a QuickChart image URL
+ * @param {object} cfg - Chart config (JSON-serializable, no callbacks)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {string} QuickChart URL
+ */
+function buildQuickChartUrl(cfg, width, height) {
+  const encoded = encodeURIComponent(JSON.stringify(cfg));
+  return `https://quickchart.io/chart?c=${encoded}&w=${width}&h=${height}&bkg=white`;
+}
+
+// Chart x-axis: every step-th period (about 100 points) plus the last, labelled at year ends with at most
+// about ten labels. `startYear` turns "Y3" labels into calendar years.
+function sampleChartAxis(length, periodsPerYear, startYear) {
+  const maxPoints = 100;
+  const step = Math.max(1, Math.floor(length / maxPoints));
+  const indices = [];
+  for (let i = 0; i < length; i += step) indices.push(i);
+  // Always end on the final period so the line reaches the ending value.
+  if (length > 0 && indices[indices.length - 1] !== length - 1) indices.push(length - 1);
+
+  const labels = indices.map(() => "");
+  if (periodsPerYear > 0) {
+    const every = Math.max(1, Math.ceil(length / periodsPerYear / 10));
+    let shown = 0;
+    indices.forEach((i, k) => {
+      const year = Math.floor((i + 1) / periodsPerYear);
+      if (year <= shown || year % every !== 0) return;
+      labels[k] = startYear !== undefined ? String(startYear + year - 1) : `Y${year}`;
+      shown = year;
+    });
+  }
+  return { step, indices, labels };
+}
+
+function chartXAxis(axis) {
+  return {
+    display: axis.labels.some((label) => label !== ""),
+    gridLines: { display: false },
+    ticks: { autoSkip: false, maxRotation: 0 }
+  };
+}
+
+// Dashed vertical line at each shock ({ period (1-based), label }), via the annotation plugin.
+function shockAnnotations(shocks, step) {
+  return {
+    annotations: (shocks || []).map((shock) => ({
+      type: "line",
+      mode: "vertical",
+      scaleID: "x-axis-0",
+      value: Math.floor((shock.period - 1) / step),
+      borderColor: "rgba(255,59,48,0.8)",
+      borderWidth: 1,
+      borderDash: [4, 4],
+      label: { enabled: true, content: shock.label, position: "top", fontSize: 10, backgroundColor: "rgba(255,59,48,0.8)" }
+    }))
+  };
+}
+
+// A log axis can't show zero, so non-positive values are left out of the line.
+function chartYAxis(logScale) {
+  return logScale
+    ? { type: "logarithmic", gridLines: { color: "rgba(0,0,0,0.1)" } }
+    : { ticks: { beginAtZero: true }, gridLines: { color: "rgba(0,0,0,0.1)" } };
+}
+
+function sampleValues(values, indices, logScale) {
+  return indices.map((i) => {
+    if (!values || i >= values.length) return null;
+    const value = Math.round(values[i]);
+    return logScale && value <= 0 ? null : value;
+  });
+}
+
+/**
+ * Chart options a simulation result provides: the year axis, contributions to date (from its
+ * cash flows) and a marker at each shock
+ * @param {SimulationResult} sim - simulateDCA(), simulateBacktest() or simulateRetirement() result
+ * @returns {{periodsPerYear: number, startYear?: number, contributed: number[]|null, shocks: {period: number, label: string}[]}}
+ */
+function chartOptionsFor(sim) {
+  const periodsPerYear = sim.flows ? sim.flows.periodsPerYear : simulationModule.periodsPerYearFor(sim.params);
+  let contributed = null;
+  if (sim.flows) {
+    let total = sim.flows.initial;
+    contributed = sim.flows.periods.map((flow) => (total += flow));
+  }
+  return {
+    periodsPerYear,
+    startYear: sim.backtest ? sim.backtest.fromYear : undefined,
+    contributed,
+    shocks: (sim.shocks || (sim.params && sim.params.shocks) || []).map((shock) => ({
+      period: shock.startPeriod || Math.max(1, Math.floor(shock.year * periodsPerYear)),
+      label: `${shock.pct}%`
+    }))
+  };
+}
+
+/**
+ * quickCompareChartUrl() options for two simulateDCA() results: year axis, both sides'
+ * contributions, the shocks of either side, the user's chart scale and each side in the other money
+ * @param {SimulationResult} left - Left-hand result
+ * @param {SimulationResult} right - Right-hand result
+ * @param {object} cur - User state (for chartScale and realMoney)
+ * @returns {object}
+ */
+function compareChartOptions(left, right, cur) {
+  const leftOptions = chartOptionsFor(left);
+  const rightOptions = chartOptionsFor(right);
+  const shocks = [...leftOptions.shocks, ...rightOptions.shocks]
+    .filter((shock, i, all) => all.findIndex((other) => other.period === shock.period && other.label === shock.label) === i);
+  return {
+    periodsPerYear: leftOptions.periodsPerYear,
+    contributed: [leftOptions.contributed, rightOptions.contributed],
+    shocks,
+    logScale: cur.chartScale === "log",
+    dashed: [otherMoneyLine(left, false), otherMoneyLine(right, false)]
+  };
+}
+
+/**
+ * Dashed line for the money view the chart isn't showing: today's money on a nominal chart and
+ * nominal on a today's-money one. Null without inflation, when the two are the same line.
+ * @param {SimulationResult} nominal - simulateDCA() result
+ * @param {boolean} realMoney - Whether the chart shows today's money
+ * @returns {{label: string, data: number[]}|null}
+ */
+function otherMoneyLine(nominal, realMoney) {
+  if (!(nominal.params.inflationPct > 0)) return null;
+  return realMoney
+    ? { label: "Nominal", data: nominal.series }
+    : { label: "Today's money", data: inTodaysMoney(nominal).series };
+}
+
 /**
  * Generate QuickChart URL for portfolio visualization
- * Uses Apple-ish minimalist line chart style
+ * Uses Apple-ish minimalist line chart style. With `contributed` the area under the line is split
+ * into contributed capital and growth on top of it.
  * @param {number[]} series - Portfolio values over time
+ * @param {{title?: string, periodsPerYear?: number, startYear?: number, contributed?: number[]|null, shocks?: {period: number, label: string}[], logScale?: boolean, dashed?: {label: string, data: number[]}}} [options] - Chart overrides; `dashed` adds a second value line (the other money view)
  * @returns {string} QuickChart URL
  */
-function quickChartUrl(series) {
-  const maxPoints = 100;
-  const step = Math.max(1, Math.floor(series.length / maxPoints));
-  const sampled = [];
-  const labels = [];
-  for (let i = 0; i < series.length; i += step) {
-    sampled.push(Math.round(series[i]));
-    labels.push("");
+function quickChartUrl(series, options = {}) {
+  const axis = sampleChartAxis(series.length, options.periodsPerYear, options.startYear);
+  const logScale = Boolean(options.logScale);
+  const datasets = [];
+
+  if (options.contributed) {
+    datasets.push({
+      label: "Contributed",
+      data: sampleValues(options.contributed, axis.indices, logScale),
+      pointRadius: 0,
+      borderWidth: 1,
+      borderColor: "#8E8E93",
+      backgroundColor: "rgba(142,142,147,0.25)",
+      fill: "origin"
+    });
   }
+  datasets.push({
+    label: options.contributed ? "Growth" : "Portfolio",
+    data: sampleValues(series, axis.indices, logScale),
+    pointRadius: 0,
+    borderWidth: 3,
+    borderColor: "#0066CC",
+    backgroundColor: "rgba(0,102,204,0.2)",
+    fill: options.contributed ? "-1" : true
+  });
+  if (options.dashed) {
+    datasets.push({
+      label: options.dashed.label,
+      data: sampleValues(options.dashed.data, axis.indices, logScale),
+      pointRadius: 0,
+      borderWidth: 2,
+      borderDash: [6, 4],
+      borderColor: "#34C759",
+      fill: false
+    });
+  }
+
+  const cfg = {
+    type: "line",
+    data: {
+      labels: axis.labels,
+      datasets
+    },
+    options: {
+      legend: { display: datasets.length > 1 },
+      title: {
+        display: true,
+        text: `${options.title || "DCA Portfolio Growth"}${logScale ? " (log scale)" : ""}`
+      },
+      scales: {
+        xAxes: [chartXAxis(axis)],
+        yAxes: [chartYAxis(logScale)]
+      },
+      annotation: shockAnnotations(options.shocks, axis.step)
+    }
+  };
+
+  return buildQuickChartUrl(cfg, 600, 400);
+}
+
+/**
+ * Generate an underwater chart URL: percent below the running peak over time, with each shock's
+ * recovery (from the crash until the old peak is regained) shaded
+ * @param {SimulationResult} sim - simulateDCA() result
+ * @returns {string} QuickChart URL
+ */
+function quickDrawdownChartUrl(sim) {
+  const drawdowns = sim.drawdownSeries || [];
+  const axis = sampleChartAxis(drawdowns.length, simulationModule.periodsPerYearFor(sim.params));
+
+  // Periods (0-based) inside a recovery window; a shock that never recovers shades to the end.
+  const windows = (sim.shocks || []).map((shock) => ({
+    from: shock.startPeriod - 1,
+    to: shock.recoveryPeriods !== null ? shock.startPeriod + shock.recoveryPeriods - 2 : drawdowns.length - 1
+  }));
+  const recovering = (from, to) => windows.some((w) => w.from <= to && w.to >= from);
+
+  // Each point is the deepest drawdown of its bucket, so sampling never skips a crash.
+  const sampled = [];
+  const shaded = [];
+  axis.indices.forEach((i, k) => {
+    const bucket = drawdowns.slice(i, k + 1 < axis.indices.length ? axis.indices[k + 1] : drawdowns.length);
+    const deepest = Math.round(Math.min(...bucket) * 10) / 10;
+    sampled.push(deepest);
+    shaded.push(recovering(i, i + bucket.length - 1) ? deepest : null);
+  });
 
   const cfg = {
     type: "line",
     data: {
-      labels: labels,
+      labels: axis.labels,
       datasets: [
         {
-          label: "Portfolio",
+          label: "Recovery",
+          data: shaded,
+          pointRadius: 0,
+          borderWidth: 0,
+          backgroundColor: "rgba(255,149,0,0.35)",
+          fill: "origin"
+        },
+        {
+          label: "Below peak",
           data: sampled,
           pointRadius: 0,
-          borderWidth: 3,
-          borderColor: "#0066CC",
-          backgroundColor: "rgba(0,102,204,0.2)",
-          fill: true
+          borderWidth: 2,
+          borderColor: "#FF3B30",
+          backgroundColor: "rgba(255,59,48,0.15)",
+          fill: "origin"
         }
       ]
     },
     options: {
-      legend: { display: false },
+      legend: { display: windows.length > 0 },
       title: {
         display: true,
-        text: "DCA Portfolio Growth"
+        text: `Drawdown: % below peak (worst ${sim.maxDrawdownPct.toFixed(1)}%)`
       },
       scales: {
-        xAxes: [{ display: false }],
+        xAxes: [chartXAxis(axis)],
         yAxes: [{
-          ticks: { beginAtZero: true },
+          ticks: { max: 0 },
           gridLines: { color: "rgba(0,0,0,0.1)" }
         }]
       }
     }
   };
 
-  const encoded = encodeURIComponent(JSON.stringify(cfg));
-  return `https://quickchart.io/chart?c=${encoded}&w=600&h=400&bkg=white`;
+  return buildQuickChartUrl(cfg, 600, 400);
 }
 
 /**
@@ -449,22 +1170,148 @@ function quickChartUrl(series) {
  * @param {number[]} rightSeries
  * @param {string} leftLabel
  * @param {string} rightLabel
+ * @param {{periodsPerYear?: number, startYear?: number, contributed?: (number[]|null)[], shocks?: {period: number, label: string}[], logScale?: boolean, dashed?: {label: string, data: number[]}[]}} [options] - Year axis, each side's contributions to date, shock markers, log scale and a dashed line per side (the other money view)
  * @returns {string}
  */
-function quickCompareChartUrl(leftSeries, rightSeries, leftLabel, rightLabel) {
+function quickCompareChartUrl(leftSeries, rightSeries, leftLabel, rightLabel, options = {}) {
   const maxLen = Math.max(leftSeries.length, rightSeries.length, 1);
-  const maxPoints = 100;
-  const step = Math.max(1, Math.floor(maxLen / maxPoints));
+  const axis = sampleChartAxis(maxLen, options.periodsPerYear, options.startYear);
+  const logScale = Boolean(options.logScale);
+  const colors = ["#0066CC", "#FF3B30"];
+  const datasets = [];
+
+  // One contributions band when both sides put money in the same way, else a dotted line each.
+  const [leftContributed, rightContributed] = options.contributed || [];
+  const sameContributions = leftContributed && rightContributed &&
+    leftContributed.length === rightContributed.length &&
+    leftContributed.every((value, i) => Math.abs(value - rightContributed[i]) < 0.01);
+  if (sameContributions) {
+    datasets.push({
+      label: "Contributed",
+      data: sampleValues(leftContributed, axis.indices, logScale),
+      pointRadius: 0,
+      borderWidth: 1,
+      borderColor: "#8E8E93",
+      backgroundColor: "rgba(142,142,147,0.25)",
+      fill: "origin"
+    });
+  } else {
+    [leftContributed, rightContributed].forEach((contributed, side) => {
+      if (!contributed) return;
+      datasets.push({
+        label: `${[leftLabel, rightLabel][side]} contributed`,
+        data: sampleValues(contributed, axis.indices, logScale),
+        pointRadius: 0,
+        borderWidth: 1,
+        borderDash: [2, 2],
+        borderColor: colors[side],
+        fill: false
+      });
+    });
+  }
 
-  const labels = [];
-  const sampledLeft = [];
-  const sampledRight = [];
+  [leftSeries, rightSeries].forEach((series, side) => {
+    datasets.push({
+      label: [leftLabel, rightLabel][side],
+      data: sampleValues(series, axis.indices, logScale),
+      pointRadius: 0,
+      borderWidth: 3,
+      borderColor: colors[side],
+      fill: false
+    });
+  });
+  (options.dashed || []).forEach((line, side) => {
+    if (!line) return;
+    datasets.push({
+      label: `${[leftLabel, rightLabel][side]} (${line.label})`,
+      data: sampleValues(line.data, axis.indices, logScale),
+      pointRadius: 0,
+      borderWidth: 2,
+      borderDash: [6, 4],
+      borderColor: colors[side],
+      fill: false
+    });
+  });
 
-  for (let i = 0; i < maxLen; i += step) {
-    labels.push("");
-    sampledLeft.push(i < leftSeries.length ? Math.round(leftSeries[i]) : null);
-    sampledRight.push(i < rightSeries.length ? Math.round(rightSeries[i]) : null);
-  }
+  const cfg = {
+    type: "line",
+    data: {
+      labels: axis.labels,
+      datasets
+    },
+    options: {
+      title: {
+        display: true,
+        text: `Scenario Comparison${logScale ? " (log scale)" : ""}`
+      },
+      scales: {
+        xAxes: [chartXAxis(axis)],
+        yAxes: [chartYAxis(logScale)]
+      },
+      annotation: shockAnnotations(options.shocks, axis.step)
+    }
+  };
+
+  return buildQuickChartUrl(cfg, 700, 420);
+}
+
+/**
+ * Generate a heatmap chart URL for a sensitivity grid.
+ * Each cell is a square point on two category axes, coloured red (lowest) to green (highest).
+ * @param {object} grid - simulateGrid() result
+ * @returns {string}
+ */
+function quickHeatmapChartUrl(grid) {
+  const xAxis = GRID_AXES[grid.xAxis];
+  const yAxis = GRID_AXES[grid.yAxis];
+  const xLabels = grid.xValues.map((v) => `${v}${xAxis.unit}`);
+  const yLabels = grid.yValues.map((v) => `${v}${yAxis.unit}`);
+  const span = grid.max - grid.min;
+
+  const data = [];
+  const colors = [];
+  const borders = [];
+  grid.cells.forEach((row, r) => row.forEach((value, c) => {
+    const ratio = span > 0 ? (value - grid.min) / span : 1;
+    data.push({ x: xLabels[c], y: yLabels[r] });
+    colors.push(`hsl(${Math.round(ratio * 120)},65%,50%)`);
+    borders.push(r === grid.center.y && c === grid.center.x ? "#000000" : "#FFFFFF");
+  }));
+
+  const cfg = {
+    type: "scatter",
+    data: {
+      datasets: [{
+        data,
+        pointStyle: "rect",
+        pointRadius: 30,
+        pointHoverRadius: 30,
+        backgroundColor: colors,
+        borderColor: borders,
+        borderWidth: 3
+      }]
+    },
+    options: {
+      legend: { display: false },
+      title: { display: true, text: `Final value: ${xAxis.label} × ${yAxis.label}` },
+      scales: {
+        xAxes: [{ type: "category", labels: xLabels, offset: true, gridLines: { display: false }, scaleLabel: { display: true, labelString: xAxis.label } }],
+        yAxes: [{ type: "category", labels: [...yLabels].reverse(), offset: true, gridLines: { display: false }, scaleLabel: { display: true, labelString: yAxis.label } }]
+      }
+    }
+  };
+
+  return buildQuickChartUrl(cfg, 600, 420);
+}
+
+/**
+ * Generate Monte Carlo fan chart URL (p10-p90 band around the median path).
+ * @param {{p10:number[], p50:number[], p90:number[]}} bands - Pre-sampled percentile series
+ * @returns {string}
+ */
+function quickFanChartUrl(bands) {
+  const labels = bands.p50.map(() => "");
+  const round = (values) => values.map((v) => Math.round(v));
 
   const cfg = {
     type: "line",
@@ -472,37 +1319,49 @@ function quickCompareChartUrl(leftSeries, rightSeries, leftLabel, rightLabel) {
       labels,
       datasets: [
         {
-          label: leftLabel,
-          data: sampledLeft,
+          label: "p90",
+          data: round(bands.p90),
           pointRadius: 0,
-          borderWidth: 3,
-          borderColor: "#0066CC",
+          borderWidth: 1,
+          borderColor: "rgba(0,102,204,0.4)",
           fill: false
         },
         {
-          label: rightLabel,
-          data: sampledRight,
+          label: "p10",
+          data: round(bands.p10),
+          pointRadius: 0,
+          borderWidth: 1,
+          borderColor: "rgba(0,102,204,0.4)",
+          backgroundColor: "rgba(0,102,204,0.2)",
+          fill: "-1"
+        },
+        {
+          label: "Median",
+          data: round(bands.p50),
           pointRadius: 0,
           borderWidth: 3,
-          borderColor: "#FF3B30",
+          borderColor: "#0066CC",
           fill: false
         }
       ]
     },
     options: {
+      legend: { display: false },
       title: {
         display: true,
-        text: "Scenario Comparison"
+        text: "Monte Carlo Range (p10–p90)"
       },
       scales: {
         xAxes: [{ display: false }],
-        yAxes: [{ ticks: { beginAtZero: true } }]
+        yAxes: [{
+          ticks: { beginAtZero: true },
+          gridLines: { color: "rgba(0,0,0,0.1)" }
+        }]
       }
     }
   };
 
-  const encoded = encodeURIComponent(JSON.stringify(cfg));
-  return `https://quickchart.io/chart?c=${encoded}&w=700&h=420&bkg=white`;
+  return buildQuickChartUrl(cfg, 600, 400);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -512,10 +1371,11 @@ function quickCompareChartUrl(leftSeries, rightSeries, leftLabel, rightLabel) {
 /**
  * Generate inline keyboard for parameter adjustment
  * @param {object} p - Current parameters
+ * @param {{cta?: object, hasSaved?: boolean, realMoney?: boolean, chartView?: string, chartScale?: string}} [options] - Journey CTA, saved-scenario, today's-money, chart-view ("growth" or "drawdown") and chart-scale ("linear" or "log") state
  * @returns {object} Telegraf Markup keyboard
  */
 function keyboardFor(p, options = {}) {
-  return formattingModule.keyboardFor(p, options, { Markup });
+  return formattingModule.keyboardFor(p, options, { Markup, RECOVERY_SHAPES, FREQUENCIES });
 }
 
 /**
@@ -524,7 +1384,101 @@ function keyboardFor(p, options = {}) {
  * @returns {string} HTML-formatted caption
  */
 function buildCaption(sim) {
-  return formattingModule.buildCaption(sim, { escHtml, formatMoney });
+  return formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES, FX_RATES });
+}
+
+/**
+ * One-line IRR, Sharpe and ulcer summary for side-by-side views
+ * @param {object} metrics - computeMetrics() result
+ * @returns {string} Plain text (empty when the run has no cash-flow record)
+ */
+function formatMetricsSummary(metrics) {
+  return formattingModule.formatMetricsSummary(metrics);
+}
+
+/**
+ * Build HTML caption with historical backtest results (titled "Annual backtest" on calendar-year data)
+ * @param {SimulationResult} sim - simulateBacktest() result
+ * @returns {string} HTML-formatted caption
+ */
+function buildBacktestCaption(sim) {
+  return formattingModule.buildBacktestCaption(sim, { escHtml, formatMoney, computeMetrics, FREQUENCIES });
+}
+
+/**
+ * Build HTML caption with Monte Carlo results
+ * @param {object} mc - simulateMonteCarlo() result
+ * @returns {string} HTML-formatted caption
+ */
+function buildMonteCarloCaption(mc) {
+  return formattingModule.buildMonteCarloCaption(mc, { escHtml, formatMoney, FREQUENCIES });
+}
+
+/**
+ * Build HTML caption for a lump sum vs DCA comparison, including why the winner won
+ * @param {object} result - simulateLumpSum() result
+ * @returns {string} HTML-formatted caption
+ */
+function buildLumpSumCaption(result) {
+  return formattingModule.buildLumpSumCaption(result, { escHtml, formatMoney, FREQUENCIES });
+}
+
+/**
+ * Build HTML message ranking contribution schedules by trading fees plus missed growth
+ * @param {object} report - costEfficiency() result
+ * @returns {string} HTML-formatted message
+ */
+function buildCostReport(report) {
+  return formattingModule.buildCostReport(report, { escHtml, formatMoney, FREQUENCIES });
+}
+
+/**
+ * Build HTML message for a solved goal: the answer, the card settings it used and the shock delay
+ * @param {object} goal - solveGoal() result
+ * @param {string} tipCmd - /dca command that reproduces the solved scenario
+ * @returns {string} HTML-formatted message
+ */
+function buildGoalMessage(goal, tipCmd) {
+  return formattingModule.buildGoalMessage(goal, tipCmd, { escHtml, formatMoney, FREQUENCIES, RECOVERY_SHAPES });
+}
+
+/**
+ * Build HTML caption for a sensitivity grid: compact <pre> table with the current scenario marked
+ * @param {object} grid - simulateGrid() result
+ * @returns {string} HTML-formatted caption
+ */
+function buildGridCaption(grid) {
+  return formattingModule.buildGridCaption(grid, { escHtml, GRID_AXES });
+}
+
+/**
+ * Build one page of the year-by-year breakdown as a monospace <pre> table, followed by the full
+ * return and risk metrics and any leverage or margin detail the card leaves out
+ * @param {SimulationResult} sim - simulateDCA() result
+ * @param {number} page - Zero-based page; clamped to the pages that exist
+ * @returns {{html: string, page: number, pages: number}}
+ */
+function buildYearlyTable(sim, page) {
+  return formattingModule.buildYearlyTable(sim, page, YEARLY_TABLE_ROWS, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES, FX_RATES });
+}
+
+/**
+ * Build HTML caption for value averaging vs DCA: cash required, largest buy and final value difference
+ * @param {object} result - compareStrategies() result
+ * @returns {string} HTML-formatted caption
+ */
+function buildStrategyCaption(result) {
+  return formattingModule.buildStrategyCaption(result, { escHtml, formatMoney, FREQUENCIES });
+}
+
+/**
+ * Build HTML caption for a retirement withdrawal run
+ * @param {object} result - simulateRetirement() result
+ * @param {number} safeRatePct - safeWithdrawalRate() for the same scenario
+ * @returns {string} HTML-formatted caption
+ */
+function buildRetirementCaption(result, safeRatePct) {
+  return formattingModule.buildRetirementCaption(result, safeRatePct, { escHtml, formatMoney, RECOVERY_SHAPES, FREQUENCIES });
 }
 
 function stripHtml(html) {
@@ -537,6 +1491,15 @@ async function replyWithChartFallback(ctx, chart, caption, options = {}) {
   await ctx.reply(`Chart: ${chart}`);
 }
 
+/**
+ * Describe the yearly contribution raise (e.g. "3%/yr"), or null when contributions are flat
+ * @param {object} p - Simulation parameters
+ * @returns {string|null}
+ */
+function describeRaises(p) {
+  return formattingModule.describeRaises(p);
+}
+
 function buildScenarioSummary(sim, curr, freqLabel) {
   return formattingModule.buildScenarioSummary(sim, curr, freqLabel, { formatMoney });
 }
@@ -564,23 +1527,14 @@ function getJourneyCta(state) {
   return { label: "Next: Set a Goal", action: "journey:goal:1000000" };
 }
 
-async function renderCard(ctx, userId, params, context = {}) {
-  const p = clampParams(params);
-  const existing = userState.get(userId) || {};
-  const nextState = {
-    ...existing,
-    ...p,
-    lastSource: context.source || existing.lastSource,
-    lastEtf: context.etfKey || existing.lastEtf
-  };
-  userState.set(userId, nextState);
-
-  const sim = simulateDCA(p);
-  const chart = quickChartUrl(sim.series);
-  const caption = buildCaption(sim);
-  const cta = getJourneyCta(nextState);
-  const kb = keyboardFor(p, { cta, hasSaved: Boolean(nextState.savedScenario) });
-
+/**
+ * Send a chart card, editing the media in place when triggered by a button
+ * @param {object} ctx - Telegraf context
+ * @param {string} chart - Chart image URL
+ * @param {string} caption - HTML caption
+ * @param {object} kb - Telegraf Markup keyboard
+ */
+async function sendChartCard(ctx, chart, caption, kb) {
   // Callback query: edit existing message if possible
   if (ctx.updateType === "callback_query") {
     try {
@@ -615,6 +1569,42 @@ async function renderCard(ctx, userId, params, context = {}) {
   }
 }
 
+async function renderCard(ctx, userId, params, context = {}) {
+  const p = clampParams(params);
+  const existing = userState.get(userId) || {};
+  // Today's-money view and chart view are display preferences, so they stick across scenarios.
+  const realMoney = context.realMoney !== undefined ? context.realMoney : Boolean(existing.realMoney);
+  const chartView = (context.chartView !== undefined ? context.chartView : existing.chartView) === "drawdown" ? "drawdown" : "growth";
+  const chartScale = (context.chartScale !== undefined ? context.chartScale : existing.chartScale) === "log" ? "log" : "linear";
+  const nextState = {
+    ...existing,
+    ...p,
+    realMoney,
+    chartView,
+    chartScale,
+    lastSource: context.source || existing.lastSource,
+    lastEtf: context.etfKey || existing.lastEtf
+  };
+  userState.set(userId, nextState);
+
+  const nominal = simulateDCA(p);
+  const sim = realMoney ? inTodaysMoney(nominal) : nominal;
+  // Drawdowns are the same in either money, so the underwater chart ignores the today's-money view.
+  const chart = chartView === "drawdown"
+    ? quickDrawdownChartUrl(nominal)
+    : quickChartUrl(sim.series, {
+      ...chartOptionsFor(sim),
+      title: realMoney ? "DCA Portfolio Growth (today's money)" : undefined,
+      logScale: chartScale === "log",
+      dashed: otherMoneyLine(nominal, realMoney)
+    });
+  const caption = buildCaption(sim);
+  const cta = getJourneyCta(nextState);
+  const kb = keyboardFor(p, { cta, hasSaved: Boolean(nextState.savedScenario), realMoney, chartView, chartScale });
+
+  await sendChartCard(ctx, chart, caption, kb);
+}
+
 function buildWelcomeMenu(name = "there") {
   const safeName = escHtml(name || "there");
   const msg =
@@ -641,6 +1631,49 @@ function buildWelcomeMenu(name = "there") {
   return { msg, kb };
 }
 
+/**
+ * ETF education list shared by /etf and the 📚 button: one entry per preset and a button each
+ * @returns {{msg: string, kb: object}} HTML message and Telegraf keyboard
+ */
+function buildEtfListMessage() {
+  let msg = "📈 <b>What are ETFs?</b>\n";
+  msg += "ETFs (Exchange-Traded Funds) are baskets of stocks you can buy with one purchase. ";
+  msg += "Instead of picking individual stocks, you buy the whole market.\n\n";
+  msg += "<b>Popular ETFs for DCA investing:</b>\n\n";
+  for (const [key, etf] of Object.entries(ETF_PRESETS)) {
+    msg += `<b>/${escHtml(key.toUpperCase())}</b> - ${escHtml(etf.fullName)}\n`;
+    msg += etf.leverage
+      ? `🎢 ${etf.leverage}× daily of a ${etf.annualReturnPct}% avg index | 💰 ${etf.annualFeePct}% fee | 📉 ${etf.typicalShock}% typical index crash over ${etf.shockWeeks}w\n`
+      : `📊 ${etf.annualReturnPct}% avg return (${etf.dividendYieldPct}% dividends) | 💰 ${etf.annualFeePct}% fee | 📉 ${etf.typicalShock}% typical crash\n`;
+    msg += `<i>${escHtml(etf.description)}</i>\n\n`;
+  }
+  msg += "⚠️ <i>Past performance ≠ future results. This is for education only.</i>\n\n";
+  msg += "👆 Tap an ETF to simulate:";
+
+  const kb = Markup.inlineKeyboard([
+    [
+      Markup.button.callback("VOO", "etf:voo"),
+      Markup.button.callback("QQQ", "etf:qqq"),
+      Markup.button.callback("VTI", "etf:vti")
+    ],
+    [
+      Markup.button.callback("VXUS", "etf:vxus"),
+      Markup.button.callback("BND", "etf:bnd"),
+      Markup.button.callback("BTC", "etf:btc")
+    ],
+    [
+      Markup.button.callback("UPRO 3×", "etf:upro"),
+      Markup.button.callback("TQQQ 3×", "etf:tqqq")
+    ],
+    [
+      Markup.button.callback("❓ Help", "showhelp"),
+      Markup.button.callback("✕ Close", "close")
+    ]
+  ]);
+
+  return { msg, kb };
+}
+
 async function replyWithWelcomeMenu(ctx) {
   const { msg, kb } = buildWelcomeMenu(ctx.from?.first_name || "there");
   await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb.reply_markup });
@@ -656,27 +1689,10 @@ bot.start(async (ctx) => {
 
 bot.action("showetf", async (ctx) => {
   try { await ctx.answerCbQuery(); } catch {}
-  // Trigger the /etf command logic
   const userId = ctx.from?.id;
   if (!userId) return;
 
-  let msg = "📈 <b>What are ETFs?</b>\n";
-  msg += "ETFs (Exchange-Traded Funds) are baskets of stocks you can buy with one purchase. ";
-  msg += "Instead of picking individual stocks, you buy the whole market.\n\n";
-  msg += "<b>Popular ETFs for DCA investing:</b>\n\n";
-  for (const [key, etf] of Object.entries(ETF_PRESETS)) {
-    msg += `<b>/${escHtml(key.toUpperCase())}</b> - ${escHtml(etf.fullName)}\n`;
-    msg += `📊 ${etf.annualReturnPct}% avg | 💰 ${etf.annualFeePct}% fee | 📉 ${etf.typicalShock}% crash\n`;
-    msg += `<i>${escHtml(etf.description)}</i>\n\n`;
-  }
-  msg += "⚠️ <i>Past performance ≠ future results.</i>";
-
-  const kb = Markup.inlineKeyboard([
-    [Markup.button.callback("VOO", "etf:voo"), Markup.button.callback("QQQ", "etf:qqq"), Markup.button.callback("VTI", "etf:vti")],
-    [Markup.button.callback("VXUS", "etf:vxus"), Markup.button.callback("BND", "etf:bnd"), Markup.button.callback("BTC", "etf:btc")],
-    [Markup.button.callback("❓ Help", "showhelp"), Markup.button.callback("✕ Close", "close")]
-  ]);
-
+  const { msg, kb } = buildEtfListMessage();
   await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb.reply_markup });
 });
 
@@ -688,6 +1704,10 @@ bot.action("showhelp", async (ctx) => {
     "<code>/dca 100 10 8</code> = $100/week, 10 years, 8% return\n\n" +
     "<b>With market crash:</b>\n" +
     "<code>/dca 100 10 8 shock -30 at 3</code>\n= Same, but -30% crash at year 3\n\n" +
+    "<b>Slow or repeated crashes:</b>\n" +
+    "<code>/dca 100 10 8 shock -30 at 3 over 26w shock -20 at 8</code>\n\n" +
+    "<b>Recovery shape (v, u, l, w):</b>\n" +
+    "<code>/dca 100 10 8 shock -30 at 3 recovery u 18</code>\n\n" +
     "<b>Quick ETF simulations:</b>\n" +
     HELP_QUICK_ETF_TEXT +
     "<b>Buttons:</b> Adjust values without retyping\n" +
@@ -709,14 +1729,36 @@ bot.command("help", async (ctx) => {
     "<b>Basic Commands:</b>\n" +
     "/dca 100 10 8 - $100/wk, 10yrs, 8%\n" +
     "/dca 100 10 8 shock -30 at 3\n" +
-    "/monthly - Switch weekly↔monthly\n\n" +
+    "/dca 100 10 8 increase 3/yr - Yearly raises\n" +
+    "/dca 100 10 8 initial 10000 - Start with a balance\n" +
+    "/dca 100 10 8 inflation 2.5 increase inflation - Inflation-indexed\n" +
+    "/dca 100 10 8 dip 2x below -20 reserve 5000 at -30 - Buy the dip\n" +
+    "/dca 100 10 8 fx -1 fxshock -15 at 2 - Currency risk (after /currency)\n" +
+    "/dca 100 10 8 shock -30 at 3 pause 1.5 from shock - Job loss in the crash\n" +
+    "/dca 100 10 8 leverage 3x shock -30 at 3 - Daily-reset 3× fund\n" +
+    "/dca 100 10 8 margin 50% rate 7 shock -40 at 3 - Borrow to invest\n" +
+    "/dca 100 10 8 shock -30 at 3 rf 4 - Sharpe/Sortino vs 4% cash\n" +
+    "/monthly - Switch weekly↔monthly\n" +
+    "/frequency biweekly end - Paydays, daily, quarterly…\n" +
+    "/costs 50 10 8 commission 1 spread 10 - Cheapest schedule\n" +
+    "/grid return years - Sensitivity heatmap\n" +
+    "/table - Year-by-year breakdown\n\n" +
     "<b>ETFs:</b>\n" +
     "/etf - Show all ETF presets\n" +
-    "/voo /qqq /vti /btc - Quick simulate\n\n" +
+    "/voo /qqq /vti /btc - Quick simulate\n" +
+    "/upro /tqqq - 3× leveraged (wipeout risk)\n\n" +
     "<b>Tools:</b>\n" +
     "/goal 1000000 20 10 - How much to invest for $1M?\n" +
+    "/goal 1000000 ? 8 - How long until $1M?\n" +
+    "/goal 1000000 20 ? 200 - What return does $200 need?\n" +
+    "/goal 1000000 20 10 increase 3/yr - With yearly raises\n" +
     "/compare voo qqq - Compare two ETFs\n" +
-    "/compare 100 10 8 vs 100 10 12 - Compare 2 custom scenarios\n\n" +
+    "/compare 100 10 8 vs 100 10 12 - Compare 2 custom scenarios\n" +
+    "/montecarlo 100 10 7 vol 15 - Random paths (p10/p50/p90)\n" +
+    "/lumpsum 50000 10 7 over 52w - Lump sum vs DCA\n" +
+    "/strategy va 100 10 8 shock -30 at 3 - Value averaging vs DCA\n" +
+    "/retire 1000000 30 5 withdraw 4% inflation - Retirement drawdown\n" +
+    "/backtest voo 2000 2020 - Annual backtest on real years\n\n" +
     "<b>ETF Returns:</b>\n" +
     HELP_ETF_RETURNS_TEXT;
   const kb = Markup.inlineKeyboard([
@@ -734,13 +1776,319 @@ bot.command("dca", async (ctx) => {
 
   try {
     const params = parseDcaCommand(ctx.message?.text || "/dca");
-    await renderCard(ctx, userId, params, { source: "dca" });
+    // The home currency is a /currency preference, not part of the command.
+    const cur = userState.get(userId);
+    await renderCard(ctx, userId, { ...params, currency: cur?.currency || DEFAULTS.currency }, { source: "dca" });
   } catch (e) {
     console.error("DCA ERROR FULL:", e);
     await ctx.reply("Error running sim. Try /help");
   }
 });
 
+async function sendMonteCarlo(ctx, userId, run) {
+  const mc = simulateMonteCarlo(run.params, run);
+  const chart = quickFanChartUrl(mc.bands);
+  const caption = buildMonteCarloCaption(mc);
+
+  const cur = userState.get(userId) || clampParams({});
+  userState.set(userId, { ...cur, lastMonteCarlo: run, lastSource: "montecarlo" });
+
+  const kb = Markup.inlineKeyboard([
+    [Markup.button.callback("🎲 New seed", "mc:reroll"), Markup.button.callback("✕ Close", "close")]
+  ]);
+
+  try {
+    await ctx.replyWithPhoto(chart, { caption, parse_mode: "HTML", reply_markup: kb.reply_markup });
+  } catch (e) {
+    console.error("MONTE CARLO PHOTO SEND FAILED:", e);
+    await replyWithChartFallback(ctx, chart, caption, { reply_markup: kb.reply_markup });
+  }
+}
+
+// Monte Carlo: /montecarlo <weekly> <years> <return> vol <pct> [runs N] [seed S]
+bot.command("montecarlo", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const parsed = parseMonteCarloCommand(ctx.message?.text || "/montecarlo");
+    const seed = parsed.seed !== null ? parsed.seed : Math.floor(Math.random() * 1_000_000);
+    await sendMonteCarlo(ctx, userId, { ...parsed, seed });
+  } catch (e) {
+    console.error("MONTE CARLO ERROR:", e);
+    await ctx.reply("Error running Monte Carlo. Try /montecarlo 100 10 7 vol 15");
+  }
+});
+
+async function sendLumpSum(ctx, userId, run) {
+  const cur = userState.get(userId) || clampParams({});
+  const result = simulateLumpSum({ ...run.params, currency: cur.currency, frequency: cur.frequency }, run);
+  const chart = quickCompareChartUrl(result.lump.series, result.dca.series, "Lump sum", `DCA ${result.spreadWeeks}w`, compareChartOptions(result.lump, result.dca, cur));
+  const caption = buildLumpSumCaption(result);
+
+  userState.set(userId, { ...cur, lastLumpSum: run, lastSource: "lumpsum" });
+
+  const kb = Markup.inlineKeyboard([
+    [13, 26, 52, 104].map((weeks) =>
+      Markup.button.callback(weeks === result.spreadWeeks ? `• ${weeks}w` : `${weeks}w`, `ls:${weeks}`)
+    ),
+    [Markup.button.callback("✕ Close", "close")]
+  ]);
+
+  return sendChartCard(ctx, chart, caption, kb);
+}
+
+// Lump sum vs DCA: /lumpsum <amount> <years> <return> [over <weeks>] [shock ...]
+bot.command("lumpsum", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const run = parseLumpSumCommand(ctx.message?.text || "/lumpsum");
+    await sendLumpSum(ctx, userId, run);
+  } catch (e) {
+    console.error("LUMP SUM ERROR:", e);
+    await ctx.reply("Error running comparison. Try /lumpsum 50000 10 7 shock -30 at 0.5");
+  }
+});
+
+async function sendStrategy(ctx, userId, run) {
+  const cur = userState.get(userId) || clampParams({});
+  const result = compareStrategies({ ...run.params, currency: cur.currency, frequency: cur.frequency });
+  const chart = quickCompareChartUrl(result.dca.series, result.va.series, "DCA", "Value averaging", compareChartOptions(result.dca, result.va, cur));
+  const caption = buildStrategyCaption(result);
+
+  userState.set(userId, { ...cur, lastStrategy: run, lastSource: "strategy" });
+
+  const p = result.params;
+  const buyCap = p.vaMaxBuyMultiple === null ? 0 : p.vaMaxBuyMultiple;
+  const kb = Markup.inlineKeyboard([
+    [0, 2, 3, 5].map((cap) => {
+      const label = cap === 0 ? "No buy cap" : `Buy ≤${cap}×`;
+      return Markup.button.callback(cap === buyCap ? `• ${label}` : label, `st:buy:${cap}`);
+    }),
+    [
+      Markup.button.callback(p.vaMaxSellMultiple === 0 ? "🔁 Allow selling" : "🚫 Never sell", "st:sell"),
+      Markup.button.callback("✕ Close", "close")
+    ]
+  ]);
+
+  return sendChartCard(ctx, chart, caption, kb);
+}
+
+// Value averaging vs DCA: /strategy va <weekly> <years> <return> [maxbuy N] [nosell] [shock ...]
+bot.command("strategy", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const run = parseStrategyCommand(ctx.message?.text || "/strategy");
+    if (!run) {
+      await ctx.reply("Usage: /strategy va 100 10 8 shock -30 at 3\nOptions: maxbuy 3 (cap a buy at 3× the amount), nosell");
+      return;
+    }
+    await sendStrategy(ctx, userId, run);
+  } catch (e) {
+    console.error("STRATEGY ERROR:", e);
+    await ctx.reply("Error running comparison. Try /strategy va 100 10 8 shock -30 at 3");
+  }
+});
+
+async function sendCostReport(ctx, userId, params) {
+  const cur = userState.get(userId) || clampParams({});
+  const report = costEfficiency({ ...params, currency: cur.currency });
+  const kb = Markup.inlineKeyboard([
+    ...(report.best !== report.current
+      ? [[Markup.button.callback(`✅ Switch to ${FREQUENCIES[report.best].label}`, `costs:use:${report.best}`)]]
+      : []),
+    [Markup.button.callback("🏠 Menu", "home"), Markup.button.callback("✕ Close", "close")]
+  ]);
+
+  await ctx.reply(buildCostReport(report), { parse_mode: "HTML", reply_markup: kb.reply_markup });
+}
+
+// Cheapest schedule for your per-trade costs: /costs [<amount> <years> <return> commission ... spread ...]
+bot.command("costs", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const text = ctx.message?.text || "/costs";
+    const cur = userState.get(userId) || clampParams({});
+    let params = cur;
+    if (text.trim().split(/\s+/).length > 1) {
+      // Keep the parsed scenario so "Switch to …" reruns it rather than the previous card.
+      params = { ...cur, ...parseDcaCommand(text), currency: cur.currency };
+      userState.set(userId, params);
+    }
+    await sendCostReport(ctx, userId, params);
+  } catch (e) {
+    console.error("COSTS ERROR:", e);
+    await ctx.reply("Error comparing schedules. Try /costs 50 10 8 commission 1 spread 10");
+  }
+});
+
+// The grid is always centred on the scenario in state; lastGrid only remembers the axes.
+async function sendGrid(ctx, userId, axes) {
+  const cur = userState.get(userId) || clampParams({});
+  const grid = simulateGrid(cur, axes);
+  const chart = quickHeatmapChartUrl(grid);
+  const caption = buildGridCaption(grid);
+
+  userState.set(userId, { ...cur, lastGrid: { xAxis: grid.xAxis, yAxis: grid.yAxis } });
+
+  const kb = Markup.inlineKeyboard([
+    [
+      Markup.button.callback(`↔️ ${GRID_AXES[grid.xAxis].label}`, "grid:x"),
+      Markup.button.callback(`↕️ ${GRID_AXES[grid.yAxis].label}`, "grid:y")
+    ],
+    [Markup.button.callback("↩️ Back to card", "grid:back"), Markup.button.callback("✕ Close", "close")]
+  ]);
+
+  return sendChartCard(ctx, chart, caption, kb);
+}
+
+// Sensitivity heatmap: /grid [x-axis] [y-axis] [<amount> <years> <return> ...]
+bot.command("grid", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const run = parseGridCommand(ctx.message?.text || "/grid");
+    if (run.params) {
+      const cur = userState.get(userId) || clampParams({});
+      userState.set(userId, { ...cur, ...run.params, currency: cur.currency });
+    }
+    await sendGrid(ctx, userId, run);
+  } catch (e) {
+    console.error("GRID ERROR:", e);
+    await ctx.reply("Error building grid. Try /grid return years or /grid amount shock 100 10 8");
+  }
+});
+
+// Yearly breakdown of the scenario in state; page buttons edit the table in place.
+async function sendYearlyTable(ctx, userId, page, options = {}) {
+  const cur = userState.get(userId) || clampParams({});
+  const table = buildYearlyTable(simulateDCA(cur), page);
+
+  const nav = [];
+  if (table.page > 0) nav.push(Markup.button.callback("◀️ Earlier", `table:${table.page - 1}`));
+  if (table.page < table.pages - 1) nav.push(Markup.button.callback("Later ▶️", `table:${table.page + 1}`));
+  const kb = Markup.inlineKeyboard([...(nav.length ? [nav] : []), [Markup.button.callback("✕ Close", "close")]]);
+
+  const renderOptions = { parse_mode: "HTML", reply_markup: kb.reply_markup };
+  if (options.edit) {
+    try {
+      await ctx.editMessageText(table.html, renderOptions);
+      return;
+    } catch {}
+  }
+  await ctx.reply(table.html, renderOptions);
+}
+
+// Year-by-year breakdown of the current card: /table [page]
+bot.command("table", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const page = toNum((ctx.message?.text || "").trim().split(/\s+/)[1], 1) - 1;
+    await sendYearlyTable(ctx, userId, page);
+  } catch (e) {
+    console.error("TABLE ERROR:", e);
+    await ctx.reply("Error building the table. Run /dca 100 10 8 first, then /table");
+  }
+});
+
+async function sendRetirement(ctx, userId, run) {
+  const cur = userState.get(userId) || clampParams({});
+  const params = { ...run.params, currency: cur.currency, frequency: cur.frequency };
+  const result = simulateRetirement(params, run);
+  const safeRate = safeWithdrawalRate(params, run);
+  const chart = quickChartUrl(result.series, { ...chartOptionsFor(result), title: "Retirement Balance", logScale: cur.chartScale === "log" });
+  const caption = buildRetirementCaption(result, safeRate);
+
+  userState.set(userId, { ...cur, lastRetirement: run, lastSource: "retire" });
+
+  // Same crash early vs late: the sequence-of-returns question.
+  const years = result.params.years;
+  const lateYear = Math.min(10, years);
+  const crashButtons = [Markup.button.callback("📉 Crash in year 1", "rt:shock:1")];
+  if (lateYear > 1) crashButtons.push(Markup.button.callback(`📉 Crash in year ${lateYear}`, `rt:shock:${lateYear}`));
+
+  const kb = Markup.inlineKeyboard([
+    crashButtons,
+    [Markup.button.callback("✕ Close", "close")]
+  ]);
+
+  return sendChartCard(ctx, chart, caption, kb);
+}
+
+// Retirement drawdown: /retire <balance> <years> <return> withdraw <amount|pct%> [inflation] [shock ...]
+bot.command("retire", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  try {
+    const run = parseRetireCommand(ctx.message?.text || "/retire");
+    await sendRetirement(ctx, userId, run);
+  } catch (e) {
+    console.error("RETIRE ERROR:", e);
+    await ctx.reply("Error running retirement sim. Try /retire 1000000 30 5 withdraw 4% inflation");
+  }
+});
+
+async function sendBacktest(ctx, userId, ticker, fromYear, toYear) {
+  const etf = ETF_PRESETS[ticker];
+  const cur = userState.get(userId) || clampParams({});
+  const sim = etf && simulateBacktest({ ...cur, annualFeePct: etf.annualFeePct }, ticker, fromYear, toYear);
+
+  if (!sim) {
+    const available = Object.entries(MONTHLY_RETURNS.series)
+      .map(([key, series]) => {
+        const range = backtestModule.seriesYearRange(series);
+        return `${key} (${range.firstYear}–${range.lastYear})`;
+      })
+      .join(", ");
+    return ctx.reply(`Usage: /backtest voo 2000 2020\nAvailable: ${available}`);
+  }
+
+  userState.set(userId, { ...cur, lastSource: "backtest", lastEtf: ticker });
+
+  const { fromYear: from, toYear: to } = sim.backtest;
+  const chart = quickChartUrl(sim.series, { ...chartOptionsFor(sim), logScale: cur.chartScale === "log" });
+  const caption = buildBacktestCaption(sim);
+  const cagr = Math.round(sim.backtest.cagrPct);
+
+  const others = ["voo", "qqq", "vti"].filter((key) => key !== ticker);
+  const kb = Markup.inlineKeyboard([
+    others.map((key) => Markup.button.callback(`${key.toUpperCase()} ${from}–${to}`, `bt:${key}:${from}:${to}`)),
+    ...(cagr >= 0
+      ? [[Markup.button.callback(`▶️ Constant ${cagr}% version`, `sim:${Math.round(cur.weeklyAmount)}:${to - from + 1}:${cagr}`)]]
+      : []),
+    [Markup.button.callback("✕ Close", "close")]
+  ]);
+
+  return sendChartCard(ctx, chart, caption, kb);
+}
+
+// Annual historical backtest: /backtest <ticker> [from] [to]
+bot.command("backtest", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  const { ticker, fromYear, toYear } = parseBacktestCommand(ctx.message?.text || "/backtest");
+  await sendBacktest(ctx, userId, ticker, fromYear, toYear);
+});
+
 // Preset commands
 bot.command("base", async (ctx) => {
   const userId = ctx.from?.id;
@@ -763,38 +2111,81 @@ bot.command("pain", async (ctx) => {
   await renderCard(ctx, userId, PRESETS.pain, { source: "preset" });
 });
 
-function sendGoal(ctx, userId, target, years, annualReturn) {
-  const weeks = years * 52;
-  const weeklyRate = Math.pow(1 + annualReturn / 100, 1 / 52) - 1;
-
-  let weeklyNeeded;
-  if (weeklyRate === 0) {
-    weeklyNeeded = target / weeks;
-  } else {
-    weeklyNeeded = target * weeklyRate / (Math.pow(1 + weeklyRate, weeks) - 1);
+// `goal` is a parseGoalCommand() result; anything it leaves null comes from the user's card.
+function solveGoalOnCard(cur, goal) {
+  const scenario = { ...cur };
+  if (goal.years !== null && goal.years !== undefined) scenario.years = goal.years;
+  if (goal.annualReturn !== null && goal.annualReturn !== undefined) scenario.annualReturnPct = goal.annualReturn;
+  if (goal.weeklyAmount !== null && goal.weeklyAmount !== undefined) scenario.weeklyAmount = goal.weeklyAmount;
+  if (goal.contributionIncreaseMode) {
+    scenario.contributionIncreasePct = goal.contributionIncreasePct;
+    scenario.contributionIncreaseMode = goal.contributionIncreaseMode;
   }
+  return solveGoal(scenario, { target: goal.target, unknown: goal.unknown, realMoney: Boolean(cur.realMoney) });
+}
 
-  const monthlyNeeded = weeklyNeeded * 52 / 12;
-  const cur = userState.get(userId) || clampParams({});
-  const curr = cur.currency || "usd";
+// Risk profile of the card's ETF preset (kept through a goal's ▶️ Simulate), or the default for custom cards.
+function goalRiskFor(cur) {
+  if (cur.lastSource === "goal" && cur.lastGoal?.risk) return cur.lastGoal.risk;
+  const preset = cur.lastSource === "etf" && ETF_PRESETS[cur.lastEtf];
+  if (!preset) return GOAL_ODDS.defaultRisk;
+  return {
+    name: preset.name,
+    volatilityPct: preset.volatilityPct,
+    crashesPerDecade: preset.crashesPerDecade,
+    crashPct: preset.typicalShock
+  };
+}
 
-  const msg =
-    `🎯 <b>Goal Calculator</b>\n\n` +
-    `Target: <b>${escHtml(formatMoney(target, curr))}</b>\n` +
-    `Timeline: <b>${escHtml(`${years} years`)}</b>\n` +
-    `Expected return: <b>${escHtml(`${annualReturn}%`)}</b>\n\n` +
-    `<b>You need to invest:</b>\n` +
-    `💵 ${escHtml(formatMoney(weeklyNeeded, curr))}/week\n` +
-    `💵 ${escHtml(formatMoney(monthlyNeeded, curr))}/month\n\n` +
-    `<i>${escHtml(`Tip: Try /dca ${Math.round(weeklyNeeded)} ${years} ${annualReturn} to simulate`)}</i>`;
+// Solve the goal, and with a confidence level also run the odds on goal.risk; `params` is what ▶️ Simulate opens.
+function planGoal(cur, goal) {
+  const result = solveGoalOnCard(cur, goal);
+  if (!goal.confidence || result.solved === null) return { result, params: result.params };
+
+  const p = result.params;
+  const totalPeriods = Math.max(1, Math.floor(p.years * simulationModule.periodsPerYearFor(p)));
+  const odds = simulateGoalOdds(p, {
+    target: result.target,
+    risk: goal.risk,
+    runs: Math.min(GOAL_ODDS.runs, Math.max(GOAL_ODDS.minRuns, Math.floor(GOAL_ODDS.maxPeriodSteps / totalPeriods))),
+    seed: GOAL_ODDS.seed,
+    confidenceLevels: [...new Set([...GOAL_ODDS.confidenceLevels, goal.confidence])],
+    realMoney: result.realMoney
+  });
+  const level = odds.levels.find((l) => l.confidencePct === goal.confidence);
+  return {
+    result: { ...result, odds: { ...odds, selected: goal.confidence } },
+    params: level.contribution !== null ? { ...p, weeklyAmount: level.contribution } : p
+  };
+}
 
-  const kb = Markup.inlineKeyboard([
-    [Markup.button.callback("▶️ Simulate this", `sim:${Math.round(weeklyNeeded)}:${years}:${annualReturn}`)],
-    [Markup.button.callback("🎯 $500k goal", "goal:500000"), Markup.button.callback("🎯 $1M goal", "goal:1000000")],
-    [Markup.button.callback("✕ Close", "close")]
-  ]);
+async function sendGoal(ctx, userId, goal, options = {}) {
+  const cur = userState.get(userId) || clampParams({});
+  const planned = { ...goal, risk: goal.risk || goalRiskFor(cur) };
+  const { result, params } = planGoal(cur, planned);
+  const msg = buildGoalMessage(result, buildDcaCommand(params));
+  userState.set(userId, { ...cur, lastGoal: planned });
+
+  const rows = [];
+  if (result.solved !== null) {
+    const levelButton = (pct) => {
+      const label = pct ? `🎲 ${pct}% sure` : "📐 Plan";
+      return Markup.button.callback((goal.confidence || 0) === pct ? `✓ ${label}` : label, `goal:conf:${pct}`);
+    };
+    rows.push([Markup.button.callback("▶️ Simulate this", "goal:sim")]);
+    rows.push([levelButton(0), ...GOAL_ODDS.confidenceLevels.map(levelButton)]);
+  }
+  rows.push([Markup.button.callback("🎯 $500k goal", "goal:500000"), Markup.button.callback("🎯 $1M goal", "goal:1000000")]);
+  rows.push([Markup.button.callback("✕ Close", "close")]);
 
-  return ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb.reply_markup });
+  const renderOptions = { parse_mode: "HTML", reply_markup: Markup.inlineKeyboard(rows).reply_markup };
+  if (options.edit) {
+    try {
+      await ctx.editMessageText(msg, renderOptions);
+      return;
+    } catch {}
+  }
+  await ctx.reply(msg, renderOptions);
 }
 
 // Goal Calculator - reverse DCA: how much to invest to reach a goal
@@ -803,13 +2194,10 @@ bot.command("goal", async (ctx) => {
   if (!userId) return;
   if (isRateLimited(userId)) return;
 
-  const args = (ctx.message?.text || "").trim().split(/\s+/);
-  // /goal <target> <years> <return%>
-  const target = toNum(args[1], 1000000);
-  const years = toNum(args[2], 20);
-  const annualReturn = toNum(args[3], 10);
+  // /goal <target> <years|?> <return|?> [<amount>|?] [increase <pct>/yr]
+  const goal = parseGoalCommand(ctx.message?.text || "/goal");
 
-  await sendGoal(ctx, userId, target, years, annualReturn);
+  await sendGoal(ctx, userId, goal);
   const cur = userState.get(userId) || clampParams({});
   userState.set(userId, { ...cur, lastSource: "goal" });
 });
@@ -819,7 +2207,7 @@ function sendCompare(ctx, userId, etf1, etf2) {
   const preset2 = ETF_PRESETS[etf2];
 
   if (!preset1 || !preset2) {
-    return ctx.reply("Usage: /compare voo qqq\nAvailable: voo, qqq, vti, vxus, bnd, btc");
+    return ctx.reply(`Usage: /compare voo qqq\nAvailable: ${Object.keys(ETF_PRESETS).join(", ")}`);
   }
 
   const cur = userState.get(userId) || clampParams({});
@@ -827,11 +2215,12 @@ function sendCompare(ctx, userId, etf1, etf2) {
   const amount = cur.weeklyAmount || 100;
   const curr = cur.currency || "usd";
 
-  const sim1 = simulateDCA({ ...cur, annualReturnPct: preset1.annualReturnPct, annualFeePct: preset1.annualFeePct, shockPct: preset1.typicalShock, shockYear: 3 });
-  const sim2 = simulateDCA({ ...cur, annualReturnPct: preset2.annualReturnPct, annualFeePct: preset2.annualFeePct, shockPct: preset2.typicalShock, shockYear: 3 });
+  // Each preset takes its own typical crash in place of the card's shocks.
+  const sim1 = simulateDCA(etfScenarioParams(cur, preset1));
+  const sim2 = simulateDCA(etfScenarioParams(cur, preset2));
 
-  const roi1 = sim1.contributed > 0 ? ((sim1.gains / sim1.contributed) * 100).toFixed(1) : "0";
-  const roi2 = sim2.contributed > 0 ? ((sim2.gains / sim2.contributed) * 100).toFixed(1) : "0";
+  const metrics1 = computeMetrics(sim1);
+  const metrics2 = computeMetrics(sim2);
 
   const winner = sim1.finalValue > sim2.finalValue ? preset1.name : preset2.name;
   const diff = Math.abs(sim1.finalValue - sim2.finalValue);
@@ -840,11 +2229,13 @@ function sendCompare(ctx, userId, etf1, etf2) {
     `⚖️ <b>${escHtml(`Compare: ${preset1.name} vs ${preset2.name}`)}</b>\n` +
     escHtml(`${formatMoney(amount, curr)}/week for ${years} years`) + `\n\n` +
     `<b>${escHtml(preset1.name)}</b> ${escHtml(`(${preset1.annualReturnPct}% return)`)}\n` +
-    escHtml(`Final: ${formatMoney(sim1.finalValue, curr)} | ROI: ${roi1}%`) + `\n` +
-    escHtml(`Drawdown: ${sim1.maxDrawdownPct.toFixed(1)}%`) + `\n\n` +
+    escHtml(`Final: ${formatMoney(sim1.finalValue, curr)} | ROI: ${metrics1.roiPct.toFixed(1)}%`) + `\n` +
+    escHtml(`Drawdown: ${sim1.maxDrawdownPct.toFixed(1)}%`) + `\n` +
+    escHtml(formatMetricsSummary(metrics1)) + `\n\n` +
     `<b>${escHtml(preset2.name)}</b> ${escHtml(`(${preset2.annualReturnPct}% return)`)}\n` +
-    escHtml(`Final: ${formatMoney(sim2.finalValue, curr)} | ROI: ${roi2}%`) + `\n` +
-    escHtml(`Drawdown: ${sim2.maxDrawdownPct.toFixed(1)}%`) + `\n\n` +
+    escHtml(`Final: ${formatMoney(sim2.finalValue, curr)} | ROI: ${metrics2.roiPct.toFixed(1)}%`) + `\n` +
+    escHtml(`Drawdown: ${sim2.maxDrawdownPct.toFixed(1)}%`) + `\n` +
+    escHtml(formatMetricsSummary(metrics2)) + `\n\n` +
     `🏆 <b>${escHtml(winner)}</b> ${escHtml(`wins by ${formatMoney(diff, curr)}`)}`;
 
   const kb = Markup.inlineKeyboard([
@@ -863,26 +2254,28 @@ async function sendScenarioCompare(ctx, userId, leftParams, rightParams) {
   const left = simulateDCA({ ...cur, ...leftParams });
   const right = simulateDCA({ ...cur, ...rightParams });
 
-  const leftRoi = left.contributed > 0 ? ((left.gains / left.contributed) * 100).toFixed(1) : "0.0";
-  const rightRoi = right.contributed > 0 ? ((right.gains / right.contributed) * 100).toFixed(1) : "0.0";
+  const leftMetrics = computeMetrics(left);
+  const rightMetrics = computeMetrics(right);
 
   const winner = left.finalValue >= right.finalValue ? "Scenario A" : "Scenario B";
   const diff = Math.abs(left.finalValue - right.finalValue);
 
   const leftLabel = `A (${left.params.annualReturnPct}%)`;
   const rightLabel = `B (${right.params.annualReturnPct}%)`;
-  const chart = quickCompareChartUrl(left.series, right.series, leftLabel, rightLabel);
+  const chart = quickCompareChartUrl(left.series, right.series, leftLabel, rightLabel, compareChartOptions(left, right, cur));
 
   const msg =
     `⚖️ <b>Scenario Compare</b>\n` +
     escHtml(`A: ${formatMoney(left.params.weeklyAmount, curr)}/wk, ${left.params.years}y, ${left.params.annualReturnPct}%`) + `\n` +
     escHtml(`B: ${formatMoney(right.params.weeklyAmount, curr)}/wk, ${right.params.years}y, ${right.params.annualReturnPct}%`) + `\n\n` +
     `<b>Scenario A</b>\n` +
-    escHtml(`Final: ${formatMoney(left.finalValue, curr)} | ROI: ${leftRoi}%`) + `\n` +
-    escHtml(`Drawdown: ${left.maxDrawdownPct.toFixed(1)}%`) + `\n\n` +
+    escHtml(`Final: ${formatMoney(left.finalValue, curr)} | ROI: ${leftMetrics.roiPct.toFixed(1)}%`) + `\n` +
+    escHtml(`Drawdown: ${left.maxDrawdownPct.toFixed(1)}%`) + `\n` +
+    escHtml(formatMetricsSummary(leftMetrics)) + `\n\n` +
     `<b>Scenario B</b>\n` +
-    escHtml(`Final: ${formatMoney(right.finalValue, curr)} | ROI: ${rightRoi}%`) + `\n` +
-    escHtml(`Drawdown: ${right.maxDrawdownPct.toFixed(1)}%`) + `\n\n` +
+    escHtml(`Final: ${formatMoney(right.finalValue, curr)} | ROI: ${rightMetrics.roiPct.toFixed(1)}%`) + `\n` +
+    escHtml(`Drawdown: ${right.maxDrawdownPct.toFixed(1)}%`) + `\n` +
+    escHtml(formatMetricsSummary(rightMetrics)) + `\n\n` +
     `🏆 <b>${escHtml(winner)}</b> ${escHtml(`ahead by ${formatMoney(diff, curr)}`)}`;
 
   const kb = Markup.inlineKeyboard([
@@ -913,7 +2306,7 @@ bot.command("compare", async (ctx) => {
     await sendScenarioCompare(ctx, userId, parsed.left, parsed.right);
   } else {
     await ctx.reply(
-      "Usage:\n/compare voo qqq\n/compare 100 10 8 vs 100 10 12\n\nAvailable ETFs: voo, qqq, vti, vxus, bnd, btc"
+      "Usage:\n/compare voo qqq\n/compare 100 10 8 vs 100 10 12\n\nAvailable ETFs: " + Object.keys(ETF_PRESETS).join(", ")
     );
     return;
   }
@@ -922,15 +2315,56 @@ bot.command("compare", async (ctx) => {
   userState.set(userId, { ...cur, lastSource: "compare" });
 });
 
-// Monthly mode toggle
-bot.command("monthly", async (ctx) => {
+// Monthly mode toggle
+bot.command("monthly", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  const newFreq = cur.frequency === "monthly" ? "weekly" : "monthly";
+  await renderCard(ctx, userId, { ...cur, frequency: newFreq }, { source: "monthly" });
+});
+
+function buildFrequencyMenu(cur) {
+  const current = FREQUENCIES[cur.frequency] ? cur.frequency : "weekly";
+  const buttons = Object.entries(FREQUENCIES).map(([key, freq]) =>
+    Markup.button.callback(key === current ? `✓ ${freq.label}` : freq.label, `freq:${key}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+
+  const endTiming = cur.contributionTiming === "end";
+  rows.push([Markup.button.callback(endTiming ? "⏱️ Paying at period end" : "⏱️ Paying at period start", "freq:timing")]);
+  rows.push([Markup.button.callback("🏠 Menu", "home")]);
+
+  const msg =
+    `🗓️ <b>Contribution Schedule</b>\n\n` +
+    escHtml(`Now: ${FREQUENCIES[current].label}, paid at the ${endTiming ? "end" : "start"} of each period.`) + `\n` +
+    `Pick a schedule to rerun your scenario.`;
+
+  return { msg, kb: Markup.inlineKeyboard(rows) };
+}
+
+// Contribution schedule: /frequency [name] [start|end]
+bot.command("frequency", async (ctx) => {
   const userId = ctx.from?.id;
   if (!userId) return;
   if (isRateLimited(userId)) return;
 
   const cur = userState.get(userId) || clampParams({});
-  const newFreq = cur.frequency === "monthly" ? "weekly" : "monthly";
-  await renderCard(ctx, userId, { ...cur, frequency: newFreq }, { source: "monthly" });
+  const { frequency, timing } = parseFrequencyCommand(ctx.message?.text || "/frequency");
+  if (!frequency && !timing) {
+    const { msg, kb } = buildFrequencyMenu(cur);
+    await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb.reply_markup });
+    return;
+  }
+
+  await renderCard(ctx, userId, {
+    ...cur,
+    frequency: frequency || cur.frequency,
+    contributionTiming: timing || cur.contributionTiming
+  }, { source: "frequency" });
 });
 
 // Currency selection
@@ -941,7 +2375,8 @@ bot.command("currency", async (ctx) => {
 
   const msg =
     `💱 <b>Select Currency</b>\n\n` +
-    `Choose your preferred currency for displaying amounts:`;
+    `Choose your home currency. Amounts you enter are in it; USD assets are converted ` +
+    escHtml(`using the FX table (rates as of ${FX_RATES.asOf}).`);
 
   const cur = userState.get(userId) || clampParams({});
   const currentCurrency = cur.currency || "usd";
@@ -959,7 +2394,7 @@ bot.command("currency", async (ctx) => {
 });
 
 // Portfolio Mix - combine multiple ETFs
-// Usage: /mix 60 voo 40 bnd OR /mix 70 voo 20 qqq 10 bnd
+// Usage: /mix 60 voo 40 bnd OR /mix 70 voo 20 qqq 10 bnd [rebalance quarterly|threshold 5|none]
 bot.command("mix", async (ctx) => {
   const userId = ctx.from?.id;
   if (!userId) return;
@@ -975,7 +2410,7 @@ bot.command("mix", async (ctx) => {
     const pct = toNum(args[i], 0);
     const etfName = args[i + 1]?.toLowerCase();
 
-    if (pct > 0 && etfName && ETF_PRESETS[etfName]) {
+    if (pct > 0 && etfName && ETF_PRESETS[etfName] && !(ETF_PRESETS[etfName].leverage > 1)) {
       allocations.push({ pct, etf: ETF_PRESETS[etfName], name: etfName });
       totalPct += pct;
     }
@@ -994,6 +2429,12 @@ bot.command("mix", async (ctx) => {
     allocations.forEach(a => a.pct = Math.round(a.pct * factor));
   }
 
+  const rebalance = parseMixRebalance(ctx.message?.text || "");
+  if (rebalance) {
+    const cur = userState.get(userId) || clampParams({});
+    userState.set(userId, { ...cur, mixRebalance: rebalance });
+  }
+
   await renderMixSummary(ctx, userId, allocations);
 });
 
@@ -1010,46 +2451,12 @@ bot.command("etf", async (ctx) => {
   if (etfName && ETF_PRESETS[etfName]) {
     const etf = ETF_PRESETS[etfName];
     const cur = userState.get(userId) || clampParams({});
-    await renderCard(ctx, userId, {
-      ...cur,
-      annualReturnPct: etf.annualReturnPct,
-      annualFeePct: etf.annualFeePct,
-      shockPct: etf.typicalShock,
-      shockYear: Math.min(cur.years || 10, 3)
-    }, { source: "etf", etfKey: etfName });
+    await renderCard(ctx, userId, etfScenarioParams(cur, etf), { source: "etf", etfKey: etfName });
     return;
   }
 
   // Show ETF list with explanation
-  let msg = "📈 <b>What are ETFs?</b>\n";
-  msg += "ETFs (Exchange-Traded Funds) are baskets of stocks you can buy with one purchase. ";
-  msg += "Instead of picking individual stocks, you buy the whole market.\n\n";
-  msg += "<b>Popular ETFs for DCA investing:</b>\n\n";
-  for (const [key, etf] of Object.entries(ETF_PRESETS)) {
-    msg += `<b>/${escHtml(key.toUpperCase())}</b> - ${escHtml(etf.fullName)}\n`;
-    msg += `📊 ${etf.annualReturnPct}% avg return | 💰 ${etf.annualFeePct}% fee | 📉 ${etf.typicalShock}% typical crash\n`;
-    msg += `<i>${escHtml(etf.description)}</i>\n\n`;
-  }
-  msg += "⚠️ <i>Past performance ≠ future results. This is for education only.</i>\n\n";
-  msg += "👆 Tap an ETF to simulate:";
-
-  const kb = Markup.inlineKeyboard([
-    [
-      Markup.button.callback("VOO", "etf:voo"),
-      Markup.button.callback("QQQ", "etf:qqq"),
-      Markup.button.callback("VTI", "etf:vti")
-    ],
-    [
-      Markup.button.callback("VXUS", "etf:vxus"),
-      Markup.button.callback("BND", "etf:bnd"),
-      Markup.button.callback("BTC", "etf:btc")
-    ],
-    [
-      Markup.button.callback("❓ Help", "showhelp"),
-      Markup.button.callback("✕ Close", "close")
-    ]
-  ]);
-
+  const { msg, kb } = buildEtfListMessage();
   await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb.reply_markup });
 });
 
@@ -1062,13 +2469,7 @@ for (const etfKey of Object.keys(ETF_PRESETS)) {
 
     const etf = ETF_PRESETS[etfKey];
     const cur = userState.get(userId) || clampParams({});
-    await renderCard(ctx, userId, {
-      ...cur,
-      annualReturnPct: etf.annualReturnPct,
-      annualFeePct: etf.annualFeePct,
-      shockPct: etf.typicalShock,
-      shockYear: Math.min(cur.years || 10, 3)
-    }, { source: "etf", etfKey });
+    await renderCard(ctx, userId, etfScenarioParams(cur, etf), { source: "etf", etfKey });
   });
 }
 
@@ -1100,10 +2501,14 @@ bot.action(/^cur:(\w+)$/, async (ctx) => {
   try { await ctx.answerCbQuery(`Switched to ${currencyInfo.name}`); } catch {}
 
   // Update the message to show the new selection
+  const usdRate = FX_RATES.rates[currencyInfo.code];
   const msg =
     `💱 <b>Currency: ${escHtml(currencyInfo.name)}</b>\n\n` +
-    escHtml(`All amounts will now be shown in ${currencyInfo.symbol}`) + `\n\n` +
-    `<i>Note: This is for display only - no conversion is applied.</i>`;
+    escHtml(`Amounts you enter are now in ${currencyInfo.code}.`) + `\n` +
+    (newCurrency === "usd" || !usdRate
+      ? ""
+      : escHtml(`USD assets convert at 1 USD = ${usdRate} ${currencyInfo.code} (as of ${FX_RATES.asOf}).`) + `\n`) +
+    `\n<i>Add fx -1 or fxshock -15 at 2 to /dca to model currency moves.</i>`;
 
   const kb = Markup.inlineKeyboard([
     [
@@ -1168,13 +2573,7 @@ bot.action(/^etf:(.+)$/, async (ctx) => {
   }
 
   const cur = userState.get(userId) || clampParams({});
-  await renderCard(ctx, userId, {
-    ...cur,
-    annualReturnPct: etf.annualReturnPct,
-    annualFeePct: etf.annualFeePct,
-    shockPct: etf.typicalShock,
-    shockYear: Math.min(cur.years || 10, 3)
-  }, { source: "etf", etfKey });
+  await renderCard(ctx, userId, etfScenarioParams(cur, etf), { source: "etf", etfKey });
 });
 
 bot.action(/^years:([+-]\d+)$/, async (ctx) => {
@@ -1235,6 +2634,82 @@ bot.action("shock:toggle", async (ctx) => {
   return renderCard(ctx, userId, { ...cur, shockPct: -30, shockYear: Math.min(cur.years || 10, 3) });
 });
 
+bot.action("recovery:cycle", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  if (cur.shockPct === null) {
+    try { await ctx.answerCbQuery("Turn shock on first"); } catch {}
+    return;
+  }
+
+  const shapes = Object.keys(RECOVERY_SHAPES);
+  const next = shapes[(shapes.indexOf(cur.recoveryShape) + 1) % shapes.length];
+  await renderCard(ctx, userId, { ...cur, recoveryShape: next, recoveryMonths: null });
+});
+
+bot.action(/^freq:(\w+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  const choice = ctx.match[1];
+  if (choice === "timing") {
+    const contributionTiming = cur.contributionTiming === "end" ? "start" : "end";
+    return renderCard(ctx, userId, { ...cur, contributionTiming }, { source: "frequency" });
+  }
+  if (!FREQUENCIES[choice]) {
+    try { await ctx.answerCbQuery("Unknown schedule"); } catch {}
+    return;
+  }
+
+  await renderCard(ctx, userId, { ...cur, frequency: choice }, { source: "frequency" });
+});
+
+// Job-loss gap: a year without contributions, starting at the crash when there is one.
+bot.action("pause:toggle", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  const shockOn = cur.shockPct !== null && cur.shockYear !== null;
+  const next = cur.pauseYears > 0
+    ? { ...cur, pauseYears: 0 }
+    : { ...cur, pauseYears: 1, pauseAtShock: shockOn, pauseStartYear: shockOn ? cur.shockYear : Math.min(cur.years, DEFAULTS.pauseStartYear) };
+  await renderCard(ctx, userId, next);
+});
+
+bot.action("real:toggle", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  await renderCard(ctx, userId, cur, { realMoney: !cur.realMoney });
+});
+
+bot.action("chart:toggle", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  await renderCard(ctx, userId, cur, { chartView: cur.chartView === "drawdown" ? "growth" : "drawdown" });
+});
+
+bot.action("chart:scale", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  await renderCard(ctx, userId, cur, { chartScale: cur.chartScale === "log" ? "linear" : "log" });
+});
+
 bot.action(/^shockyear:([+-]\d+)$/, async (ctx) => {
   const userId = ctx.from?.id;
   if (!userId) return;
@@ -1266,20 +2741,24 @@ bot.action("share", async (ctx) => {
 
   // Run simulation to get actual results
   const sim = simulateDCA(cur);
-  const roi = sim.contributed > 0 ? ((sim.gains / sim.contributed) * 100).toFixed(1) : "0.0";
+  const roi = computeMetrics(sim).roiPct.toFixed(1);
   const curr = cur.currency || "usd";
 
-  const feePart = cur.annualFeePct > 0 ? ` fee ${cur.annualFeePct}` : "";
-  const shockPart = cur.shockPct !== null && cur.shockYear !== null ? ` shock ${cur.shockPct} at ${cur.shockYear}` : "";
-  const cmd = `/dca ${cur.weeklyAmount} ${cur.years} ${cur.annualReturnPct}${feePart}${shockPart}`;
+  const cmd = buildDcaCommand(cur);
 
-  const freqLabel = cur.frequency === "monthly" ? "month" : "week";
-  const shockInfo = cur.shockPct !== null ? ` with ${cur.shockPct}% crash` : "";
+  const freqLabel = FREQUENCIES[sim.params.frequency].noun;
+  const raises = describeRaises(sim.params);
+  const raiseInfo = raises ? ` rising ${raises}` : "";
+  const initialInfo = cur.initialAmount > 0 ? ` on top of ${formatMoney(cur.initialAmount, curr)}` : "";
+  const shockCount = (cur.shocks || []).length;
+  const shockInfo = shockCount > 1
+    ? ` with ${shockCount} crashes`
+    : cur.shockPct !== null ? ` with ${cur.shockPct}% crash` : "";
 
   // Twitter share text
   const summaryLine = buildScenarioSummary(sim, curr, freqLabel);
   const tweetText = encodeURIComponent(
-    `📈 If I invest ${formatMoney(cur.weeklyAmount, curr)}/${freqLabel} for ${cur.years} years at ${cur.annualReturnPct}% return${shockInfo}:\n\n` +
+    `📈 If I invest ${formatMoney(cur.weeklyAmount, curr)}/${freqLabel}${raiseInfo}${initialInfo} for ${cur.years} years at ${cur.annualReturnPct}% return${shockInfo}:\n\n` +
     `${summaryLine}\n\n` +
     `💰 Final: ${formatMoney(sim.finalValue, curr)}\n` +
     `✅ Gains: ${formatMoney(sim.gains, curr)} (${roi}% ROI)\n\n` +
@@ -1290,10 +2769,11 @@ bot.action("share", async (ctx) => {
   const msg =
     `📊 <b>Share Your Simulation</b>\n\n` +
     escHtml(summaryLine) + `\n\n` +
-    escHtml(`${formatMoney(cur.weeklyAmount, curr)}/${freqLabel} for ${cur.years} years at ${cur.annualReturnPct}%${shockInfo}`) + `\n\n` +
+    escHtml(`${formatMoney(cur.weeklyAmount, curr)}/${freqLabel}${raiseInfo}${initialInfo} for ${cur.years} years at ${cur.annualReturnPct}%${shockInfo}`) + `\n\n` +
     escHtml(`💰 Contributed: ${formatMoney(sim.contributed, curr)}`) + `\n` +
     escHtml(`📈 Final: ${formatMoney(sim.finalValue, curr)}`) + `\n` +
     escHtml(`✅ Gains: ${formatMoney(sim.gains, curr)} (${roi}% ROI)`) + `\n` +
+    (sim.totalTaxPaid > 0 ? escHtml(`🧾 After tax: ${formatMoney(sim.afterTaxFinalValue, curr)}`) + `\n` : "") +
     escHtml(`📉 Max Drawdown: ${sim.maxDrawdownPct.toFixed(1)}%`) + `\n\n` +
     `<b>Command:</b>\n<code>${escHtml(cmd)}</code>`;
 
@@ -1309,6 +2789,177 @@ bot.action("share", async (ctx) => {
   } catch {}
 });
 
+bot.action("mc:reroll", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastMonteCarlo) {
+    try { await ctx.answerCbQuery("Run /montecarlo first"); } catch {}
+    return;
+  }
+
+  try { await ctx.answerCbQuery(); } catch {}
+  const seed = Math.floor(Math.random() * 1_000_000);
+  await sendMonteCarlo(ctx, userId, { ...cur.lastMonteCarlo, seed });
+});
+
+bot.action(/^ls:(\d+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastLumpSum) {
+    try { await ctx.answerCbQuery("Run /lumpsum first"); } catch {}
+    return;
+  }
+
+  await sendLumpSum(ctx, userId, { ...cur.lastLumpSum, spreadWeeks: Number(ctx.match[1]) });
+});
+
+bot.action("costs:report", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur) {
+    try { await ctx.answerCbQuery("Run /dca first"); } catch {}
+    return;
+  }
+
+  try { await ctx.answerCbQuery(); } catch {}
+  await sendCostReport(ctx, userId, cur);
+});
+
+// Same yearly budget on the suggested schedule.
+bot.action(/^costs:use:(\w+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  const frequency = ctx.match[1];
+  if (!cur || !FREQUENCIES[frequency]) {
+    try { await ctx.answerCbQuery("Run /costs first"); } catch {}
+    return;
+  }
+
+  const yearlyAmount = cur.weeklyAmount * FREQUENCIES[cur.frequency || "weekly"].periodsPerYear;
+  const weeklyAmount = Math.round((yearlyAmount / FREQUENCIES[frequency].periodsPerYear) * 100) / 100;
+  await renderCard(ctx, userId, { ...cur, frequency, weeklyAmount }, { source: "costs" });
+});
+
+bot.action("grid:open", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || {};
+  await sendGrid(ctx, userId, cur.lastGrid || {});
+});
+
+// Cycle one axis through GRID_AXES, skipping the one the other axis already uses.
+bot.action(/^grid:(x|y)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastGrid) {
+    try { await ctx.answerCbQuery("Run /grid first"); } catch {}
+    return;
+  }
+
+  const run = cur.lastGrid;
+  const which = ctx.match[1] === "x" ? "xAxis" : "yAxis";
+  const other = which === "xAxis" ? run.yAxis : run.xAxis;
+  const keys = Object.keys(GRID_AXES).filter((key) => key !== other);
+  const next = keys[(keys.indexOf(run[which]) + 1) % keys.length];
+  await sendGrid(ctx, userId, { ...run, [which]: next });
+});
+
+// The card's 📋 button opens page one below the card; the table's own buttons turn pages in place.
+bot.action("table:open", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  try { await ctx.answerCbQuery(); } catch {}
+  await sendYearlyTable(ctx, userId, 0);
+});
+
+bot.action(/^table:(\d+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  try { await ctx.answerCbQuery(); } catch {}
+  await sendYearlyTable(ctx, userId, Number(ctx.match[1]), { edit: true });
+});
+
+bot.action("grid:back", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId) || clampParams({});
+  await renderCard(ctx, userId, cur);
+});
+
+bot.action(/^st:buy:(\d+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastStrategy) {
+    try { await ctx.answerCbQuery("Run /strategy va first"); } catch {}
+    return;
+  }
+
+  const cap = Number(ctx.match[1]);
+  const run = cur.lastStrategy;
+  await sendStrategy(ctx, userId, { ...run, params: { ...run.params, vaMaxBuyMultiple: cap > 0 ? cap : null } });
+});
+
+bot.action("st:sell", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastStrategy) {
+    try { await ctx.answerCbQuery("Run /strategy va first"); } catch {}
+    return;
+  }
+
+  const run = cur.lastStrategy;
+  const vaMaxSellMultiple = run.params.vaMaxSellMultiple === 0 ? null : 0;
+  await sendStrategy(ctx, userId, { ...run, params: { ...run.params, vaMaxSellMultiple } });
+});
+
+bot.action(/^rt:shock:(\d+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastRetirement) {
+    try { await ctx.answerCbQuery("Run /retire first"); } catch {}
+    return;
+  }
+
+  const run = cur.lastRetirement;
+  const shockPct = run.params.shockPct !== null ? run.params.shockPct : -30;
+  await sendRetirement(ctx, userId, {
+    ...run,
+    params: { ...run.params, shockPct, shockYear: Number(ctx.match[1]) }
+  });
+});
+
 bot.action("save", async (ctx) => {
   const userId = ctx.from?.id;
   if (!userId) return;
@@ -1319,7 +2970,7 @@ bot.action("save", async (ctx) => {
     return;
   }
 
-  const { savedScenario, lastSource, lastEtf, ...params } = cur;
+  const { savedScenario, lastSource, lastEtf, lastMonteCarlo, lastLumpSum, lastStrategy, lastRetirement, lastGrid, lastGoal, realMoney, chartView, chartScale, ...params } = cur;
   userState.set(userId, { ...cur, savedScenario: { ...params } });
 
   try { await ctx.answerCbQuery("Saved for this session only"); } catch {}
@@ -1355,7 +3006,7 @@ bot.action(/^journey:goal:(\d+)$/, async (ctx) => {
   if (!userId) return;
   try { await ctx.answerCbQuery(); } catch {}
 
-  await sendGoal(ctx, userId, Number(ctx.match[1]), 20, 10);
+  await sendGoal(ctx, userId, parseGoalCommand(`/goal ${ctx.match[1]}`));
   const cur = userState.get(userId) || clampParams({});
   userState.set(userId, { ...cur, lastSource: "goal" });
 });
@@ -1366,16 +3017,13 @@ bot.action(/^goal:(\d+)$/, async (ctx) => {
   if (!userId) return;
   try { await ctx.answerCbQuery(); } catch {}
 
-  const target = Number(ctx.match[1]);
-  const years = 20;
-  const annualReturn = 10;
-  await sendGoal(ctx, userId, target, years, annualReturn);
+  await sendGoal(ctx, userId, parseGoalCommand(`/goal ${ctx.match[1]}`));
   const cur = userState.get(userId) || clampParams({});
   userState.set(userId, { ...cur, lastSource: "goal" });
 });
 
-// Simulate from goal
-bot.action(/^sim:(\d+):(\d+):(\d+)$/, async (ctx) => {
+// Simulate a plain scenario (backtest and compare buttons)
+bot.action(/^sim:(\d+):(\d+):(\d+)(?::(\d+(?:\.\d+)?|inf))?$/, async (ctx) => {
   const userId = ctx.from?.id;
   if (!userId) return;
   try { await ctx.answerCbQuery(); } catch {}
@@ -1383,8 +3031,57 @@ bot.action(/^sim:(\d+):(\d+):(\d+)$/, async (ctx) => {
   const weekly = Number(ctx.match[1]);
   const years = Number(ctx.match[2]);
   const ret = Number(ctx.match[3]);
+  const raise = ctx.match[4] === "inf"
+    ? { contributionIncreasePct: 0, contributionIncreaseMode: "inflation" }
+    : { contributionIncreasePct: Number(ctx.match[4] || 0), contributionIncreaseMode: "fixed" };
+
+  await renderCard(ctx, userId, { weeklyAmount: weekly, years, annualReturnPct: ret, shockPct: null, shockYear: null, ...raise }, { source: "goal" });
+});
+
+// Simulate the last goal, solved again on the current card
+bot.action("goal:sim", async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastGoal) {
+    try { await ctx.answerCbQuery("Run /goal first"); } catch {}
+    return;
+  }
+
+  const { result, params } = planGoal(cur, cur.lastGoal);
+  if (result.solved === null) {
+    try { await ctx.answerCbQuery("That goal is out of reach on your current card"); } catch {}
+    return;
+  }
+  try { await ctx.answerCbQuery(); } catch {}
+  await renderCard(ctx, userId, params, { source: "goal" });
+});
+
+// Switch the goal between the plain plan (0) and a confidence level over random markets
+bot.action(/^goal:conf:(\d+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
+
+  const cur = userState.get(userId);
+  if (!cur?.lastGoal) {
+    try { await ctx.answerCbQuery("Run /goal first"); } catch {}
+    return;
+  }
+
+  try { await ctx.answerCbQuery(); } catch {}
+  const confidence = Number(ctx.match[1]) || null;
+  await sendGoal(ctx, userId, { ...cur.lastGoal, confidence }, { edit: true });
+});
+
+// Backtest ticker buttons (same window, different asset)
+bot.action(/^bt:(\w+):(\d{4}):(\d{4})$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  if (isRateLimited(userId, RATE_LIMIT.button)) return;
 
-  await renderCard(ctx, userId, { weeklyAmount: weekly, years, annualReturnPct: ret, shockPct: null, shockYear: null }, { source: "goal" });
+  await sendBacktest(ctx, userId, ctx.match[1], Number(ctx.match[2]), Number(ctx.match[3]));
 });
 
 // Compare preset buttons
@@ -1465,6 +3162,28 @@ bot.action(/^mix:yrs:([+-]\d+):(.+)$/, async (ctx) => {
   });
 });
 
+// Cycle the mix rebalancing policy
+bot.action(/^mix:reb:(.+)$/, async (ctx) => {
+  const userId = ctx.from?.id;
+  if (!userId) return;
+  try { await ctx.answerCbQuery(); } catch {}
+
+  const mixShort = ctx.match[1];
+  const cur = userState.get(userId) || clampParams({});
+  const order = Object.keys(REBALANCE_POLICIES);
+  const current = (cur.mixRebalance && cur.mixRebalance.policy) || "annual";
+  const policy = order[(order.indexOf(current) + 1) % order.length];
+  userState.set(userId, { ...cur, mixRebalance: { ...(cur.mixRebalance || {}), policy } });
+
+  const allocations = parseMixShortAllocations(mixShort);
+  if (allocations.length === 0) return;
+
+  await renderMixSummary(ctx, userId, allocations, {
+    edit: true,
+    keyboardOptions: { amountButtonsWithDollar: false }
+  });
+});
+
 // Mix full simulation (shows chart)
 bot.action(/^mix:run:(.+)$/, async (ctx) => {
   const userId = ctx.from?.id;
@@ -1537,7 +3256,15 @@ module.exports = {
   ETF_PRESETS,
   DEFAULTS,
   LIMITS,
+  RECOVERY_SHAPES,
+  FREQUENCIES,
+  GRID_AXES,
+  FX_RATES,
+  REBALANCE_POLICIES,
   RATE_LIMIT,
+  MONTE_CARLO,
+  GOAL_ODDS,
+  YEARLY_TABLE_ROWS,
 
   // Utility functions
   toNum,
@@ -1551,17 +3278,55 @@ module.exports = {
 
   // Simulation
   simulateDCA,
+  inTodaysMoney,
+  computeMetrics,
+  simulateMonteCarlo,
+  simulateGoalOdds,
+  simulateBacktest,
+  etfScenarioParams,
+  simulateLumpSum,
+  compareStrategies,
+  costEfficiency,
+  simulateGrid,
+  simulateRetirement,
+  safeWithdrawalRate,
+  solveGoal,
+  simulateMix,
 
   // Parsing
   parseDcaCommand,
+  buildDcaCommand,
   parseCompareCommand,
+  parseGoalCommand,
+  parseMonteCarloCommand,
+  parseLumpSumCommand,
+  parseFrequencyCommand,
+  parseGridCommand,
+  parseStrategyCommand,
+  parseRetireCommand,
+  parseBacktestCommand,
   parseMixShortAllocations,
+  parseMixRebalance,
   buildMixSimulationState,
   renderMixSummary,
   buildWelcomeMenu,
+  buildEtfListMessage,
   keyboardFor,
   buildMixControlsKeyboard,
   formatMoney,
+  buildLumpSumCaption,
+  buildStrategyCaption,
+  buildCostReport,
+  buildGoalMessage,
+  buildGridCaption,
+  buildYearlyTable,
+  buildRetirementCaption,
+  quickFanChartUrl,
+  quickDrawdownChartUrl,
+  quickChartUrl,
+  quickCompareChartUrl,
+  chartOptionsFor,
+  quickHeatmapChartUrl,
   HELP_QUICK_ETF_TEXT,
   HELP_ETF_RETURNS_TEXT
 };
@@ -2,6 +2,11 @@
 
 const assert = require("assert");
 const simModule = require("./src/sim/simulation");
+const monteCarloModule = require("./src/sim/montecarlo");
+const backtestModule = require("./src/sim/backtest");
+const portfolioModule = require("./src/sim/portfolio");
+const gridModule = require("./src/sim/grid");
+const metricsModule = require("./src/sim/metrics");
 const parsingModule = require("./src/parsing/commands");
 const formattingModule = require("./src/ui/formatting");
 const {
@@ -9,12 +14,25 @@ const {
   ETF_PRESETS,
   DEFAULTS,
   LIMITS,
+  MONTE_CARLO,
+  RECOVERY_SHAPES,
+  FREQUENCIES,
+  FX_RATES,
   toNum,
   clamp,
   escHtml,
   buildWelcomeMenu,
+  buildEtfListMessage,
+  etfScenarioParams,
   keyboardFor,
+  quickHeatmapChartUrl,
+  quickDrawdownChartUrl,
+  quickChartUrl,
+  quickCompareChartUrl,
+  chartOptionsFor,
   buildMixControlsKeyboard,
+  simulateBacktest,
+  computeMetrics,
   HELP_QUICK_ETF_TEXT,
   HELP_ETF_RETURNS_TEXT
 } = require("./index.js");
@@ -22,11 +40,46 @@ const {
 const weeklyRateFromAnnual = simModule.weeklyRateFromAnnual;
 const weeklyFeeFactorFromAnnual = simModule.weeklyFeeFactorFromAnnual;
 const clampParams = (p) => simModule.clampParams(p, { DEFAULTS, LIMITS, toNum, clamp });
-const simulateDCA = (params) => simModule.simulateDCA(params, { clampParams, weeklyRateFromAnnual, weeklyFeeFactorFromAnnual });
-const parseDcaCommand = (text) => parsingModule.parseDcaCommand(text, { DEFAULTS, toNum, clampParams });
+const simulateDCA = (params, options = {}) => simModule.simulateDCA(params, {
+  clampParams,
+  periodReturns: options.periodReturns,
+  baselines: options.baselines
+});
+const simulateLumpSum = (params, options) => simModule.simulateLumpSum(params, options, { clampParams });
+const compareStrategies = (params) => simModule.compareStrategies(params, { clampParams });
+const costEfficiency = (params) => simModule.costEfficiency(params, { clampParams });
+const simulateGrid = (params, options) => gridModule.simulateGrid(params, options, { simulateDCA, clampParams, LIMITS });
+const simulateRetirement = (params, options) => simModule.simulateRetirement(params, options, { clampParams });
+const safeWithdrawalRate = (params, options) => simModule.safeWithdrawalRate(params, options, { clampParams });
+const solveGoal = (params, options) => simModule.solveGoal(params, options, { clampParams, LIMITS });
+const simulateMonteCarlo = (params, options) => monteCarloModule.simulateMonteCarlo(params, options, {
+  simulateDCA,
+  clampParams,
+  periodsPerYearFor: simModule.periodsPerYearFor
+});
+const simulateGoalOdds = (params, options) => monteCarloModule.simulateGoalOdds(params, options, {
+  simulateDCA,
+  clampParams,
+  periodsPerYearFor: simModule.periodsPerYearFor
+});
+const parseDcaCommand = (text) => parsingModule.parseDcaCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, toNum, clampParams });
+const buildDcaCommand = (p) => parsingModule.buildDcaCommand(p, { DEFAULTS });
+const parseGoalCommand = (text) => parsingModule.parseGoalCommand(text, { toNum });
+const parseMonteCarloCommand = (text) => parsingModule.parseMonteCarloCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, MONTE_CARLO, toNum, clamp, clampParams });
+const parseLumpSumCommand = (text) => parsingModule.parseLumpSumCommand(text, { DEFAULTS, LIMITS, RECOVERY_SHAPES, FREQUENCIES, toNum, clamp, clampParams });
+const parseStrategyCommand = (text) => parsingModule.parseStrategyCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, toNum, clampParams });
+const parseRetireCommand = (text) => parsingModule.parseRetireCommand(text, { DEFAULTS, LIMITS, RECOVERY_SHAPES, FREQUENCIES, toNum, clamp, clampParams });
+const parseBacktestCommand = (text) => parsingModule.parseBacktestCommand(text, { toNum });
 const parseCompareCommand = (text) => parsingModule.parseCompareCommand(text, { DEFAULTS, toNum, clampParams });
 const parseMixShortAllocations = (mixShort) => parsingModule.parseMixShortAllocations(mixShort, { ETF_PRESETS });
-const buildMixSimulationState = (allocations, baseState) => parsingModule.buildMixSimulationState(allocations, baseState, { simulateDCA });
+const simulateMix = (allocations, params, options = {}) => portfolioModule.simulateMix(allocations, params, options, {
+  clampParams,
+  periodRateFromAnnual: simModule.periodRateFromAnnual,
+  periodFeeFactorFromAnnual: simModule.periodFeeFactorFromAnnual,
+  periodsPerYearFor: simModule.periodsPerYearFor
+});
+const parseMixRebalance = (text) => parsingModule.parseMixRebalance(text, { REBALANCE_POLICIES: portfolioModule.REBALANCE_POLICIES, toNum });
+const buildMixSimulationState = (allocations, baseState) => parsingModule.buildMixSimulationState(allocations, baseState, { simulateMix, computeMetrics });
 const formatMoney = (x, currencyCode = "usd") => formattingModule.formatMoney(x, currencyCode, {
   CURRENCIES: {
     usd: { symbol: "$", name: "US Dollar", code: "USD" },
@@ -194,6 +247,22 @@ test("clampParams clamps shockYear to years", () => {
   assert.strictEqual(result.shockYear, 10);
 });
 
+test("clampParams keeps shockPct/shockYear as the first entry of the shock schedule", () => {
+  const result = clampParams({
+    years: 10,
+    shockPct: -40,
+    shockYear: 2,
+    shocks: [{ pct: -30, year: 3, weeks: 26 }, { pct: -20, year: 12, weeks: 9999 }]
+  });
+  assert.deepStrictEqual(result.shocks, [
+    { pct: -40, year: 2, weeks: 26 },
+    { pct: -20, year: 10, weeks: LIMITS.shockWeeks.max }
+  ]);
+
+  const off = clampParams({ shockPct: null, shockYear: null, shocks: [{ pct: -30, year: 3, weeks: 0 }] });
+  assert.deepStrictEqual(off.shocks, []);
+});
+
 test("clampParams enforces shock percentage limits", () => {
   const tooLow = clampParams({ shockPct: -99, shockYear: 3 });
   assert.strictEqual(tooLow.shockPct, LIMITS.shockPct.min);
@@ -307,6 +376,116 @@ test("simulateDCA calculates recovery time", () => {
   assert(result.recoveryWeeks > 0);
 });
 
+test("simulateDCA spreads a gradual shock over its duration", () => {
+  const instant = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 0, shockPct: -30, shockYear: 3 });
+  const gradual = simulateDCA({
+    weeklyAmount: 100, years: 10, annualReturnPct: 0, shockPct: -30, shockYear: 3,
+    shocks: [{ pct: -30, year: 3, weeks: 26 }]
+  });
+
+  const start = 3 * 52 - 1;
+  assertClose(instant.series[start] / (instant.series[start - 1] + 100), 0.7, 0.0001);
+  assertClose(gradual.series[start] / (gradual.series[start - 1] + 100), Math.pow(0.7, 1 / 26), 0.0001);
+  const end = start + 25;
+  assert(gradual.series[end + 1] > gradual.series[end] + 99);
+  // With flat returns, contributions made during a slow crash are marked down too.
+  assert(gradual.finalValue < instant.finalValue);
+});
+
+test("simulateDCA tracks drawdown and recovery per shock", () => {
+  const result = simulateDCA({
+    weeklyAmount: 100, years: 15, annualReturnPct: 10, shockPct: -30, shockYear: 3,
+    shocks: [{ pct: -30, year: 3, weeks: 26 }, { pct: -20, year: 8, weeks: 0 }]
+  });
+
+  assert.strictEqual(result.shocks.length, 2);
+  assert(result.shocks[0].drawdownPct < -10);
+  assert(result.shocks[1].drawdownPct <= -19);
+  assert(result.shocks.every((shock) => shock.recoveryWeeks > 0));
+  assert.strictEqual(result.recoveryWeeks, result.shocks[0].recoveryWeeks);
+});
+
+test("simulateDCA recovery shapes change the post-shock path", () => {
+  const run = (shape) => simulateDCA({
+    weeklyAmount: 100, years: 8, annualReturnPct: 0, shockPct: -30, shockYear: 4, recoveryShape: shape
+  });
+
+  const steady = run("steady");
+  const v = run("v");
+  const u = run("u");
+  const l = run("l");
+  const w = run("w");
+
+  // In a flat market steady/L only recover through new contributions.
+  assert(v.recoveryWeeks < u.recoveryWeeks);
+  assert(u.recoveryWeeks < steady.recoveryWeeks);
+  assert(w.recoveryWeeks < steady.recoveryWeeks);
+  assert.strictEqual(l.finalValue, steady.finalValue);
+  assert(v.finalValue > steady.finalValue);
+});
+
+test("L recovery depresses returns for the chosen months", () => {
+  const params = { weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -30, shockYear: 2 };
+  const steady = simulateDCA(params);
+  const shortL = simulateDCA({ ...params, recoveryShape: "l", recoveryMonths: 12 });
+  const longL = simulateDCA({ ...params, recoveryShape: "l", recoveryMonths: 60 });
+
+  assert(shortL.finalValue < steady.finalValue);
+  assert(longL.finalValue < shortL.finalValue);
+});
+
+test("clampParams falls back to steady for unknown recovery shapes", () => {
+  assert.strictEqual(clampParams({ recoveryShape: "z" }).recoveryShape, "steady");
+  assert.strictEqual(clampParams({ recoveryShape: "u", recoveryMonths: 999 }).recoveryMonths, LIMITS.recoveryMonths.max);
+  assert.strictEqual(clampParams({ recoveryShape: "u" }).recoveryMonths, null);
+});
+
+test("simulateDCA steps contributions up once per year", () => {
+  const result = simulateDCA({ weeklyAmount: 100, years: 3, annualReturnPct: 0, contributionIncreasePct: 10 });
+
+  assertClose(result.contributed, 52 * (100 + 110 + 121), 0.001);
+  assertClose(result.finalContribution, 121, 0.001);
+
+  const flat = simulateDCA({ weeklyAmount: 100, years: 3, annualReturnPct: 0 });
+  assert.strictEqual(flat.finalContribution, 100);
+});
+
+test("simulateDCA can index contributions to inflation", () => {
+  const result = simulateDCA({
+    weeklyAmount: 100, years: 2, annualReturnPct: 0, inflationPct: 5,
+    contributionIncreasePct: 20, contributionIncreaseMode: "inflation", frequency: "monthly"
+  });
+
+  assertClose(result.contributed, 12 * (100 + 105), 0.001);
+});
+
+test("simulateDCA honours an explicit 0% inflation", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, inflationPct: 0 });
+  assert.strictEqual(sim.params.inflationPct, 0);
+  assertClose(sim.inflationAdjusted, sim.finalValue, 0.001);
+  assertClose(sim.contributedReal, sim.contributed, 0.001);
+
+  assert.strictEqual(clampParams({ inflationPct: 99 }).inflationPct, LIMITS.inflationPct.max);
+});
+
+test("inTodaysMoney deflates final value, contributions, milestones and series", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 2, annualReturnPct: 0, inflationPct: 3 });
+  const real = simModule.inTodaysMoney(sim);
+
+  assert.strictEqual(real.realMoney, true);
+  assertClose(real.nominalFinalValue, 10400, 0.001);
+  assertClose(real.finalValue, 10400 / Math.pow(1.03, 2), 0.001);
+  assertClose(real.milestones[1], sim.milestones[1] / 1.03, 0.001);
+  assertClose(real.series[real.series.length - 1], real.finalValue, 0.001);
+  assert(real.contributed < sim.contributed && real.contributed > real.finalValue);
+  assert(real.gains < 0);
+
+  const indexed = simModule.inTodaysMoney(simulateDCA({
+    weeklyAmount: 100, years: 2, annualReturnPct: 0, inflationPct: 3, contributionIncreaseMode: "inflation", frequency: "monthly"
+  }));
+  assertClose(indexed.finalContribution, 103 / Math.pow(1.03, 23 / 12), 0.001);
+});
+
 test("simulateDCA handles 0 years", () => {
   const result = simulateDCA({
     weeklyAmount: 100,
@@ -342,6 +521,1275 @@ test("simulateDCA handles negative returns", () => {
   assert(result.maxDrawdownPct <= 0);
 });
 
+test("simulateDCA follows explicit per-period returns", () => {
+  const periodReturns = new Array(52).fill(0);
+  periodReturns[0] = 1;
+  const result = simulateDCA({ weeklyAmount: 100, years: 1, annualReturnPct: 50 }, { periodReturns });
+
+  assert.strictEqual(result.finalValue, 200 + 100 * 51);
+});
+
+test("simulateDCA invests the initial amount on day one", () => {
+  const result = simulateDCA({ weeklyAmount: 0, years: 1, annualReturnPct: 7, initialAmount: 1000 });
+
+  assert.strictEqual(result.contributed, 1000);
+  assertClose(result.finalValue, 1070, 0.5);
+  assert.strictEqual(result.series.length, 52);
+});
+
+test("simulateDCA stops contributing after contributionWeeks", () => {
+  const result = simulateDCA({ weeklyAmount: 100, years: 2, annualReturnPct: 0, contributionWeeks: 26 });
+
+  assert.strictEqual(result.contributed, 2600);
+  assert.strictEqual(result.series[25], 2600);
+  assert.strictEqual(result.finalValue, 2600);
+});
+
+test("simulateDCA taxes gains above cost basis on the final sale", () => {
+  const untaxed = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7 });
+  const taxed = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, capitalGainsTaxPct: 20, taxExemption: 1000 });
+
+  assert.strictEqual(taxed.finalValue, untaxed.finalValue);
+  assert.strictEqual(taxed.costBasis, taxed.contributed);
+  assertClose(taxed.capitalGainsTax, (taxed.gains - 1000) * 0.2, 0.01);
+  assertClose(taxed.afterTaxFinalValue, taxed.finalValue - taxed.capitalGainsTax, 0.01);
+  assert.strictEqual(untaxed.totalTaxPaid, 0);
+  assert.strictEqual(untaxed.afterTaxFinalValue, untaxed.finalValue);
+});
+
+test("simulateDCA dividend tax drags growth and raises cost basis", () => {
+  const base = { weeklyAmount: 100, years: 10, annualReturnPct: 7, dividendYieldPct: 2 };
+  const pretax = simulateDCA(base);
+  const taxed = simulateDCA({ ...base, dividendTaxPct: 30 });
+
+  assertClose(pretax.finalValue, simulateDCA({ ...base, dividendYieldPct: 0 }).finalValue, 0.01);
+  assert(pretax.costBasis > pretax.contributed);
+  assert(taxed.dividendTaxPaid > 0);
+  assert(taxed.finalValue < pretax.finalValue);
+  assertClose(taxed.totalTaxPaid, taxed.dividendTaxPaid, 0.0001);
+});
+
+test("simulateDCA payout mode takes dividends out as income", () => {
+  const base = { weeklyAmount: 0, initialAmount: 10000, years: 1, annualReturnPct: 10, dividendYieldPct: 3 };
+  const reinvest = simulateDCA(base);
+  const payout = simulateDCA({ ...base, dividendMode: "payout" });
+
+  assertClose(reinvest.finalValue, 11000, 0.5);
+  // Price growth is roughly total return minus yield; cash taken out no longer compounds.
+  assertClose(payout.finalValue, 10700, 25);
+  assertClose(payout.dividendsPaidOut, 300, 10);
+  assert(payout.finalValue + payout.dividendsPaidOut < reinvest.finalValue);
+  assert.strictEqual(payout.costBasis, 10000);
+  assert.strictEqual(payout.dividendSeries.length, 52);
+  assertClose(payout.finalYearDividendIncome, payout.dividendsPaidOut, 0.0001);
+});
+
+test("simulateDCA reports dividend income reached in the final year", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, dividendYieldPct: 2, dividendTaxPct: 25 });
+  const lastYear = sim.dividendSeries.slice(-52).reduce((a, b) => a + b, 0);
+
+  assertClose(sim.finalYearDividendIncome, lastYear, 0.0001);
+  assert(sim.finalYearDividendIncome > sim.dividendSeries.slice(0, 52).reduce((a, b) => a + b, 0));
+  assert.strictEqual(sim.dividendsPaidOut, 0);
+  assert.strictEqual(simulateDCA({ weeklyAmount: 100, years: 1 }).finalYearDividendIncome, 0);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Lump Sum vs DCA Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nLump Sum vs DCA:");
+
+test("simulateLumpSum invests the same total and lump sum wins without shocks", () => {
+  const result = simulateLumpSum({ years: 10, annualReturnPct: 7 }, { amount: 52000, spreadWeeks: 52 });
+
+  assertClose(result.lump.contributed, 52000, 0.01);
+  assertClose(result.dca.contributed, 52000, 0.01);
+  assert.strictEqual(result.winner, "lump");
+  assert(result.diff > 0);
+  assert.strictEqual(result.shocksDuringSpread.length, 0);
+});
+
+test("simulateLumpSum favours DCA when the crash lands inside the DCA window", () => {
+  const early = simulateLumpSum(
+    { years: 5, annualReturnPct: 7, shockPct: -40, shockYear: 0.25 },
+    { amount: 52000, spreadWeeks: 52 }
+  );
+  assert.strictEqual(early.winner, "dca");
+  assert.strictEqual(early.shocksDuringSpread.length, 1);
+  assert(early.lump.maxDrawdownPct < early.dca.maxDrawdownPct);
+
+  const late = simulateLumpSum(
+    { years: 5, annualReturnPct: 7, shockPct: -40, shockYear: 3 },
+    { amount: 52000, spreadWeeks: 52 }
+  );
+  assert.strictEqual(late.winner, "lump");
+  assert.strictEqual(late.shocksDuringSpread.length, 0);
+});
+
+test("simulateLumpSum DCA leg buys at least once when the window is shorter than a period", () => {
+  const monthly = simulateLumpSum({ years: 10, annualReturnPct: 7, frequency: "monthly" }, { amount: 52000, spreadWeeks: 1 });
+  assertClose(monthly.dca.contributed, 52000, 0.01);
+  assert.strictEqual(monthly.winner, "tie");
+
+  const annual = simulateLumpSum({ years: 10, annualReturnPct: 7, frequency: "annual" }, { amount: 52000, spreadWeeks: 13 });
+  assertClose(annual.dca.contributed, 52000, 0.01);
+  assert(annual.diff < 1000);
+});
+
+test("buildLumpSumCaption names the winner and explains the shock timing", () => {
+  const result = simulateLumpSum(
+    { years: 5, annualReturnPct: 7, shockPct: -40, shockYear: 0.25 },
+    { amount: 52000, spreadWeeks: 52 }
+  );
+  const caption = formattingModule.buildLumpSumCaption(result, { escHtml, formatMoney, FREQUENCIES });
+
+  assert(caption.includes("Lump Sum vs DCA"));
+  assert(caption.includes("DCA over 52 weeks ($1,000/wk)"));
+  assert(caption.includes("DCA ahead by"));
+  assert(caption.includes("crash at year 0.25 landed while cash was still waiting"));
+});
+
+test("parseLumpSumCommand reads the DCA window without stealing a shock's duration", () => {
+  const parsed = parseLumpSumCommand("/lumpsum 60000 10 8 shock -30 at 1 over 12w over 26w");
+  assert.strictEqual(parsed.amount, 60000);
+  assert.strictEqual(parsed.spreadWeeks, 26);
+  assert.strictEqual(parsed.params.years, 10);
+  assert.strictEqual(parsed.params.shocks[0].weeks, 12);
+
+  const defaults = parseLumpSumCommand("/lumpsum 999999999 5 7");
+  assert.strictEqual(defaults.amount, LIMITS.initialAmount.max);
+  assert.strictEqual(defaults.spreadWeeks, 52);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Value Averaging Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nValue Averaging:");
+
+test("value averaging matches plain DCA when returns are constant", () => {
+  const result = compareStrategies({ weeklyAmount: 100, years: 10, annualReturnPct: 8, annualFeePct: 0.2, dividendYieldPct: 1.3, dividendTaxPct: 15 });
+
+  assertClose(result.va.finalValue, result.dca.finalValue, 0.01);
+  assertClose(result.va.cashInvested, result.dca.cashInvested, 0.01);
+  assert.strictEqual(result.va.cashWithdrawn, 0);
+  assertClose(result.va.largestContribution, 100, 0.01);
+});
+
+test("value averaging buys the dip and needs more cash after a shock", () => {
+  const result = compareStrategies({ weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -40, shockYear: 3 });
+
+  assert.strictEqual(result.dca.strategy, "dca");
+  assert.strictEqual(result.va.strategy, "va");
+  assert(result.va.largestContribution > 1000);
+  assert(result.extraCash > 0);
+  assert(result.diff > 0);
+  assertClose(result.diff, result.va.finalValue - result.dca.finalValue, 0.01);
+});
+
+test("value averaging respects buy caps and the no-sell switch", () => {
+  const capped = compareStrategies({ weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -40, shockYear: 3, vaMaxBuyMultiple: 3 });
+  assert(capped.va.largestContribution <= 300 + 1e-9);
+
+  // A V-shaped rebound overshoots the target path, so uncapped VA sells.
+  const rebound = { weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -40, shockYear: 3, recoveryShape: "v" };
+  assert(compareStrategies(rebound).va.cashWithdrawn > 0);
+  assert.strictEqual(compareStrategies({ ...rebound, vaMaxSellMultiple: 0 }).va.cashWithdrawn, 0);
+});
+
+test("parseStrategyCommand reads /dca arguments plus VA caps", () => {
+  const run = parseStrategyCommand("/strategy va 200 15 9 maxbuy 3x nosell shock -30 at 2");
+  assert.strictEqual(run.strategy, "va");
+  assert.strictEqual(run.params.strategy, "va");
+  assert.strictEqual(run.params.weeklyAmount, 200);
+  assert.strictEqual(run.params.vaMaxBuyMultiple, 3);
+  assert.strictEqual(run.params.vaMaxSellMultiple, 0);
+  assert.strictEqual(run.params.shockPct, -30);
+  assert.strictEqual(parseStrategyCommand("/strategy martingale 100 10 8"), null);
+
+  const params = parseDcaCommand("/dca 100 10 8 strategy va maxbuy 2 maxsell 1");
+  assert.strictEqual(buildDcaCommand(params), "/dca 100 10 8 strategy va maxbuy 2 maxsell 1");
+});
+
+test("buildStrategyCaption reports cash required, largest buy and the difference", () => {
+  const result = compareStrategies({ weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -40, shockYear: 3, vaMaxBuyMultiple: 5 });
+  const caption = formattingModule.buildStrategyCaption(result, { escHtml, formatMoney, FREQUENCIES });
+
+  assert(caption.includes("Value Averaging vs DCA"));
+  assert(caption.includes("Strategy: value averaging (buys ≤5×)"));
+  assert(caption.includes("DCA: cash in $52,000"));
+  assert(caption.includes("largest $500"));
+  assert(caption.includes("VA ends $"));
+  assert(caption.length <= 1024);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Dip Rule Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nDip Rules:");
+
+test("dip multiplier only kicks in while the drawdown is past the threshold", () => {
+  const calm = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, dipDrawdownPct: -20 });
+  assert.strictEqual(calm.dip.extraInvested, 0);
+  assertClose(calm.dip.finalValueEffect, 0, 0.01);
+
+  const crash = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -40, shockYear: 3, dipDrawdownPct: -20, dipMultiplier: 2 });
+  assert(crash.dip.extraInvested > 0);
+  assertClose(crash.contributed, 52000 + crash.dip.extraInvested, 0.01);
+  assert(crash.dip.finalValueEffect > crash.dip.extraInvested);
+  assert(crash.recoveryWeeks < crash.dip.baselineRecoveryWeeks);
+});
+
+test("dip reserve deploys once, on the first crossing", () => {
+  const sim = simulateDCA({
+    weeklyAmount: 100,
+    years: 10,
+    annualReturnPct: 8,
+    shocks: [{ pct: -40, year: 3 }, { pct: -40, year: 7 }],
+    shockPct: -40,
+    shockYear: 3,
+    dipReserve: 5000,
+    dipReserveDrawdownPct: -30
+  });
+  assert.strictEqual(sim.dip.extraInvested, 5000);
+  assertClose(sim.dip.reserveDeployedYear, 3, 0.05);
+
+  const never = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -10, shockYear: 3, dipReserve: 5000 });
+  assert.strictEqual(never.dip.reserveDeployedYear, null);
+  assert.strictEqual(never.dip.extraInvested, 0);
+  assert.strictEqual(simulateDCA({ weeklyAmount: 100, years: 10 }).dip, null);
+});
+
+test("parseDcaCommand reads dip rules and buildDcaCommand writes them back", () => {
+  const params = parseDcaCommand("/dca 100 10 8 dip 3x below 25 reserve 5000 at -30 shock -40 at 3");
+  assert.strictEqual(params.dipMultiplier, 3);
+  assert.strictEqual(params.dipDrawdownPct, -25);
+  assert.strictEqual(params.dipReserve, 5000);
+  assert.strictEqual(params.dipReserveDrawdownPct, -30);
+  assert.strictEqual(buildDcaCommand(params), "/dca 100 10 8 dip 3x below -25 reserve 5000 at -30 shock -40 at 3");
+});
+
+test("buildCaption reports extra invested, final value effect and recovery change", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -40, shockYear: 3, dipReserve: 5000 });
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+
+  assert(caption.includes("Dip: $5,000 reserve at -30%"));
+  assert(caption.includes("Dip buys: $5,000 extra, reserve used in year 3"));
+  assert(caption.includes("after the extra cash"));
+  assert(caption.includes(`vs ${sim.dip.baselineRecoveryWeeks} weeks without the rules`));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Contribution Schedule Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nContribution Schedules:");
+
+test("every schedule contributes its periods per year", () => {
+  for (const [key, freq] of Object.entries(FREQUENCIES)) {
+    const sim = simulateDCA({ weeklyAmount: 100, years: 2, annualReturnPct: 0, frequency: key });
+    assert.strictEqual(sim.params.frequency, key);
+    assertClose(sim.contributed, 100 * freq.periodsPerYear * 2, 0.01);
+    assert.strictEqual(sim.series.length, freq.periodsPerYear * 2);
+  }
+  assert.strictEqual(clampParams({ frequency: "hourly" }).frequency, "weekly");
+});
+
+test("recovery weeks are measured in calendar weeks on every schedule", () => {
+  const base = { weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -30, shockYear: 3 };
+  const weekly = simulateDCA({ ...base, frequency: "weekly" }).recoveryWeeks;
+  for (const key of ["daily", "biweekly", "monthly", "quarterly"]) {
+    const weeks = simulateDCA({ ...base, frequency: key }).recoveryWeeks;
+    assert(Math.abs(weeks - weekly) <= 14, `${key} recovery ${weeks} should be near weekly ${weekly}`);
+  }
+});
+
+test("paying at period end invests later and ends lower", () => {
+  const start = simulateDCA({ weeklyAmount: 500, years: 10, annualReturnPct: 8, frequency: "quarterly" });
+  const end = simulateDCA({ weeklyAmount: 500, years: 10, annualReturnPct: 8, frequency: "quarterly", contributionTiming: "end" });
+  assertClose(end.contributed, start.contributed, 0.01);
+  assert(end.finalValue < start.finalValue);
+  assertClose(start.finalValue / end.finalValue, Math.pow(1.08, 0.25), 0.001);
+  assert.strictEqual(clampParams({ contributionTiming: "middle" }).contributionTiming, "start");
+});
+
+test("parseDcaCommand reads freq and timing and buildDcaCommand writes them back", () => {
+  const params = parseDcaCommand("/dca 200 10 8 freq fortnightly timing end");
+  assert.strictEqual(params.frequency, "biweekly");
+  assert.strictEqual(params.contributionTiming, "end");
+  assert.strictEqual(buildDcaCommand(params), "/dca 200 10 8 freq biweekly timing end");
+  assert.strictEqual(parseDcaCommand("/dca 200 10 8 freq quarter").frequency, "quarterly");
+
+  const parse = (text) => parsingModule.parseFrequencyCommand(text, { FREQUENCIES });
+  assert.deepStrictEqual(parse("/frequency semi-monthly end"), { frequency: "semimonthly", timing: "end" });
+  assert.deepStrictEqual(parse("/frequency"), { frequency: null, timing: null });
+});
+
+test("caption and keyboard follow the schedule", () => {
+  const sim = simulateDCA({ weeklyAmount: 200, years: 10, annualReturnPct: 8, frequency: "biweekly", contributionTiming: "end" });
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+  assert(caption.includes("Biweekly:"));
+  assert(caption.includes("Paid at period end"));
+
+  const actions = inlineRows(keyboardFor(sim.params)).flat().map((button) => button.text);
+  assert(actions.includes("$-50/2wk"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Contribution Gap Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nContribution Gaps:");
+
+test("a pause skips contributions for its length and reports the cost", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, pauseYears: 1.5, pauseStartYear: 3 });
+  assertClose(sim.pause.missedContributions, 78 * 100, 0.01);
+  assertClose(sim.contributed, 52000 - 7800, 0.01);
+  assertClose(sim.pause.startYear, 3, 0.001);
+  assert(sim.pause.cost > sim.pause.missedContributions);
+  assertClose(sim.pause.baselineFinalValue, simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8 }).finalValue, 0.001);
+  assert.strictEqual(simulateDCA({ weeklyAmount: 100, years: 10 }).pause, null);
+});
+
+test("a pause tied to the shock starts at the crash and can force sales", () => {
+  const base = { weeklyAmount: 100, years: 10, annualReturnPct: 8, shockPct: -30, shockYear: 5 };
+  const sim = simulateDCA({ ...base, pauseYears: 1, pauseAtShock: true, pauseWithdrawal: 50 });
+  assertClose(sim.pause.startYear, 5, 0.03);
+  assertClose(sim.pause.withdrawn, 52 * 50, 0.01);
+  assertClose(sim.contributed, 52000 - 5200 - 2600, 0.01);
+
+  const noShock = simulateDCA({ weeklyAmount: 100, years: 10, pauseYears: 1, pauseAtShock: true, pauseStartYear: 2 });
+  assertClose(noShock.pause.startYear, 2, 0.001);
+});
+
+test("parseDcaCommand reads pause syntax and buildDcaCommand writes it back", () => {
+  const params = parseDcaCommand("/dca 100 10 8 pause 18m from shock withdraw 300 shock -30 at 3");
+  assert.strictEqual(params.pauseYears, 1.5);
+  assert.strictEqual(params.pauseAtShock, true);
+  assert.strictEqual(params.pauseWithdrawal, 300);
+  assert.strictEqual(buildDcaCommand(params), "/dca 100 10 8 pause 1.5 from shock withdraw 300 shock -30 at 3");
+  assert.strictEqual(parseDcaCommand("/dca 100 10 8 pause 2y at 4").pauseStartYear, 4);
+});
+
+test("caption shows missed buys and gap cost; keyboard toggles the gap", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, pauseYears: 1, pauseStartYear: 3, pauseWithdrawal: 50 });
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+  assert(caption.includes("Pause: 1y from yr 3, selling $50/wk"));
+  assert(caption.includes(`Gap: $5,200 of buys missed, $2,600 sold → final -${formatMoney(sim.pause.cost)} vs no gap`));
+
+  const label = (p) => inlineRows(keyboardFor(p)).flat().find((b) => b.callback_data === "pause:toggle").text;
+  assert.strictEqual(label(sim.params), "▶️ Remove contribution gap");
+  assert.strictEqual(label(clampParams({})), "⏸️ 1-year job loss");
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Trading Cost Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nTrading Costs:");
+
+test("per-trade costs come out of every buy but not out of contributed", () => {
+  const free = simulateDCA({ weeklyAmount: 100, years: 1, annualReturnPct: 0 });
+  const fixed = simulateDCA({ weeklyAmount: 100, years: 1, annualReturnPct: 0, tradeFixedFee: 1, spreadBps: 10 });
+  assert.strictEqual(fixed.trades, 52);
+  assertClose(fixed.tradingCosts, 52 * (1 + 0.1), 0.001);
+  assertClose(fixed.contributed, free.contributed, 0.001);
+  assertClose(fixed.finalValue, free.finalValue - fixed.tradingCosts, 0.001);
+  assert.strictEqual(free.tradingCosts, 0);
+});
+
+test("percentage commission never charges less than its minimum", () => {
+  const small = simulateDCA({ weeklyAmount: 50, years: 1, annualReturnPct: 0, tradeFeePct: 0.25, tradeMinFee: 1 });
+  assertClose(small.tradingCosts, 52, 0.001);
+  const large = simulateDCA({ weeklyAmount: 1000, years: 1, annualReturnPct: 0, tradeFeePct: 0.25, tradeMinFee: 1 });
+  assertClose(large.tradingCosts, 52 * 2.5, 0.001);
+  const initial = simulateDCA({ weeklyAmount: 0, years: 1, annualReturnPct: 0, initialAmount: 10000, tradeFixedFee: 5 });
+  assert.strictEqual(initial.trades, 1);
+  assertClose(initial.finalValue, 9995, 0.001);
+});
+
+test("costEfficiency finds the schedule that loses least to fees and waiting", () => {
+  const flat = costEfficiency({ weeklyAmount: 50, years: 10, annualReturnPct: 8, tradeFixedFee: 5 });
+  assert.strictEqual(flat.rows.length, Object.keys(FREQUENCIES).length);
+  assertClose(flat.yearlyAmount, 2600, 0.001);
+  assert.notStrictEqual(flat.best, "weekly");
+  assert(flat.savings > 0);
+  const weekly = flat.rows.find((row) => row.frequency === "weekly");
+  assert(weekly.tradingCosts > flat.rows.find((row) => row.frequency === "monthly").tradingCosts);
+
+  const free = costEfficiency({ weeklyAmount: 50, years: 10, annualReturnPct: 8 });
+  assert.strictEqual(free.best, "daily");
+});
+
+test("parseDcaCommand reads commissions and spread and buildDcaCommand writes them back", () => {
+  const params = parseDcaCommand("/dca 50 10 8 commission 1 commission 0.1% min 2 spread 10bps");
+  assert.strictEqual(params.tradeFixedFee, 1);
+  assert.strictEqual(params.tradeFeePct, 0.1);
+  assert.strictEqual(params.tradeMinFee, 2);
+  assert.strictEqual(params.spreadBps, 10);
+  assert.strictEqual(buildDcaCommand(params), "/dca 50 10 8 commission 1 commission 0.1% min 2 spread 10");
+});
+
+test("caption shows trade costs and the report names the cheapest schedule", () => {
+  const sim = simulateDCA({ weeklyAmount: 50, years: 10, annualReturnPct: 8, tradeFixedFee: 1 });
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+  assert(caption.includes("Per trade: $1"));
+  assert(caption.includes("Trading costs: $520 over 520 trades"));
+  assert(buttonActions(inlineRows(keyboardFor(sim.params))).includes("costs:report"));
+  assert(!buttonActions(inlineRows(keyboardFor(clampParams({})))).includes("costs:report"));
+
+  const report = costEfficiency(sim.params);
+  const text = formattingModule.buildCostReport(report, { escHtml, formatMoney, FREQUENCIES });
+  assert(text.includes("Cost Efficiency"));
+  assert(text.includes(`Switching from Weekly to ${FREQUENCIES[report.best].label}`));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Currency Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nCurrency:");
+
+test("FX drift moves holdings in home currency but not new contributions", () => {
+  const base = { weeklyAmount: 0, initialAmount: 10000, years: 1, annualReturnPct: 0, currency: "eur" };
+  const flat = simulateDCA(base);
+  assertClose(flat.finalValue, 10000, 0.01);
+  assertClose(flat.fx.effect, 0, 0.001);
+
+  const drift = simulateDCA({ ...base, fxDriftPct: -10 });
+  assertClose(drift.finalValue, 9000, 0.01);
+  assertClose(drift.fx.index, 0.9, 0.0001);
+  assertClose(drift.fx.effect, -1000, 0.01);
+  assertClose(drift.contributed, 10000, 0.01);
+});
+
+test("FX shock hits once and only when the currencies differ", () => {
+  const base = { weeklyAmount: 100, years: 5, annualReturnPct: 7, fxShockPct: -20, fxShockYear: 2 };
+  const home = simulateDCA(base);
+  assert.strictEqual(home.fx, null);
+  assertClose(home.finalValue, simulateDCA({ weeklyAmount: 100, years: 5, annualReturnPct: 7 }).finalValue, 0.001);
+
+  const abroad = simulateDCA({ ...base, currency: "chf" });
+  assertClose(abroad.fx.index, 0.8, 0.0001);
+  assert(abroad.fx.effect < 0);
+  assertClose(abroad.fx.baselineFinalValue, home.finalValue, 0.001);
+});
+
+test("parseDcaCommand reads fx drift, fx shock and asset currency and writes them back", () => {
+  const params = parseDcaCommand("/dca 100 10 8 asset chf fx -1/yr fxshock -15 at 2");
+  assert.strictEqual(params.assetCurrency, "chf");
+  assert.strictEqual(params.fxDriftPct, -1);
+  assert.strictEqual(params.fxShockPct, -15);
+  assert.strictEqual(params.fxShockYear, 2);
+  assert.strictEqual(buildDcaCommand(params), "/dca 100 10 8 asset chf fx -1/yr fxshock -15 at 2");
+  assert.strictEqual(clampParams({ fxDriftPct: 99 }).fxDriftPct, LIMITS.fxDriftPct.max);
+});
+
+test("caption shows results in both currencies and the FX effect", () => {
+  const sim = simulateDCA({ weeklyAmount: 0, initialAmount: 10000, years: 1, annualReturnPct: 0, currency: "eur", fxDriftPct: -10 });
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES, FX_RATES });
+  const rate = FX_RATES.rates.EUR;
+  assert(caption.includes("FX: USD -10%/yr"));
+  assert(caption.includes(`In USD: ${formatMoney(9000 / (rate * 0.9))} (1 USD = ${rate} → ${Number((rate * 0.9).toFixed(4))} EUR)`));
+  assert(caption.includes("FX effect: -€1,000 vs a flat rate"));
+
+  const plain = formattingModule.buildCaption(simulateDCA({ weeklyAmount: 100, years: 1 }), { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES, FX_RATES });
+  assert(!plain.includes("💱"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sensitivity Grid Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nSensitivity Grid:");
+
+test("simulateGrid centres a 5×5 matrix on the scenario", () => {
+  const grid = simulateGrid({ weeklyAmount: 100, years: 10, annualReturnPct: 7 }, { xAxis: "return", yAxis: "years" });
+  assert.deepStrictEqual(grid.xValues, [3, 5, 7, 9, 11]);
+  assert.deepStrictEqual(grid.yValues, [5, 10, 15, 20, 25]);
+  assert.deepStrictEqual(grid.center, { x: 2, y: 1 });
+  assertClose(grid.cells[1][2], simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7 }).finalValue, 0.001);
+  assert(grid.cells[1][4] > grid.cells[1][0]);
+  assertClose(grid.max, grid.cells[4][4], 0.001);
+});
+
+test("grid axes stay inside their limits and never repeat", () => {
+  const grid = simulateGrid({ weeklyAmount: 100, years: 10, annualReturnPct: 7, annualFeePct: 0 }, { xAxis: "fee", yAxis: "fee" });
+  assert.strictEqual(grid.yAxis, "years");
+  assert.deepStrictEqual(grid.xValues, [0, 0.25, 0.5, 0.75, 1]);
+
+  const shock = simulateGrid({ weeklyAmount: 100, years: 10, annualReturnPct: 7 }, { xAxis: "amount", yAxis: "shock" });
+  assert.deepStrictEqual(shock.xValues, [50, 75, 100, 150, 200]);
+  assert.deepStrictEqual(shock.yValues, [-50, -40, -30, -20, -10]);
+  assert.strictEqual(shock.center.y, -1);
+  assert(shock.cells[0][2] < shock.cells[4][2]);
+});
+
+test("parseGridCommand reads axes and an optional scenario", () => {
+  const parse = (text) => parsingModule.parseGridCommand(text, { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, GRID_AXES: gridModule.GRID_AXES, toNum, clampParams });
+  assert.deepStrictEqual(parse("/grid"), { xAxis: "return", yAxis: "years", params: null });
+  assert.strictEqual(parse("/grid years").yAxis, "return");
+  const run = parse("/grid amt shock 200 15 9 fee 0.1");
+  assert.strictEqual(run.xAxis, "amount");
+  assert.strictEqual(run.yAxis, "shock");
+  assert.strictEqual(run.params.weeklyAmount, 200);
+  assert.strictEqual(run.params.annualFeePct, 0.1);
+});
+
+test("grid caption marks the scenario and the heatmap has one cell per value", () => {
+  const grid = simulateGrid({ weeklyAmount: 100, years: 10, annualReturnPct: 7 }, {});
+  const caption = formattingModule.buildGridCaption(grid, { escHtml, GRID_AXES: gridModule.GRID_AXES });
+  assert(caption.includes("Sensitivity: Return × Years"));
+  assert(caption.includes("[74k]"));
+  assert(caption.includes("<pre>Yrs\\Ret"));
+
+  const cfg = JSON.parse(decodeURIComponent(quickHeatmapChartUrl(grid).split("c=")[1].split("&")[0]));
+  assert.strictEqual(cfg.data.datasets[0].data.length, 25);
+  assert(buttonActions(inlineRows(keyboardFor(clampParams({})))).includes("grid:open"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Goal Solver Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nGoal Solver:");
+
+test("solveGoal finds the contribution that reaches the target with fees, shock and schedule", () => {
+  const card = { years: 20, annualReturnPct: 7, annualFeePct: 0.5, shockPct: -30, shockYear: 3, frequency: "monthly" };
+  const goal = solveGoal(card, { target: 500000, unknown: "contribution" });
+  assert.strictEqual(goal.params.frequency, "monthly");
+  assert(simulateDCA(goal.params).finalValue >= 500000);
+  assert(simulateDCA({ ...goal.params, weeklyAmount: goal.solved - 0.05 }).finalValue < 500000);
+
+  // More than the plain annuity formula, which ignores the fee and the crash.
+  const monthlyRate = Math.pow(1.07, 1 / 12) - 1;
+  assert(goal.solved > (500000 * monthlyRate) / (Math.pow(1 + monthlyRate, 240) - 1));
+});
+
+test("solveGoal solves for years and reports the shock delay", () => {
+  const goal = solveGoal({ weeklyAmount: 300, years: 10, annualReturnPct: 8, shockPct: -30, shockYear: 3 }, { target: 1000000, unknown: "years" });
+  assert(goal.solved > 10 && goal.solved < 50);
+  assert(simulateDCA(goal.params).finalValue >= 1000000);
+  assert(goal.shock.delayYears > 0);
+  assertClose(goal.shock.delayYears, goal.shock.years - goal.shock.baselineYears, 1e-9);
+
+  // Reached before the crash: the crash is dropped rather than pulled into the horizon.
+  const early = solveGoal({ weeklyAmount: 1000, years: 10, annualReturnPct: 8, shockPct: -30, shockYear: 5 }, { target: 50000, unknown: "years" });
+  assert.strictEqual(early.params.shockPct, null);
+  assert(early.shock.delayYears <= 0);
+});
+
+test("solveGoal solves for return and reports out-of-reach targets", () => {
+  const goal = solveGoal({ weeklyAmount: 100, years: 20 }, { target: 500000, unknown: "return" });
+  assert(goal.solved > 7 && goal.solved < 20);
+  assert(simulateDCA(goal.params).finalValue >= 500000);
+
+  const real = solveGoal({ weeklyAmount: 100, years: 20, inflationPct: 3 }, { target: 500000, unknown: "return", realMoney: true });
+  assert(real.solved > goal.solved);
+
+  const never = solveGoal({ weeklyAmount: 10, annualReturnPct: 2 }, { target: 1e9, unknown: "years" });
+  assert.strictEqual(never.solved, null);
+  assertClose(never.finalValue, simulateDCA({ weeklyAmount: 10, annualReturnPct: 2, years: 50 }).finalValue, 0.001);
+});
+
+test("parseGoalCommand marks the unknown and buildGoalMessage states the delay", () => {
+  assert.strictEqual(parseGoalCommand("/goal 1000000 20 8").unknown, "contribution");
+  const years = parseGoalCommand("/goal 1000000 ? 8 250");
+  assert.strictEqual(years.unknown, "years");
+  assert.strictEqual(years.years, null);
+  assert.strictEqual(years.weeklyAmount, 250);
+  const ret = parseGoalCommand("/goal 1000000 20 ? increase 3/yr");
+  assert.strictEqual(ret.unknown, "return");
+  assert.strictEqual(ret.weeklyAmount, null);
+  assert.strictEqual(ret.contributionIncreasePct, 3);
+  assert.strictEqual(parseGoalCommand("/goal 1000000").contributionIncreaseMode, null);
+
+  const goal = solveGoal({ weeklyAmount: 300, years: 10, annualReturnPct: 8, shockPct: -30, shockYear: 3 }, { target: 1000000, unknown: "years" });
+  const text = formattingModule.buildGoalMessage(goal, "/dca", { escHtml, formatMoney, FREQUENCIES, RECOVERY_SHAPES });
+  assert(text.includes(`⏱️ ${goal.solved} years`));
+  assert(text.includes("Years: ?"));
+  assert(text.includes("The shock delays the goal by"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Goal Odds Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nGoal Odds:");
+
+const VOO_RISK = { name: "VOO", volatilityPct: 16, crashesPerDecade: 1, crashPct: -35 };
+
+test("buildCrashPath adds yearly crashes without changing the median return", () => {
+  const calm = monteCarloModule.buildCrashPath(7, { volatilityPct: 15, crashesPerDecade: 0, crashPct: -30 }, 52, 520, monteCarloModule.createRng(9));
+  const plain = monteCarloModule.buildReturnPath(7, 15, 52, 520, monteCarloModule.createRng(9));
+  assert.deepStrictEqual(calm, plain);
+
+  // A crash every year at zero volatility: each year still compounds to exactly 7%.
+  const path = monteCarloModule.buildCrashPath(7, { volatilityPct: 0, crashesPerDecade: 10, crashPct: -30 }, 52, 104, monteCarloModule.createRng(1));
+  const year = (from) => path.slice(from, from + 52).reduce((g, r) => g * (1 + r), 1);
+  assertClose(year(0), 1.07, 1e-9);
+  assertClose(year(52), 1.07, 1e-9);
+  assert(Math.min(...path) < -0.29);
+});
+
+test("simulateGoalOdds is certain in a calm market and reproducible with a seed", () => {
+  const goal = solveGoal({ years: 20, annualReturnPct: 8 }, { target: 500000, unknown: "contribution" });
+  const calm = simulateGoalOdds(goal.params, { target: 500000, risk: { volatilityPct: 0, crashesPerDecade: 0, crashPct: -30 }, runs: 20 });
+  assert.strictEqual(calm.probabilityPct, 100);
+  calm.levels.forEach((level) => assertClose(level.contribution, goal.solved, 0.02));
+
+  const a = simulateGoalOdds(goal.params, { target: 500000, risk: VOO_RISK, runs: 200, seed: 7 });
+  const b = simulateGoalOdds(goal.params, { target: 500000, risk: VOO_RISK, runs: 200, seed: 7 });
+  assert.deepStrictEqual(a.levels, b.levels);
+  assert.strictEqual(a.probabilityPct, b.probabilityPct);
+});
+
+test("simulateGoalOdds finds the contribution for each confidence level", () => {
+  const goal = solveGoal({ years: 20, annualReturnPct: 10.5, shockPct: -35, shockYear: 3 }, { target: 1000000, unknown: "contribution" });
+  const options = { target: 1000000, risk: VOO_RISK, runs: 300, seed: 3 };
+  const odds = simulateGoalOdds(goal.params, options);
+  assert(odds.probabilityPct > 20 && odds.probabilityPct < 80);
+  assert.strictEqual(odds.params.shockPct, null);
+
+  const [sure75, sure90] = odds.levels;
+  assert.strictEqual(sure75.confidencePct, 75);
+  assert(sure90.contribution > sure75.contribution && sure75.contribution > goal.solved);
+  assert(simulateGoalOdds({ ...goal.params, weeklyAmount: sure75.contribution }, options).probabilityPct >= 75);
+  assert(simulateGoalOdds({ ...goal.params, weeklyAmount: sure90.contribution }, options).probabilityPct >= 90);
+});
+
+test("simulateGoalOdds solves value averaging on a starting balance, where the final value isn't linear", () => {
+  const params = { years: 20, annualReturnPct: 8, initialAmount: 50000, strategy: "va", vaMaxBuyMultiple: 2, vaMaxSellMultiple: 1 };
+  const options = { target: 500000, risk: VOO_RISK, runs: 200, seed: 5, confidenceLevels: [90] };
+  const [sure90] = simulateGoalOdds({ ...params, weeklyAmount: 100 }, options).levels;
+  const oddsAt = (amount) => simulateGoalOdds({ ...params, weeklyAmount: amount }, options).probabilityPct;
+  assert(oddsAt(sure90.contribution) >= 90);
+  assert(oddsAt(sure90.contribution * 0.99) < 90);
+});
+
+test("goal confidence is parsed and shown with the selected level", () => {
+  assert.strictEqual(parseGoalCommand("/goal 1000000 20 8 confidence 90").confidence, 90);
+  assert.strictEqual(parseGoalCommand("/goal 1000000 20 8 confidence 120%").confidence, 99);
+  assert.strictEqual(parseGoalCommand("/goal 1000000 20 8").confidence, null);
+
+  const goal = solveGoal({ years: 20, annualReturnPct: 8 }, { target: 500000, unknown: "contribution" });
+  const odds = simulateGoalOdds(goal.params, { target: 500000, risk: VOO_RISK, runs: 100 });
+  const text = formattingModule.buildGoalMessage({ ...goal, odds: { ...odds, selected: 90 } }, "/dca", { escHtml, formatMoney, FREQUENCIES, RECOVERY_SHAPES });
+  assert(text.includes("100 random markets, VOO risk"));
+  assert(text.includes("▫️ 75% sure:"));
+  assert(text.includes("👉 90% sure:"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Leverage & Margin Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nLeverage & Margin:");
+
+test("a leveraged fund resets daily and pays volatility decay", () => {
+  const base = { weeklyAmount: 0, initialAmount: 10000, years: 1, annualReturnPct: 8, frequency: "daily" };
+  const calm = simulateDCA({ ...base, leverage: 2, leverageVolPct: 0 });
+  assertClose(calm.finalValue, 10000 * Math.pow(1 + 2 * (Math.pow(1.08, 1 / 252) - 1), 252), 0.01);
+
+  const volatile = simulateDCA({ ...base, leverage: 2, leverageVolPct: 16 });
+  assertClose(volatile.finalValue, calm.finalValue * Math.exp(-0.0256), 0.01);
+  assertClose(volatile.leverage.decayPctPerYear, (1 - Math.exp(-0.0256)) * 100, 1e-9);
+  assertClose(volatile.leverage.baselineFinalValue, 10800, 0.01);
+  assert.strictEqual(simulateDCA(base).leverage, null);
+});
+
+test("an instant shock beyond 1/leverage wipes a leveraged fund out", () => {
+  const base = { weeklyAmount: 100, years: 10, annualReturnPct: 10.5, leverage: 3, shockYear: 3 };
+  const wiped = simulateDCA({ ...base, shockPct: -35 });
+  assert.strictEqual(wiped.leverage.wipeouts.length, 1);
+  assertClose(wiped.leverage.wipeouts[0].year, 3, 0.02);
+  assert(wiped.leverage.wipeouts[0].lost > 15000);
+  assert.strictEqual(wiped.leverage.shockMoves[0].leveragedPct, -100);
+  assertClose(wiped.maxDrawdownPct, -100, 1e-9);
+
+  const survived = simulateDCA({ ...base, shockPct: -30 });
+  assert.strictEqual(survived.leverage.wipeouts.length, 0);
+  assertClose(survived.leverage.shockMoves[0].leveragedPct, -90, 1e-9);
+  assertClose(survived.leverage.wipeoutDropPct, 100 / 3, 1e-9);
+
+  // Spread over six months the same crash compounds daily and leaves something standing.
+  const gradual = simulateDCA({ ...base, shockPct: -35, shocks: [{ pct: -35, year: 3, weeks: 26 }] });
+  assert.strictEqual(gradual.leverage.wipeouts.length, 0);
+  assert(gradual.leverage.shockMoves[0].leveragedPct > -80);
+});
+
+test("a margin loan is force-sold back to maintenance, or entirely once under water", () => {
+  const base = { weeklyAmount: 0, initialAmount: 10000, years: 1, annualReturnPct: 0, marginLoanPct: 100, marginRatePct: 0, shockYear: 0.5 };
+  const calm = simulateDCA({ ...base, shockPct: null, shockYear: null });
+  assertClose(calm.margin.borrowed, 10000, 1e-6);
+  assertClose(calm.finalValue, 10000, 1e-6);
+  assertClose(calm.margin.dropToCallPct, 100 / 3, 1e-6);
+
+  // 20,000 of holdings fall 40% to 12,000 against a 10,000 loan: equity 16.7% < 25%, so 4,000 is sold.
+  const call = simulateDCA({ ...base, shockPct: -40 });
+  assert.strictEqual(call.margin.calls.length, 1);
+  assertClose(call.margin.calls[0].sold, 4000, 1e-6);
+  assertClose(call.margin.calls[0].equityPct, 100 / 6, 1e-6);
+  assertClose(call.margin.owed, 6000, 1e-6);
+  assertClose(call.finalValue, 2000, 1e-6);
+  assertClose(call.margin.baselineFinalValue, 6000, 1e-6);
+
+  const underWater = simulateDCA({ ...base, shockPct: -60 });
+  assert.strictEqual(underWater.margin.calls[0].wipedOut, true);
+  assertClose(underWater.finalValue, -2000, 1e-6);
+  // Interest keeps accruing on the debt the sale couldn't cover.
+  const owing = simulateDCA({ ...base, shockPct: -60, marginRatePct: 10 });
+  assert(owing.margin.owed > 2000 && owing.finalValue < -2000);
+});
+
+test("leverage and margin parse, round-trip and show their risk in the caption", () => {
+  const params = parseDcaCommand("/dca 100 10 8 leverage 3x ivol 20 margin 50% rate 8 maint 30 shock -35 at 3");
+  assert.strictEqual(params.leverage, 3);
+  assert.strictEqual(params.leverageVolPct, 20);
+  assert.strictEqual(params.marginLoanPct, 50);
+  assert.strictEqual(params.marginRatePct, 8);
+  assert.strictEqual(params.maintenancePct, 30);
+  assert.strictEqual(buildDcaCommand(params), "/dca 100 10 8 leverage 3x ivol 20 margin 50% rate 8 maint 30 shock -35 at 3");
+  assert.strictEqual(parseDcaCommand("/dca 100 10 8 leverage 3x vol 20").leverageVolPct, 20);
+  assert.deepStrictEqual(parseMixShortAllocations("50voo-50upro").map((a) => a.name), ["voo"]);
+
+  const deps = { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES };
+  const upro = ETF_PRESETS.upro;
+  const leveraged = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: upro.annualReturnPct, leverage: upro.leverage, leverageVolPct: upro.volatilityPct, shockPct: upro.typicalShock, shockYear: 3 });
+  const caption = formattingModule.buildCaption(leveraged, deps);
+  assert(caption.includes("Leverage: 3× daily reset (16% index vol)"));
+  assert(caption.includes(`vs ${formatMoney(leveraged.leverage.baselineFinalValue)} unleveraged`));
+  assert(caption.includes("| wiped out in year 3 by the -35% shock (-100% at 3×)"));
+  assert(!caption.includes("Daily-reset decay"));
+
+  const margin = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, marginLoanPct: 100, shockPct: -50, shockYear: 3 });
+  const marginCaption = formattingModule.buildCaption(margin, deps);
+  assert(marginCaption.includes("Margin: 100% loan at 7%, call below 25% equity"));
+  assert(marginCaption.includes("without the loan | Margin call from year 3"));
+  assert(!marginCaption.includes("force-sold"));
+  const table = formattingModule.buildYearlyTable(margin, 0, 10, { escHtml, formatMoney, FREQUENCIES }).html;
+  assert(table.includes("🚨 Year 3"));
+  assert(table.includes("force-sold"));
+  assert(table.includes("💳 Borrowed"));
+});
+
+test("leveraged ETF cards slide into their crash instead of a one-day wipeout", () => {
+  const cur = clampParams({ weeklyAmount: 100, years: 10, shockPct: -20, shockYear: 8, shocks: [{ pct: -20, year: 8 }, { pct: -40, year: 5 }] });
+  ["upro", "tqqq"].forEach((key) => {
+    const params = etfScenarioParams(cur, ETF_PRESETS[key]);
+    assert.deepStrictEqual(params.shocks, [{ pct: ETF_PRESETS[key].typicalShock, year: 3, weeks: 13 }]);
+    const sim = simulateDCA(params);
+    assert.strictEqual(sim.leverage.wipeouts.length, 0);
+    assert(sim.maxDrawdownPct > -100);
+  });
+  assert.strictEqual(clampParams(etfScenarioParams(cur, ETF_PRESETS.voo)).shocks[0].weeks, 0);
+
+  const { msg } = buildEtfListMessage();
+  assert(msg.includes("📉 -35% typical index crash over 13w"));
+  assert(msg.includes("👆 Tap an ETF to simulate:"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Yearly Table Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nYearly Table:");
+
+test("yearly rows add up to the simulation's totals", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 8, annualFeePct: 0.5, tradeFixedFee: 1, initialAmount: 1000 });
+  assert.strictEqual(sim.yearly.length, 10);
+  const last = sim.yearly[9];
+  assertClose(last.endValue, sim.finalValue, 1e-6);
+  assertClose(last.contributed, sim.contributed, 1e-6);
+  assertClose(sim.yearly.reduce((sum, row) => sum + row.gain, 0), sim.gains, 1e-6);
+  assertClose(sim.yearly.reduce((sum, row) => sum + row.fees, 0), sim.feesPaid + sim.tradingCosts, 1e-6);
+  assertClose(sim.yearly[0].contributed, 1000 + 5200, 1e-6);
+  assertClose(last.realValue, sim.inflationAdjusted, 1e-6);
+});
+
+test("yearly rows end with a part year and show the drawdown at year end", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 4.5, annualReturnPct: 8, shockPct: -30, shockYear: 2 });
+  assert.deepStrictEqual(sim.yearly.map((row) => row.year), [1, 2, 3, 4, 4.5]);
+  assertClose(sim.yearly[1].drawdownPct, sim.maxDrawdownPct, 1e-9);
+  assert(sim.yearly[1].gain < 0);
+  assertClose(sim.yearly[4].endValue, sim.finalValue, 1e-6);
+});
+
+test("buildYearlyTable pages the rows in a <pre> block", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 25, annualReturnPct: 8 });
+  const deps = { escHtml, formatMoney, FREQUENCIES };
+  const first = formattingModule.buildYearlyTable(sim, 0, 10, deps);
+  assert.strictEqual(first.pages, 3);
+  assert(first.html.includes("page 1/3"));
+  assert(first.html.includes("<pre>Yr"));
+  assert(/\n10 +52\.0k/.test(first.html));
+  assert(!/\n11 /.test(first.html));
+
+  const clamped = formattingModule.buildYearlyTable(sim, 9, 10, deps);
+  assert.strictEqual(clamped.page, 2);
+  assert(/\n25 +130k/.test(clamped.html));
+  assert(first.html.length < 4096);
+
+  const actions = inlineRows(keyboardFor(sim.params)).flat().map((button) => button.callback_data);
+  assert(actions.includes("table:open"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Metrics Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nMetrics:");
+
+test("irr solves dated cash flows and gives up when they never change sign", () => {
+  assertClose(metricsModule.irr([{ t: 0, amount: -100 }, { t: 1, amount: 110 }]), 0.1, 1e-8);
+  assertClose(metricsModule.irr([{ t: 0, amount: -100 }, { t: 0.5, amount: -100 }, { t: 2, amount: 230 }]), 0.083, 1e-3);
+  assert.strictEqual(metricsModule.irr([{ t: 0, amount: -100 }, { t: 1, amount: -10 }]), null);
+});
+
+test("a smooth path earns its return both money- and time-weighted, with no risk figures", () => {
+  [
+    { weeklyAmount: 100, years: 10, annualReturnPct: 7 },
+    { weeklyAmount: 100, years: 10, annualReturnPct: 7, frequency: "monthly", contributionTiming: "end" },
+    { weeklyAmount: 0, initialAmount: 10000, years: 10, annualReturnPct: 7 }
+  ].forEach((params) => {
+    const metrics = computeMetrics(simulateDCA(params));
+    assertClose(metrics.irrPct, 7, 1e-4);
+    assertClose(metrics.twrCagrPct, 7, 1e-6);
+    assertClose(metrics.volatilityPct, 0, 1e-6);
+    assert.strictEqual(metrics.sharpe, null);
+    assert.strictEqual(metrics.sortino, null);
+    assert.strictEqual(metrics.underwaterPct, 0);
+  });
+
+  const real = computeMetrics(simModule.inTodaysMoney(simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, inflationPct: 3 })));
+  assertClose(real.irrPct, (1.07 / 1.03 - 1) * 100, 1e-4);
+});
+
+test("paid-out dividends count as returned cash, not as losses", () => {
+  const params = { weeklyAmount: 100, years: 20, annualReturnPct: 7, dividendYieldPct: 3 };
+  const reinvested = computeMetrics(simulateDCA(params));
+  const sim = simulateDCA({ ...params, dividendMode: "payout" });
+  const paidOut = computeMetrics(sim);
+  assert(sim.dividendsPaidOut > 0);
+  assertClose(paidOut.irrPct, reinvested.irrPct, 1e-4);
+  assertClose(paidOut.twrCagrPct, reinvested.twrCagrPct, 1e-6);
+  assertClose(paidOut.roiPct, ((sim.gains + sim.dividendsPaidOut) / sim.contributed) * 100, 1e-9);
+});
+
+test("a crash separates money- from time-weighted return and shows up in the risk figures", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, shockPct: -30, shockYear: 3, riskFreePct: 4 });
+  const metrics = computeMetrics(sim);
+
+  // Most of the money went in after the crash, so it earned more than the fund did.
+  assert(metrics.irrPct > metrics.twrCagrPct);
+  assertClose(metrics.twrCagrPct, (Math.pow(Math.pow(1.07, 10) * 0.7, 1 / 10) - 1) * 100, 1e-6);
+  assert.strictEqual(metrics.riskFreePct, 4);
+  assert(metrics.volatilityPct > 5);
+  assert(metrics.sharpe < 0 && metrics.sharpe < computeMetrics(simulateDCA({ ...sim.params, riskFreePct: 0 })).sharpe);
+  assert(metrics.ulcerIndex > 0);
+  assertClose(metrics.longestUnderwaterYears * 52, sim.recoveryWeeks - 1, 1);
+  assertClose(metrics.roiPct, (sim.gains / sim.contributed) * 100, 1e-9);
+});
+
+test("caption, mix summary and rf option all read the metrics module", () => {
+  const parsed = parseDcaCommand("/dca 100 10 7 rf 4");
+  assert.strictEqual(parsed.riskFreePct, 4);
+  assert(buildDcaCommand(parsed).includes("rf 4"));
+  assert(!buildDcaCommand(parseDcaCommand("/dca 100 10 7")).includes("rf"));
+  assert.strictEqual(clampParams({ riskFreePct: 99 }).riskFreePct, LIMITS.riskFreePct.max);
+
+  const sim = simulateDCA({ ...parsed, shockPct: -30, shockYear: 3 });
+  const metrics = computeMetrics(sim);
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+  assert(caption.includes(`(${metrics.roiPct.toFixed(1)}% ROI)`));
+  assert(caption.includes(`🧮 ${formattingModule.formatMetricsSummary(metrics)}`));
+  assert(!caption.includes("Time-weighted"));
+  const table = formattingModule.buildYearlyTable(sim, 0, 10, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES }).html;
+  assert(table.includes(`IRR: ${metrics.irrPct.toFixed(1)}%/yr | Time-weighted: ${metrics.twrCagrPct.toFixed(1)}%/yr`));
+  assert(table.includes("(vs 4% cash)"));
+
+  const mixState = buildMixSimulationState(parseMixShortAllocations("60voo-40bnd"), clampParams({ weeklyAmount: 100, years: 20 }));
+  assert.strictEqual(mixState.roi, mixState.metrics.roiPct.toFixed(1));
+  const msg = formattingModule.formatMixMessage(mixState, { years: 20, weeklyAmount: 100 }, { escHtml, formatMoney, FREQUENCIES });
+  assert(msg.includes(`IRR: ${mixState.metrics.irrPct.toFixed(1)}%/yr`));
+  assert(formattingModule.formatMetricsSummary(mixState.metrics).startsWith("IRR: "));
+});
+
+test("a card with every feature on stays within Telegram's 1024-character caption limit", () => {
+  const params = parseDcaCommand(
+    "/dca 1000000 50 8 fee 0.25 initial 250000 timing end commission 1 commission 0.1% min 2 spread 10 " +
+    "yield 4 payout tax 15 divtax 30 exempt 2000 dip 3x below -25 reserve 5000 at -30 pause 1.5 from shock withdraw 300 " +
+    "fx -1/yr fxshock -15 at 2 leverage 3x ivol 20 margin 50% rate 8 maint 30 increase 3/yr " +
+    "shock -35 at 3 over 26w shock -20 at 8 shock -10 at 12 recovery u 18 inflation 2.5"
+  );
+  const deps = { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES, FX_RATES };
+  const sim = simulateDCA({ ...params, currency: "chf" });
+  [sim, simModule.inTodaysMoney(sim)].forEach((card) => {
+    const caption = formattingModule.buildCaption(card, deps);
+    assert(caption.length <= 1024, `caption is ${caption.length} characters`);
+    assert(caption.includes("🧮 IRR: "));
+    assert(/📋 \d+ more details in the yearly table/.test(caption));
+  });
+
+  const table = formattingModule.buildYearlyTable(sim, 0, 10, deps).html;
+  assert(table.length <= 4096);
+  assert(table.includes("🛒 Dip buys:"));
+  assert(table.includes("💳 Borrowed"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Drawdown Chart Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nDrawdown Chart:");
+
+test("drawdownSeries tracks percent below peak for every period", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, shockPct: -30, shockYear: 3 });
+  assert.strictEqual(sim.drawdownSeries.length, sim.series.length);
+  assertClose(Math.min(...sim.drawdownSeries), sim.maxDrawdownPct, 1e-9);
+  assert.strictEqual(sim.drawdownSeries[sim.shocks[0].startPeriod - 2], 0);
+  assert(sim.drawdownSeries[sim.shocks[0].startPeriod - 1] < -29);
+  assert.strictEqual(sim.drawdownSeries[sim.shocks[0].startPeriod + sim.shocks[0].recoveryPeriods - 2], 0);
+});
+
+test("quickDrawdownChartUrl keeps each trough and shades only the recoveries", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, shockPct: -30, shockYear: 3 });
+  const cfg = JSON.parse(decodeURIComponent(quickDrawdownChartUrl(sim).split("c=")[1].split("&")[0]));
+  const [recovery, below] = cfg.data.datasets;
+  assert.strictEqual(Math.min(...below.data), Math.round(sim.maxDrawdownPct * 10) / 10);
+  assert(recovery.data.some((v) => v !== null));
+  assert(recovery.data.every((v, i) => v === null || v === below.data[i]));
+  assert(recovery.data.filter((v) => v !== null).length < below.data.length / 5);
+
+  const calm = JSON.parse(decodeURIComponent(quickDrawdownChartUrl(simulateDCA({ weeklyAmount: 100, years: 10 })).split("c=")[1].split("&")[0]));
+  assert(calm.data.datasets[0].data.every((v) => v === null));
+  assert.strictEqual(calm.options.legend.display, false);
+});
+
+test("card button switches between growth and drawdown charts", () => {
+  const p = clampParams({ weeklyAmount: 100, years: 10 });
+  const label = (options) => inlineRows(keyboardFor(p, options)).flat().find((button) => button.callback_data === "chart:toggle").text;
+  assert.strictEqual(label({}), "📉 Drawdown chart");
+  assert.strictEqual(label({ chartView: "drawdown" }), "📈 Growth chart");
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Growth Chart Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nGrowth Chart:");
+
+const chartConfig = (url) => JSON.parse(decodeURIComponent(url.split("c=")[1].split("&")[0]));
+
+test("quickChartUrl draws a contributions band, year labels and a shock marker", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, shockPct: -30, shockYear: 3 });
+  const cfg = chartConfig(quickChartUrl(sim.series, chartOptionsFor(sim)));
+  const [contributed, growth] = cfg.data.datasets;
+  assert.deepStrictEqual([contributed.label, growth.label], ["Contributed", "Growth"]);
+  assert.strictEqual(contributed.data[contributed.data.length - 1] <= Math.round(sim.contributed), true);
+  assert.strictEqual(growth.fill, "-1");
+  assert.deepStrictEqual(cfg.data.labels.filter(Boolean), ["Y1", "Y2", "Y3", "Y4", "Y5", "Y6", "Y7", "Y8", "Y9", "Y10"]);
+
+  const [marker] = cfg.options.annotation.annotations;
+  const step = Math.floor(sim.series.length / 100);
+  assert.strictEqual(marker.value, Math.floor((sim.shocks[0].startPeriod - 1) / step));
+  assert.strictEqual(marker.label.content, "-30%");
+});
+
+test("quickChartUrl log scale drops non-positive points and adds a dashed line", () => {
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, inflationPct: 3 });
+  const real = simModule.inTodaysMoney(sim).series;
+  const cfg = chartConfig(quickChartUrl([0, ...sim.series], { logScale: true, dashed: { label: "Today's money", data: [0, ...real] } }));
+  assert.strictEqual(cfg.options.scales.yAxes[0].type, "logarithmic");
+  assert(cfg.options.title.text.endsWith("(log scale)"));
+  const dashed = cfg.data.datasets.find((d) => d.label === "Today's money");
+  assert.deepStrictEqual(dashed.borderDash, [6, 4]);
+  assert.strictEqual(cfg.data.datasets[0].data[0], null);
+  assert.strictEqual(dashed.data[0], null);
+
+  const linear = chartConfig(quickChartUrl(sim.series));
+  assert.strictEqual(linear.options.scales.yAxes[0].type, undefined);
+  assert.strictEqual(linear.options.legend.display, false);
+});
+
+test("quickCompareChartUrl shares one band only when contributions match", () => {
+  const a = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7 });
+  const b = simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 9 });
+  const c = simulateDCA({ weeklyAmount: 150, years: 10, annualReturnPct: 7 });
+  const labels = (left, right) => chartConfig(quickCompareChartUrl(left.series, right.series, "A", "B", {
+    contributed: [chartOptionsFor(left).contributed, chartOptionsFor(right).contributed]
+  })).data.datasets.map((d) => d.label);
+  assert.deepStrictEqual(labels(a, b), ["Contributed", "A", "B"]);
+  assert.deepStrictEqual(labels(a, c), ["A contributed", "B contributed", "A", "B"]);
+});
+
+test("card offers the log scale toggle only on the growth chart", () => {
+  const p = clampParams({ weeklyAmount: 100, years: 10 });
+  const scale = (options) => inlineRows(keyboardFor(p, options)).flat().find((button) => button.callback_data === "chart:scale");
+  assert.strictEqual(scale({}).text, "📐 Log scale");
+  assert.strictEqual(scale({ chartScale: "log" }).text, "📐 Linear scale");
+  assert.strictEqual(scale({ chartView: "drawdown" }), undefined);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Retirement Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nRetirement:");
+
+test("simulateRetirement runs out when withdrawals exceed the balance", () => {
+  const result = simulateRetirement(
+    { years: 20, annualReturnPct: 0 },
+    { balance: 100000, withdrawal: { amount: 10000 } }
+  );
+
+  assert.strictEqual(result.survived, false);
+  assertClose(result.depletedYear, 10, 0.05);
+  assertClose(result.withdrawn, 100000, 0.01);
+  assert.strictEqual(result.finalValue, 0);
+  assert.strictEqual(result.series.length, 20 * 52);
+});
+
+test("simulateRetirement indexes spending to inflation", () => {
+  const flat = simulateRetirement({ years: 10, annualReturnPct: 5 }, { balance: 1000000, withdrawal: { pct: 4 } });
+  const indexed = simulateRetirement(
+    { years: 10, annualReturnPct: 5, inflationPct: 3 },
+    { balance: 1000000, withdrawal: { pct: 4 }, inflationIndexed: true }
+  );
+
+  assert.strictEqual(flat.annualWithdrawal, 40000);
+  assert.strictEqual(flat.finalWithdrawal, 40000);
+  assertClose(indexed.finalWithdrawal, 40000 * Math.pow(1.03, 9), 0.01);
+  assert(indexed.withdrawn > flat.withdrawn);
+  assert(indexed.finalValue < flat.finalValue);
+});
+
+test("safeWithdrawalRate finds the rate that just lasts the horizon", () => {
+  assertClose(safeWithdrawalRate({ years: 20, annualReturnPct: 0 }, { balance: 100000 }), 5, 0.01);
+
+  const rate = safeWithdrawalRate({ years: 30, annualReturnPct: 5 }, { balance: 1000000 });
+  assert(rate > 5 && rate < 8);
+});
+
+test("an early crash hurts retirees more than the same crash later (sequence risk)", () => {
+  const base = { years: 30, annualReturnPct: 6, shockPct: -40 };
+  const run = { balance: 1000000, withdrawal: { pct: 5 }, inflationIndexed: true };
+  const early = simulateRetirement({ ...base, shockYear: 1 }, run);
+  const late = simulateRetirement({ ...base, shockYear: 10 }, run);
+
+  assert.strictEqual(early.survived, false);
+  assert(early.depletedYear < (late.depletedYear || Infinity));
+  assert(safeWithdrawalRate({ ...base, shockYear: 1 }, run) < safeWithdrawalRate({ ...base, shockYear: 10 }, run));
+});
+
+test("parseRetireCommand reads balance, withdrawal and inflation indexing", () => {
+  const pct = parseRetireCommand("/retire 2000000 30 5 withdraw 3.5% inflation 2.5 shock -30 at 1");
+  assert.strictEqual(pct.balance, 2000000);
+  assert.deepStrictEqual(pct.withdrawal, { pct: 3.5 });
+  assert.strictEqual(pct.inflationIndexed, true);
+  assert.strictEqual(pct.params.inflationPct, 2.5);
+  assert.strictEqual(pct.params.years, 30);
+  assert.strictEqual(pct.params.shockYear, 1);
+
+  const amount = parseRetireCommand("/retire 500000 25 4 withdraw 30000");
+  assert.deepStrictEqual(amount.withdrawal, { amount: 30000 });
+  assert.strictEqual(amount.inflationIndexed, false);
+  assert.deepStrictEqual(parseRetireCommand("/retire 500000 25 4").withdrawal, { pct: 4 });
+});
+
+test("buildRetirementCaption reports depletion and the safe rate", () => {
+  const result = simulateRetirement({ years: 20, annualReturnPct: 0 }, { balance: 100000, withdrawal: { amount: 10000 } });
+  const caption = formattingModule.buildRetirementCaption(result, 5, { escHtml, formatMoney, RECOVERY_SHAPES, FREQUENCIES });
+
+  assert(caption.includes("Withdraw: $10,000/yr (10.0%)"));
+  assert(caption.includes("Money runs out in year"));
+  assert(caption.includes("Safe withdrawal rate: 5.0% ($5,000/yr)"));
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Monte Carlo Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nMonte Carlo:");
+
+test("createRng is reproducible for the same seed", () => {
+  const a = monteCarloModule.createRng(42);
+  const b = monteCarloModule.createRng(42);
+  const c = monteCarloModule.createRng(43);
+  const seqA = [a(), a(), a()];
+  assert.deepStrictEqual(seqA, [b(), b(), b()]);
+  assert.notDeepStrictEqual(seqA, [c(), c(), c()]);
+  assert(seqA.every((x) => x >= 0 && x < 1));
+});
+
+test("percentile interpolates sorted values", () => {
+  assert.strictEqual(monteCarloModule.percentile([1, 2, 3, 4, 5], 0.5), 3);
+  assertClose(monteCarloModule.percentile([0, 10], 0.1), 1);
+  assert.strictEqual(monteCarloModule.percentile([], 0.5), 0);
+});
+
+test("simulateMonteCarlo with zero volatility matches the deterministic path", () => {
+  const params = { weeklyAmount: 100, years: 5, annualReturnPct: 7 };
+  const mc = simulateMonteCarlo(params, { volatilityPct: 0, runs: 20, seed: 1 });
+  const sim = simulateDCA(params);
+
+  assertClose(mc.p10, sim.finalValue, 0.5);
+  assertClose(mc.p90, sim.finalValue, 0.5);
+  assert.strictEqual(mc.contributed, sim.contributed);
+  assert.strictEqual(mc.probBelowContributedPct, 0);
+});
+
+test("simulateMonteCarlo is reproducible and orders percentiles", () => {
+  const params = { weeklyAmount: 100, years: 10, annualReturnPct: 7 };
+  const first = simulateMonteCarlo(params, { volatilityPct: 20, runs: 200, seed: 7 });
+  const second = simulateMonteCarlo(params, { volatilityPct: 20, runs: 200, seed: 7 });
+
+  assert.strictEqual(first.p50, second.p50);
+  assert(first.p10 < first.p50 && first.p50 < first.p90);
+  assert(first.medianMaxDrawdownPct < 0);
+  assert(first.probBelowContributedPct >= 0 && first.probBelowContributedPct <= 100);
+  assert.strictEqual(first.bands.p50.length, first.bands.p10.length);
+  assert(first.bands.p50.length < 200);
+});
+
+test("simulateMonteCarlo caps runs × periods and says so in the caption", () => {
+  const params = { weeklyAmount: 100, years: 50, annualReturnPct: 7, frequency: "daily", pauseYears: 1, leverage: 2 };
+  const totalPeriods = 50 * FREQUENCIES.daily.periodsPerYear;
+  const mc = simulateMonteCarlo(params, { volatilityPct: 15, runs: 2000, seed: 1, maxPeriodSteps: MONTE_CARLO.maxPeriodSteps });
+  assert.strictEqual(mc.requestedRuns, 2000);
+  assert.strictEqual(mc.runs, Math.floor(MONTE_CARLO.maxPeriodSteps / totalPeriods));
+
+  const caption = formattingModule.buildMonteCarloCaption(mc, { escHtml, formatMoney, FREQUENCIES });
+  assert(caption.includes(`Runs: ${mc.runs} (capped from 2000 for the horizon)`));
+  assert.strictEqual(simulateMonteCarlo({ years: 10 }, { runs: 200, maxPeriodSteps: MONTE_CARLO.maxPeriodSteps }).runs, 200);
+
+  const path = simulateDCA(params, { baselines: false });
+  assert.strictEqual(path.pause, null);
+  assert.strictEqual(path.leverage, null);
+  assertClose(path.finalValue, simulateDCA(params).finalValue, 1e-6);
+});
+
+test("parseMonteCarloCommand reads vol, runs and seed with limits", () => {
+  const parsed = parseMonteCarloCommand("/montecarlo 200 15 8 vol 18 runs 99999 seed 123");
+  assert.strictEqual(parsed.params.weeklyAmount, 200);
+  assert.strictEqual(parsed.params.years, 15);
+  assert.strictEqual(parsed.volatilityPct, 18);
+  assert.strictEqual(parsed.runs, MONTE_CARLO.maxRuns);
+  assert.strictEqual(parsed.seed, 123);
+
+  const defaults = parseMonteCarloCommand("/montecarlo 100 10 7");
+  assert.strictEqual(defaults.volatilityPct, MONTE_CARLO.defaultVolatilityPct);
+  assert.strictEqual(defaults.runs, MONTE_CARLO.defaultRuns);
+  assert.strictEqual(defaults.seed, null);
+});
+
+test("a /dca command's leverage volatility pasted into /montecarlo leaves the path volatility alone", () => {
+  const command = buildDcaCommand(parseDcaCommand("/dca 100 10 8 leverage 3x ivol 25"));
+  const pasted = parseMonteCarloCommand(command.replace("/dca", "/montecarlo"));
+  assert.strictEqual(pasted.params.leverageVolPct, 25);
+  assert.strictEqual(pasted.volatilityPct, MONTE_CARLO.defaultVolatilityPct);
+  assert.strictEqual(buildDcaCommand(pasted.params), command);
+
+  const legacy = parseMonteCarloCommand("/montecarlo 100 10 8 leverage 3x vol 25 vol 12");
+  assert.strictEqual(legacy.params.leverageVolPct, 25);
+  assert.strictEqual(legacy.volatilityPct, 12);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Historical Backtest Tests
+// ─────────────────────────────────────────────────────────────────────────────
+
+console.log("\nHistorical Backtest:");
+
+test("sliceSeries clips the window to whole calendar years in the data", () => {
+  const series = { start: "2010-01", returns: new Array(36).fill(1) };
+  const window = backtestModule.sliceSeries(series, 2005, 2011);
+
+  assert.strictEqual(window.fromYear, 2010);
+  assert.strictEqual(window.toYear, 2011);
+  assert.strictEqual(window.returns.length, 24);
+  assert.strictEqual(window.labelAt(0), "2010-01");
+  assert.strictEqual(window.labelAt(23), "2011-12");
+  assert.strictEqual(backtestModule.sliceSeries(series, 2020, 2021), null);
+});
+
+test("worstIndexDrawdown reports peak, trough and recovery months", () => {
+  const labels = ["m1", "m2", "m3", "m4", "m5"];
+  const dd = backtestModule.worstIndexDrawdown([10, -50, 20, 100, 5], (i) => labels[i]);
+
+  assert.strictEqual(dd.peakDate, "m1");
+  assert.strictEqual(dd.troughDate, "m2");
+  assert.strictEqual(dd.recoveryDate, "m4");
+  assertClose(dd.pct, -50);
+});
+
+test("simulateBacktest replays the bundled dataset with real crash years", () => {
+  const sim = simulateBacktest(clampParams({ weeklyAmount: 100 }), "voo", 2000, 2020);
+
+  assert.strictEqual(sim.backtest.fromYear, 2000);
+  assert.strictEqual(sim.backtest.toYear, 2020);
+  assert.strictEqual(sim.series.length, 21 * 12);
+  assertClose(sim.contributed, 100 * 52 * 21, 0.5);
+  assert(sim.backtest.worstDrawdown.pct < -30);
+  assert(sim.backtest.worstDrawdown.recoveryDate !== null);
+  assert(sim.milestones[2008] < sim.milestones[2007]);
+});
+
+test("buildBacktestCaption reports the worst calendar year, not month dates, on annual data", () => {
+  const sim = simulateBacktest(clampParams({ weeklyAmount: 100 }), "voo", 2000, 2020);
+  const deps = { escHtml, formatMoney, FREQUENCIES, computeMetrics };
+  assert.strictEqual(sim.backtest.dataResolution, "annual");
+  assert.strictEqual(sim.backtest.worstYear.year, 2008);
+
+  const caption = formattingModule.buildBacktestCaption(sim, deps);
+  assert(caption.includes("📜 Annual backtest: VOO 2000–2020"));
+  assert(caption.includes(`Worst calendar year: 2008 (${sim.backtest.worstYear.pct.toFixed(1)}%)`));
+  assert(!caption.includes("Worst market drawdown"));
+  assert(!caption.includes("Recovered:"));
+
+  const monthly = { ...sim, backtest: { ...sim.backtest, dataResolution: "monthly" } };
+  assert(formattingModule.buildBacktestCaption(monthly, deps).includes("Recovered:"));
+  assert(formattingModule.buildBacktestCaption(monthly, deps).includes("📜 Backtest: VOO"));
+});
+
+test("simulateBacktest applies the card's money settings and lists the features it ignores", () => {
+  const plain = simulateBacktest(clampParams({ weeklyAmount: 100 }), "voo", 2000, 2020);
+  const card = clampParams({
+    weeklyAmount: 100, initialAmount: 10000, contributionIncreasePct: 3, tradeFixedFee: 1,
+    dividendYieldPct: 1.5, capitalGainsTaxPct: 20, shockPct: -30, shockYear: 3, leverage: 2
+  });
+  const sim = simulateBacktest(card, "voo", 2000, 2020);
+
+  assert(sim.contributed > plain.contributed + 10000);
+  assert.strictEqual(sim.trades, 1 + 21 * 12);
+  assertClose(sim.tradingCosts, sim.trades, 1e-9);
+  assert(sim.afterTaxFinalValue < sim.finalValue);
+  assert.deepStrictEqual(sim.backtest.ignored, ["shocks", "leverage"]);
+  assert.strictEqual(sim.params.weeklyAmount, 100);
+  assert.strictEqual(sim.milestones[2020], sim.finalValue);
+
+  const caption = formattingModule.buildBacktestCaption(sim, { escHtml, formatMoney, FREQUENCIES, computeMetrics });
+  assert(caption.includes("Initial: $10,000"));
+  assert(caption.includes("Raises: 3%/yr"));
+  assert(caption.includes("🏦 Trading costs:"));
+  assert(caption.includes("🧾 After tax:"));
+  assert(caption.includes("🚫 Ignored in backtests: shocks, leverage"));
+  assert(caption.includes("🗓️ Bought monthly: $433"));
+  assert(caption.length <= 1024);
+});
+
+test("simulateBacktest returns null for unknown tickers or empty windows", () => {
+  assert.strictEqual(simulateBacktest({}, "zzz", 2000, 2010), null);
+  assert.strictEqual(simulateBacktest({}, "btc", 1990, 2000), null);
+});
+
+test("parseBacktestCommand reads ticker and ordered years", () => {
+  assert.deepStrictEqual(parseBacktestCommand("/backtest QQQ 2020 2000"), { ticker: "qqq", fromYear: 2000, toYear: 2020 });
+  assert.deepStrictEqual(parseBacktestCommand("/backtest"), { ticker: "voo", fromYear: null, toYear: null });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Command Parsing Tests
 // ─────────────────────────────────────────────────────────────────────────────
@@ -360,6 +1808,32 @@ test("parseDcaCommand parses fee parameter", () => {
   assert.strictEqual(result.annualFeePct, 0.5);
 });
 
+test("parseDcaCommand parses initial amount", () => {
+  const result = parseDcaCommand("/dca 100 10 7 initial 25000");
+  assert.strictEqual(result.initialAmount, 25000);
+  assert.strictEqual(parseDcaCommand("/dca 100 10 7").initialAmount, 0);
+});
+
+test("parseDcaCommand parses tax, dividend tax, exemption and yield", () => {
+  const single = parseDcaCommand("/dca 100 10 7 tax 25");
+  assert.strictEqual(single.capitalGainsTaxPct, 25);
+  assert.strictEqual(single.dividendTaxPct, 25);
+
+  const split = parseDcaCommand("/dca 100 10 7 yield 1.5 tax 15 divtax 30 exempt 2000");
+  assert.strictEqual(split.dividendYieldPct, 1.5);
+  assert.strictEqual(split.capitalGainsTaxPct, 15);
+  assert.strictEqual(split.dividendTaxPct, 30);
+  assert.strictEqual(split.taxExemption, 2000);
+  assert.strictEqual(buildDcaCommand(split), "/dca 100 10 7 yield 1.5 tax 15 divtax 30 exempt 2000");
+
+  assert.strictEqual(parseDcaCommand("/dca 100 10 7 tax 99").capitalGainsTaxPct, LIMITS.taxPct.max);
+
+  const income = parseDcaCommand("/dca 100 10 7 yield 4 payout");
+  assert.strictEqual(income.dividendMode, "payout");
+  assert.strictEqual(buildDcaCommand(income), "/dca 100 10 7 yield 4 payout");
+  assert.strictEqual(parseDcaCommand("/dca 100 10 7").dividendMode, "reinvest");
+});
+
 test("parseDcaCommand parses shock parameters", () => {
   const result = parseDcaCommand("/dca 100 10 7 shock -25 at 4");
   assert.strictEqual(result.shockPct, -25);
@@ -376,6 +1850,86 @@ test("parseDcaCommand parses complex command", () => {
   assert.strictEqual(result.shockYear, 5);
 });
 
+test("parseDcaCommand parses a multi-shock schedule with durations", () => {
+  const result = parseDcaCommand("/dca 100 10 7 shock -30 at 3 over 26w shock -20 at 8 fee 0.1 shock -10 at 9 over 6m");
+  assert.strictEqual(result.shockPct, -30);
+  assert.strictEqual(result.shockYear, 3);
+  assert.strictEqual(result.annualFeePct, 0.1);
+  assert.deepStrictEqual(result.shocks, [
+    { pct: -30, year: 3, weeks: 26 },
+    { pct: -20, year: 8, weeks: 0 },
+    { pct: -10, year: 9, weeks: 26 }
+  ]);
+});
+
+test("shocks typed out of order are sorted so the earliest is the first shock", () => {
+  const params = parseDcaCommand("/dca 100 10 7 shock -20 at 8 shock -30 at 3 over 26w pause 1 from shock");
+  assert.strictEqual(params.shockPct, -30);
+  assert.strictEqual(params.shockYear, 3);
+  assert.deepStrictEqual(params.shocks, [
+    { pct: -30, year: 3, weeks: 26 },
+    { pct: -20, year: 8, weeks: 0 }
+  ]);
+  assertClose(simulateDCA(params).pause.startYear, 3, 0.03);
+});
+
+test("buildDcaCommand round-trips through parseDcaCommand", () => {
+  const text = "/dca 150 12 8 fee 0.2 initial 5000 shock -30 at 3 over 26w shock -20 at 8";
+  assert.strictEqual(buildDcaCommand(parseDcaCommand(text)), text);
+  assert.strictEqual(buildDcaCommand(parseDcaCommand("/dca 100 10 7")), "/dca 100 10 7");
+});
+
+test("parseDcaCommand parses recovery shape with optional months", () => {
+  const withMonths = parseDcaCommand("/dca 100 10 7 shock -30 at 3 recovery U 18");
+  assert.strictEqual(withMonths.recoveryShape, "u");
+  assert.strictEqual(withMonths.recoveryMonths, 18);
+  assert.strictEqual(buildDcaCommand(withMonths), "/dca 100 10 7 shock -30 at 3 recovery u 18");
+
+  const shapeOnly = parseDcaCommand("/dca 100 10 7 recovery w shock -30 at 3");
+  assert.strictEqual(shapeOnly.recoveryShape, "w");
+  assert.strictEqual(shapeOnly.recoveryMonths, null);
+  assert.strictEqual(shapeOnly.shockPct, -30);
+
+  assert.strictEqual(parseDcaCommand("/dca 100 10 7 recovery x").recoveryShape, "steady");
+});
+
+test("parseDcaCommand parses contribution increase options", () => {
+  const fixed = parseDcaCommand("/dca 100 20 7 increase 3/yr");
+  assert.strictEqual(fixed.contributionIncreasePct, 3);
+  assert.strictEqual(fixed.contributionIncreaseMode, "fixed");
+  assert.strictEqual(parseDcaCommand("/dca 100 20 7 increase 2.5%").contributionIncreasePct, 2.5);
+
+  const indexed = parseDcaCommand("/dca 100 20 7 increase inflation");
+  assert.strictEqual(indexed.contributionIncreaseMode, "inflation");
+
+  assert.strictEqual(buildDcaCommand(fixed), "/dca 100 20 7 increase 3/yr");
+  assert.strictEqual(buildDcaCommand(indexed), "/dca 100 20 7 increase inflation");
+  assert.strictEqual(parseDcaCommand("/dca 100 20 7 increase 99").contributionIncreasePct, LIMITS.contributionIncreasePct.max);
+});
+
+test("parseDcaCommand reads the inflation rate, including 0", () => {
+  const params = parseDcaCommand("/dca 100 20 7 inflation 2.5 increase inflation");
+  assert.strictEqual(params.inflationPct, 2.5);
+  assert.strictEqual(params.contributionIncreaseMode, "inflation");
+  assert.strictEqual(buildDcaCommand(params), "/dca 100 20 7 inflation 2.5 increase inflation");
+
+  assert.strictEqual(parseDcaCommand("/dca 100 20 7 inflation 0").inflationPct, 0);
+  assert.strictEqual(parseDcaCommand("/dca 100 20 7").inflationPct, DEFAULTS.inflationPct);
+  assert.strictEqual(buildDcaCommand(parseDcaCommand("/dca 100 20 7")), "/dca 100 20 7");
+});
+
+test("parseGoalCommand reads target, horizon, return and increase", () => {
+  const goal = parseGoalCommand("/goal 500000 25 8 increase 4/yr");
+  assert.strictEqual(goal.target, 500000);
+  assert.strictEqual(goal.years, 25);
+  assert.strictEqual(goal.annualReturn, 8);
+  assert.strictEqual(goal.contributionIncreasePct, 4);
+
+  const defaults = parseGoalCommand("/goal");
+  assert.strictEqual(defaults.target, 1000000);
+  assert.strictEqual(defaults.contributionIncreasePct, 0);
+});
+
 test("parseDcaCommand uses defaults for missing params", () => {
   const result = parseDcaCommand("/dca");
   assert.strictEqual(result.weeklyAmount, DEFAULTS.weeklyAmount);
@@ -472,6 +2026,45 @@ test("same allocations produce identical blended metrics across /mix, mix:amt, a
   assert.strictEqual(fromMixCommand.blendedShock, fromMixYrs.blendedShock);
 });
 
+test("simulateMix crashes each sleeve by its own shock", () => {
+  const allocations = parseMixShortAllocations("60voo-40bnd");
+  const params = clampParams({ weeklyAmount: 100, years: 10 });
+  const mix = simulateMix(allocations, params, { policy: "none" });
+  const allStocks = simulateMix(parseMixShortAllocations("100voo"), params, { policy: "none" });
+
+  // A 60/40 at -35%/-10% falls about 25%, not the stock sleeve's 35%.
+  assert(mix.maxDrawdownPct > allStocks.maxDrawdownPct);
+  assertClose(mix.maxDrawdownPct, -25, 2);
+  assert.strictEqual(mix.contributed, 52000);
+  assert.strictEqual(mix.series.length, 520);
+});
+
+test("simulateMix rebalancing holds target weights while buy & hold drifts", () => {
+  const allocations = parseMixShortAllocations("60voo-40bnd");
+  const params = clampParams({ weeklyAmount: 100, years: 20 });
+  const annual = simulateMix(allocations, params, { policy: "annual" });
+
+  assert.strictEqual(annual.rebalances, 20);
+  assertClose(annual.sleeves[0].weightPct, 60, 0.01);
+  assert(annual.buyAndHold.sleeves[0].weightPct > 65, "stocks should drift overweight without rebalancing");
+  assertClose(annual.rebalanceBenefit, annual.finalValue - annual.buyAndHold.finalValue, 0.0001);
+
+  const quarterly = simulateMix(allocations, params, { policy: "quarterly" });
+  assert.strictEqual(quarterly.rebalances, 80);
+
+  const bands = simulateMix(allocations, params, { policy: "threshold", bandPct: 5 });
+  assert(bands.rebalances > 0 && bands.rebalances < quarterly.rebalances);
+  assert(Math.abs(bands.sleeves[0].weightPct - 60) <= 5);
+});
+
+test("parseMixRebalance reads policies and threshold bands", () => {
+  assert.deepStrictEqual(parseMixRebalance("/mix 60 voo 40 bnd rebalance quarterly"), { policy: "quarterly" });
+  assert.deepStrictEqual(parseMixRebalance("/mix 60 voo 40 bnd rebalance yearly"), { policy: "annual" });
+  assert.deepStrictEqual(parseMixRebalance("/mix 60 voo 40 bnd rebalance threshold 10"), { policy: "threshold", bandPct: 10 });
+  assert.deepStrictEqual(parseMixRebalance("/mix 60 voo 40 bnd rebalance 5%"), { policy: "threshold", bandPct: 5 });
+  assert.strictEqual(parseMixRebalance("/mix 60 voo 40 bnd"), null);
+});
+
 test("parseMixShortAllocations parity with previous inline mix:yrs parsing", () => {
   function parseMixShortInlineLegacy(mixShort) {
     const knownEtfs = new Set(["voo", "qqq", "vti", "vxus", "bnd", "btc"]);
@@ -512,7 +2105,7 @@ test("buildCaption escapes dynamic currency-formatted values in HTML captions",
 
   try {
     const sim = simulateDCA(clampParams({ weeklyAmount: 100, years: 1, annualReturnPct: 7 }));
-    const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney });
+    const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, FREQUENCIES });
 
     assert(caption.includes("&lt;1 &amp; 2&gt;"));
     assert(!caption.includes("Weekly: $<1 & 2>"));
@@ -521,6 +2114,46 @@ test("buildCaption escapes dynamic currency-formatted values in HTML captions",
   }
 });
 
+test("buildCaption shows starting and ending contribution with raises", () => {
+  const sim = simulateDCA(clampParams({ weeklyAmount: 100, years: 10, contributionIncreasePct: 5 }));
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+
+  assert(caption.includes("Weekly: $100 → $155"));
+  assert(caption.includes("Raises: 5%/yr"));
+});
+
+test("buildCaption reports after-tax value only when taxes are set", () => {
+  const plain = formattingModule.buildCaption(simulateDCA({ weeklyAmount: 100, years: 10 }), { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+  assert(plain.includes("no taxes"));
+  assert(!plain.includes("After tax"));
+
+  const sim = simulateDCA({ weeklyAmount: 100, years: 10, capitalGainsTaxPct: 15, dividendTaxPct: 30, taxExemption: 1000 });
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+  assert(caption.includes("Tax: 15% gains / 30% dividends, $1,000 exempt"));
+  assert(caption.includes(`After tax: ${formatMoney(sim.afterTaxFinalValue)}`));
+  assert(!caption.includes("no taxes"));
+});
+
+test("buildCaption in today's money labels the view and keeps the nominal final", () => {
+  const sim = simModule.inTodaysMoney(simulateDCA({ weeklyAmount: 100, years: 10, annualReturnPct: 7, inflationPct: 2 }));
+  const caption = formattingModule.buildCaption(sim, { escHtml, formatMoney, computeMetrics, RECOVERY_SHAPES, FREQUENCIES });
+
+  assert(caption.includes("Today's money (2% inflation)"));
+  assert(caption.includes(`Nominal final: ${formatMoney(sim.nominalFinalValue)}`));
+  assert(caption.includes(`Final: ${formatMoney(sim.finalValue)}`));
+  assert(!caption.includes("After 2% inflation"));
+});
+
+test("formatMixMessage shows ending weights and the rebalancing benefit", () => {
+  const mixState = buildMixSimulationState(parseMixShortAllocations("60voo-40bnd"), clampParams({ weeklyAmount: 100, years: 20 }));
+  const msg = formattingModule.formatMixMessage(mixState, { years: 20, weeklyAmount: 100 }, { escHtml, formatMoney, FREQUENCIES });
+
+  assert(msg.includes("annual (20 rebalances)"));
+  assert(msg.includes("Ending weights: VOO 60% · BND 40%"));
+  assert(msg.includes("Buy &amp; hold drift: VOO"));
+  assert(/Rebalancing (adds|costs) \$[\d,]+ vs buy &amp; hold/.test(msg));
+});
+
 test("formatMixMessage escapes dynamic mix labels and money values", () => {
   const mixState = {
     mixName: "60% <VOO> & 40% BND",
@@ -538,7 +2171,8 @@ test("formatMixMessage escapes dynamic mix labels and money values", () => {
   const unsafeMoney = () => "$<100 & 200>";
   const msg = formattingModule.formatMixMessage(mixState, { years: 5, weeklyAmount: 100, currency: "usd" }, {
     escHtml,
-    formatMoney: unsafeMoney
+    formatMoney: unsafeMoney,
+    FREQUENCIES
   });
 
   assert(msg.includes("60% &lt;VOO&gt; &amp; 40% BND"));
@@ -582,13 +2216,22 @@ test("simulation keyboard uses mobile-friendly rows without changing actions", (
   for (const action of [
     "amt:-50", "amt:+50", "years:-1", "years:+1", "ret:-2", "ret:+2",
     "shock:toggle", "shockpct:-10", "etf:voo", "etf:qqq", "etf:vti", "etf:btc",
-    "preset:base", "preset:bull", "preset:pain", "share", "save", "runsaved",
-    "showetf", "showhelp", "close", "journey:goal:1000000"
+    "preset:base", "preset:bull", "preset:pain", "share", "save", "runsaved", "recovery:cycle",
+    "showetf", "showhelp", "close", "journey:goal:1000000", "real:toggle"
   ]) {
     assert(actions.includes(action), `missing ${action}`);
   }
 });
 
+test("today's money button label reflects the current view", () => {
+  const params = { weeklyAmount: 100, years: 10, annualReturnPct: 7, shockPct: null, shockYear: null };
+  const labelFor = (options) => inlineRows(keyboardFor(params, options)).flat()
+    .find((button) => button.callback_data === "real:toggle").text;
+
+  assert.strictEqual(labelFor({}), "💵 Today's money");
+  assert.strictEqual(labelFor({ realMoney: true }), "💲 Show nominal");
+});
+
 test("mix controls keyboard splits adjustment controls into mobile-friendly rows", () => {
   const kb = buildMixControlsKeyboard("60voo-40bnd");
   const rows = inlineRows(kb);
@@ -598,7 +2241,7 @@ test("mix controls keyboard splits adjustment controls into mobile-friendly rows
   for (const action of [
     "mix:amt:-50:60voo-40bnd", "mix:amt:+50:60voo-40bnd",
     "mix:yrs:-1:60voo-40bnd", "mix:yrs:+1:60voo-40bnd",
-    "mix:run:60voo-40bnd", "mix:60voo-40bnd", "mix:80voo-20bnd",
+    "mix:run:60voo-40bnd", "mix:reb:60voo-40bnd", "mix:60voo-40bnd", "mix:80voo-20bnd",
     "mix:70vti-30vxus", "mix:50voo-50qqq", "home"
   ]) {
     assert(actions.includes(action), `missing ${action}`);
@@ -648,6 +2291,14 @@ test("All presets produce valid simulations", () => {
   }
 });
 
+test("ETF presets split total return into price growth and dividend yield", () => {
+  for (const [name, etf] of Object.entries(ETF_PRESETS)) {
+    assert(typeof etf.dividendYieldPct === "number", `${name} should define a dividend yield`);
+    assert(etf.dividendYieldPct >= 0 && etf.dividendYieldPct < etf.annualReturnPct, `${name} yield should be part of its return`);
+  }
+  assert(ETF_PRESETS.bnd.dividendYieldPct > ETF_PRESETS.qqq.dividendYieldPct);
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Summary
 // ─────────────────────────────────────────────────────────────────────────────
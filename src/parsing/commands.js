@@ -1,14 +1,76 @@
+// Extra spellings accepted for FREQUENCIES keys.
+const FREQUENCY_ALIASES = {
+  day: "daily",
+  week: "weekly",
+  fortnightly: "biweekly",
+  "semi-monthly": "semimonthly",
+  month: "monthly",
+  quarter: "quarterly",
+  yearly: "annual",
+  annually: "annual"
+};
+
+function parseFrequencyToken(token, frequencies) {
+  const t = String(token || "").toLowerCase();
+  const key = FREQUENCY_ALIASES[t] || t;
+  return frequencies[key] ? key : null;
+}
+
+function parseTimingToken(token) {
+  const t = String(token || "").toLowerCase();
+  if (t === "start" || t === "begin") return "start";
+  if (t === "end") return "end";
+  return null;
+}
+
 function parseDcaCommand(text, deps) {
-  const { DEFAULTS, toNum, clampParams } = deps;
+  const { DEFAULTS, RECOVERY_SHAPES, FREQUENCIES, toNum, clampParams } = deps;
   const parts = String(text || "").trim().split(/\s+/);
 
+  let frequency = DEFAULTS.frequency;
+  let contributionTiming = DEFAULTS.contributionTiming;
   let weeklyAmount = DEFAULTS.weeklyAmount;
   let years = DEFAULTS.years;
   let annualReturnPct = DEFAULTS.annualReturnPct;
   let annualFeePct = DEFAULTS.annualFeePct;
+  let initialAmount = 0;
+  let dividendYieldPct = 0;
+  let dividendMode = "reinvest";
+  let capitalGainsTaxPct = 0;
+  let dividendTaxPct = null;
+  let taxExemption = 0;
+  let strategy = "dca";
+  let vaMaxBuyMultiple = null;
+  let vaMaxSellMultiple = null;
+  let dipDrawdownPct = null;
+  let dipMultiplier = DEFAULTS.dipMultiplier;
+  let dipReserve = 0;
+  let dipReserveDrawdownPct = DEFAULTS.dipReserveDrawdownPct;
+  let inflationPct = DEFAULTS.inflationPct;
+  let riskFreePct = DEFAULTS.riskFreePct;
+  let tradeFixedFee = 0;
+  let tradeFeePct = 0;
+  let tradeMinFee = 0;
+  let spreadBps = 0;
+  let pauseYears = 0;
+  let pauseStartYear = DEFAULTS.pauseStartYear;
+  let pauseAtShock = false;
+  let pauseWithdrawal = 0;
+  let assetCurrency = DEFAULTS.assetCurrency;
+  let fxDriftPct = 0;
+  let fxShockPct = null;
+  let fxShockYear = null;
+  let leverage = 1;
+  let leverageVolPct = DEFAULTS.leverageVolPct;
+  let marginLoanPct = 0;
+  let marginRatePct = DEFAULTS.marginRatePct;
+  let maintenancePct = DEFAULTS.maintenancePct;
 
-  let shockPct = null;
-  let shockYear = null;
+  const shocks = [];
+  let contributionIncreasePct = 0;
+  let contributionIncreaseMode = "fixed";
+  let recoveryShape = DEFAULTS.recoveryShape;
+  let recoveryMonths = null;
 
   if (parts.length >= 2) weeklyAmount = toNum(parts[1], DEFAULTS.weeklyAmount);
   if (parts.length >= 3) years = toNum(parts[2], DEFAULTS.years);
@@ -23,20 +85,620 @@ function parseDcaCommand(text, deps) {
       continue;
     }
 
+    if (p === "freq" && i + 1 < parts.length) {
+      const key = parseFrequencyToken(parts[i + 1], FREQUENCIES);
+      if (key) {
+        frequency = key;
+        i += 1;
+        continue;
+      }
+    }
+
+    if (p === "timing" && i + 1 < parts.length) {
+      const timing = parseTimingToken(parts[i + 1]);
+      if (timing) {
+        contributionTiming = timing;
+        i += 1;
+        continue;
+      }
+    }
+
+    // "commission 1" is a flat fee per trade; "commission 0.1% min 1" a percentage with a floor.
+    if (p === "commission" && i + 1 < parts.length) {
+      const token = parts[i + 1];
+      const value = toNum(token.replace(/%$/, ""), null);
+      if (value !== null) {
+        i += 1;
+        if (token.endsWith("%")) {
+          tradeFeePct = value;
+          if (parts[i + 1] && parts[i + 1].toLowerCase() === "min" && toNum(parts[i + 2], null) !== null) {
+            tradeMinFee = toNum(parts[i + 2], 0);
+            i += 2;
+          }
+        } else {
+          tradeFixedFee = value;
+        }
+        continue;
+      }
+    }
+
+    if (p === "spread" && i + 1 < parts.length) {
+      spreadBps = toNum(parts[i + 1].replace(/bps$/i, ""), 0);
+      i += 1;
+      continue;
+    }
+
+    // "pause 1.5 from 3" or "pause 18m from shock", optionally "withdraw 300" per period of the gap.
+    if (p === "pause" && i + 3 < parts.length && ["from", "at"].includes(parts[i + 2].toLowerCase())) {
+      const match = parts[i + 1].toLowerCase().match(/^(\d+(?:\.\d+)?)(y|m)?$/);
+      const length = match ? (match[2] === "m" ? Number(match[1]) / 12 : Number(match[1])) : null;
+      const start = parts[i + 3].toLowerCase();
+      const startYear = toNum(start, null);
+      if (length !== null && (start === "shock" || startYear !== null)) {
+        pauseYears = length;
+        pauseAtShock = start === "shock";
+        if (startYear !== null) pauseStartYear = startYear;
+        i += 3;
+        if (parts[i + 1] && parts[i + 1].toLowerCase() === "withdraw" && toNum(parts[i + 2], null) !== null) {
+          pauseWithdrawal = toNum(parts[i + 2], 0);
+          i += 2;
+        }
+        continue;
+      }
+    }
+
+    if (p === "asset" && i + 1 < parts.length && /^[a-z]{3}$/i.test(parts[i + 1])) {
+      assetCurrency = parts[i + 1].toLowerCase();
+      i += 1;
+      continue;
+    }
+
+    // "fx -1" or "fx -1/yr": the asset currency loses 1% a year against the home currency.
+    if (p === "fx" && i + 1 < parts.length) {
+      const drift = toNum(parts[i + 1].replace(/\/y(?:r|ear)?$/i, ""), null);
+      if (drift !== null) {
+        fxDriftPct = drift;
+        i += 1;
+        continue;
+      }
+    }
+
+    // "fxshock -15 at 2": the asset currency drops 15% against the home currency in year 2.
+    if (p === "fxshock" && i + 3 < parts.length && parts[i + 2].toLowerCase() === "at") {
+      const pct = toNum(parts[i + 1], null);
+      const year = toNum(parts[i + 3], null);
+      if (pct !== null && year !== null) {
+        fxShockPct = pct;
+        fxShockYear = year;
+        i += 3;
+        continue;
+      }
+    }
+
+    // "leverage 3x" resets to 3x the index daily; "ivol 20" sets the index volatility behind the decay.
+    // The older "vol 20" is still read right after the factor, where /montecarlo skips it too.
+    if (p === "leverage" && i + 1 < parts.length) {
+      const factor = parseMultiple(parts[i + 1], toNum);
+      if (factor !== null) {
+        leverage = factor;
+        i += 1;
+        if (isLeverageVolAt(parts, i + 1, toNum)) {
+          leverageVolPct = toNum(parts[i + 2], DEFAULTS.leverageVolPct);
+          i += 2;
+        }
+        continue;
+      }
+    }
+
+    // "margin 50%" borrows half of each buy on top of it, optionally "rate 8" (interest) and "maint 30".
+    if (p === "margin" && i + 1 < parts.length) {
+      const pct = toNum(parts[i + 1].replace(/%$/, ""), null);
+      if (pct !== null) {
+        marginLoanPct = pct;
+        i += 1;
+        while (parts[i + 2] !== undefined && ["rate", "maint"].includes(parts[i + 1].toLowerCase())) {
+          const value = toNum(parts[i + 2].replace(/%$/, ""), null);
+          if (value === null) break;
+          if (parts[i + 1].toLowerCase() === "rate") marginRatePct = value;
+          else maintenancePct = value;
+          i += 2;
+        }
+        continue;
+      }
+    }
+
+    if (p === "initial" && i + 1 < parts.length) {
+      initialAmount = toNum(parts[i + 1], 0);
+      i += 1;
+      continue;
+    }
+
+    if (p === "yield" && i + 1 < parts.length) {
+      dividendYieldPct = toNum(parts[i + 1], 0);
+      i += 1;
+      continue;
+    }
+
+    if (p === "payout" || p === "reinvest") {
+      dividendMode = p;
+      continue;
+    }
+
+    // "tax" sets one rate for gains and dividends; "divtax" overrides the dividend rate.
+    if (p === "tax" && i + 1 < parts.length) {
+      capitalGainsTaxPct = toNum(parts[i + 1], 0);
+      i += 1;
+      continue;
+    }
+
+    if (p === "divtax" && i + 1 < parts.length) {
+      dividendTaxPct = toNum(parts[i + 1], 0);
+      i += 1;
+      continue;
+    }
+
+    if (p === "exempt" && i + 1 < parts.length) {
+      taxExemption = toNum(parts[i + 1], 0);
+      i += 1;
+      continue;
+    }
+
+    if (p === "strategy" && i + 1 < parts.length) {
+      strategy = parts[i + 1].toLowerCase();
+      i += 1;
+      continue;
+    }
+
+    // Value-averaging caps are multiples of the base contribution: "maxbuy 3" or "maxbuy 3x".
+    if ((p === "maxbuy" || p === "maxsell") && i + 1 < parts.length) {
+      const multiple = parseMultiple(parts[i + 1], toNum);
+      if (multiple !== null) {
+        if (p === "maxbuy") vaMaxBuyMultiple = multiple;
+        else vaMaxSellMultiple = multiple;
+        i += 1;
+        continue;
+      }
+    }
+
+    if (p === "nosell") {
+      vaMaxSellMultiple = 0;
+      continue;
+    }
+
+    if (p === "inflation" && i + 1 < parts.length && toNum(parts[i + 1], null) !== null) {
+      inflationPct = toNum(parts[i + 1], DEFAULTS.inflationPct);
+      i += 1;
+      continue;
+    }
+
+    // "rf 4" sets the cash rate the Sharpe and Sortino ratios are measured against.
+    if ((p === "rf" || p === "riskfree") && i + 1 < parts.length && toNum(parts[i + 1], null) !== null) {
+      riskFreePct = toNum(parts[i + 1], DEFAULTS.riskFreePct);
+      i += 1;
+      continue;
+    }
+
+    // "dip 2x below -20": multiply contributions while the drawdown is -20% or worse.
+    if (p === "dip" && i + 3 < parts.length && parts[i + 2].toLowerCase() === "below") {
+      const multiple = parseMultiple(parts[i + 1], toNum);
+      const threshold = toNum(parts[i + 3], null);
+      if (multiple !== null && threshold !== null) {
+        dipMultiplier = multiple;
+        dipDrawdownPct = -Math.abs(threshold);
+        i += 3;
+        continue;
+      }
+    }
+
+    // "reserve 5000 at -30": deploy a one-off war chest the first time the drawdown reaches -30%.
+    if (p === "reserve" && i + 3 < parts.length && parts[i + 2].toLowerCase() === "at") {
+      const amount = toNum(parts[i + 1], null);
+      const threshold = toNum(parts[i + 3], null);
+      if (amount !== null && threshold !== null) {
+        dipReserve = amount;
+        dipReserveDrawdownPct = -Math.abs(threshold);
+        i += 3;
+        continue;
+      }
+    }
+
+    if (p === "increase" && i + 1 < parts.length) {
+      const increase = parseIncreaseToken(parts[i + 1]);
+      if (increase) {
+        contributionIncreasePct = increase.pct;
+        contributionIncreaseMode = increase.mode;
+        i += 1;
+        continue;
+      }
+    }
+
+    if (p === "recovery" && i + 1 < parts.length) {
+      const shape = parts[i + 1].toLowerCase();
+      if (RECOVERY_SHAPES[shape]) {
+        recoveryShape = shape;
+        i += 1;
+        const months = toNum(parts[i + 1], null);
+        if (months !== null) {
+          recoveryMonths = months;
+          i += 1;
+        }
+        continue;
+      }
+    }
+
     if (p === "shock" && i + 3 < parts.length) {
       const sPct = toNum(parts[i + 1], null);
       const at = parts[i + 2] && parts[i + 2].toLowerCase();
       const sYear = toNum(parts[i + 3], null);
       if (sPct !== null && at === "at" && sYear !== null) {
-        shockPct = sPct;
-        shockYear = sYear;
+        const shock = { pct: sPct, year: sYear, weeks: 0 };
         i += 3;
+
+        const over = parts[i + 1] && parts[i + 1].toLowerCase();
+        const weeks = over === "over" ? parseDurationWeeks(parts[i + 2]) : null;
+        if (weeks !== null) {
+          shock.weeks = weeks;
+          i += 2;
+        }
+
+        shocks.push(shock);
         continue;
       }
     }
   }
 
-  return clampParams({ weeklyAmount, years, annualReturnPct, annualFeePct, shockPct, shockYear });
+  const first = shocks[0];
+  return clampParams({
+    weeklyAmount,
+    years,
+    annualReturnPct,
+    annualFeePct,
+    frequency,
+    contributionTiming,
+    tradeFixedFee,
+    tradeFeePct,
+    tradeMinFee,
+    spreadBps,
+    initialAmount,
+    dividendYieldPct,
+    dividendMode,
+    capitalGainsTaxPct,
+    dividendTaxPct: dividendTaxPct === null ? capitalGainsTaxPct : dividendTaxPct,
+    taxExemption,
+    strategy,
+    vaMaxBuyMultiple,
+    vaMaxSellMultiple,
+    dipDrawdownPct,
+    dipMultiplier,
+    dipReserve,
+    dipReserveDrawdownPct,
+    inflationPct,
+    riskFreePct,
+    pauseYears,
+    pauseStartYear,
+    pauseAtShock,
+    pauseWithdrawal,
+    assetCurrency,
+    fxDriftPct,
+    fxShockPct,
+    fxShockYear,
+    leverage,
+    leverageVolPct,
+    marginLoanPct,
+    marginRatePct,
+    maintenancePct,
+    contributionIncreasePct,
+    contributionIncreaseMode,
+    shockPct: first ? first.pct : null,
+    shockYear: first ? first.year : null,
+    shocks,
+    recoveryShape,
+    recoveryMonths
+  });
+}
+
+// A multiple like "3x" or "3" (the "x" is optional).
+function parseMultiple(token, toNum) {
+  return toNum(String(token || "").replace(/x$/i, ""), null);
+}
+
+// "ivol 20" (or the older "vol 20") at parts[i], right after a leverage factor.
+function isLeverageVolAt(parts, i, toNum) {
+  const keyword = String(parts[i] || "").toLowerCase();
+  return (keyword === "ivol" || keyword === "vol") && toNum(parts[i + 1], null) !== null;
+}
+
+// "3/yr", "3%", "3" or "inflation".
+function parseIncreaseToken(token) {
+  const t = String(token || "").toLowerCase();
+  if (t === "inflation" || t === "cpi") return { pct: 0, mode: "inflation" };
+  const match = t.match(/^(\d+(?:\.\d+)?)%?(?:\/y(?:r|ear)?)?$/);
+  if (!match) return null;
+  return { pct: Number(match[1]), mode: "fixed" };
+}
+
+function formatIncreaseOption(p) {
+  if (p.contributionIncreaseMode === "inflation") return "increase inflation";
+  if (p.contributionIncreasePct > 0) return `increase ${p.contributionIncreasePct}/yr`;
+  return null;
+}
+
+// /goal <target> <years|?> <return|?> [<amount>|?] [increase <pct>/yr|inflation] [confidence <pct>]
+// The "?" marks what to solve for; without one it's the contribution. Omitted amounts come from the card.
+function parseGoalCommand(text, deps) {
+  const { toNum } = deps;
+  const parts = String(text || "").trim().split(/\s+/);
+  const isAmount = (token) => token === "?" || Number.isFinite(Number(token));
+  const hasAmount = parts.length > 4 && isAmount(parts[4]);
+
+  const unknown = parts[2] === "?" ? "years" : parts[3] === "?" ? "return" : "contribution";
+  const goal = {
+    target: toNum(parts[1], 1000000),
+    years: unknown === "years" ? null : toNum(parts[2], 20),
+    annualReturn: unknown === "return" ? null : toNum(parts[3], 10),
+    weeklyAmount: unknown === "contribution" || !hasAmount ? null : toNum(parts[4], null),
+    unknown,
+    contributionIncreasePct: 0,
+    contributionIncreaseMode: null, // null = keep the card's raise
+    confidence: null // % of random paths that must reach the target (null = plain plan)
+  };
+
+  for (let i = hasAmount ? 5 : 4; i < parts.length - 1; i++) {
+    const key = parts[i].toLowerCase();
+    if (key === "confidence") {
+      const pct = toNum(String(parts[i + 1]).replace(/%$/, ""), null);
+      if (pct !== null) goal.confidence = Math.min(99, Math.max(50, pct));
+      i += 1;
+    } else if (key === "increase") {
+      const increase = parseIncreaseToken(parts[i + 1]);
+      if (increase) {
+        goal.contributionIncreasePct = increase.pct;
+        goal.contributionIncreaseMode = increase.mode;
+        i += 1;
+      }
+    }
+  }
+
+  return goal;
+}
+
+// "26w", "6m" or a bare number of weeks.
+function parseDurationWeeks(token) {
+  const match = String(token || "").toLowerCase().match(/^(\d+(?:\.\d+)?)(w|m)?$/);
+  if (!match) return null;
+  const value = Number(match[1]);
+  return match[2] === "m" ? Math.round((value * 52) / 12) : Math.round(value);
+}
+
+function buildDcaCommand(p, deps) {
+  const { DEFAULTS } = deps;
+  const parts = ["/dca", p.weeklyAmount, p.years, p.annualReturnPct];
+  if (p.annualFeePct > 0) parts.push("fee", p.annualFeePct);
+  if (p.frequency && p.frequency !== DEFAULTS.frequency) parts.push("freq", p.frequency);
+  if (p.contributionTiming === "end") parts.push("timing", "end");
+  if (p.tradeFixedFee > 0) parts.push("commission", p.tradeFixedFee);
+  if (p.tradeFeePct > 0 || p.tradeMinFee > 0) {
+    parts.push("commission", `${p.tradeFeePct || 0}%`);
+    if (p.tradeMinFee > 0) parts.push("min", p.tradeMinFee);
+  }
+  if (p.spreadBps > 0) parts.push("spread", p.spreadBps);
+  if (p.initialAmount > 0) parts.push("initial", p.initialAmount);
+  if (p.dividendYieldPct > 0) parts.push("yield", p.dividendYieldPct);
+  if (p.dividendYieldPct > 0 && p.dividendMode === "payout") parts.push("payout");
+  if (p.capitalGainsTaxPct > 0) parts.push("tax", p.capitalGainsTaxPct);
+  if ((p.dividendTaxPct || 0) !== (p.capitalGainsTaxPct || 0)) parts.push("divtax", p.dividendTaxPct);
+  if (p.capitalGainsTaxPct > 0 && p.taxExemption > 0) parts.push("exempt", p.taxExemption);
+  if (p.strategy === "va") {
+    parts.push("strategy", "va");
+    if (p.vaMaxBuyMultiple !== null && p.vaMaxBuyMultiple !== undefined) parts.push("maxbuy", p.vaMaxBuyMultiple);
+    if (p.vaMaxSellMultiple === 0) parts.push("nosell");
+    else if (p.vaMaxSellMultiple !== null && p.vaMaxSellMultiple !== undefined) parts.push("maxsell", p.vaMaxSellMultiple);
+  }
+  if (p.dipDrawdownPct !== null && p.dipDrawdownPct !== undefined) parts.push("dip", `${p.dipMultiplier}x`, "below", p.dipDrawdownPct);
+  if (p.dipReserve > 0) parts.push("reserve", p.dipReserve, "at", p.dipReserveDrawdownPct);
+  if (p.inflationPct !== undefined && p.inflationPct !== DEFAULTS.inflationPct) parts.push("inflation", p.inflationPct);
+  if (p.riskFreePct !== undefined && p.riskFreePct !== DEFAULTS.riskFreePct) parts.push("rf", p.riskFreePct);
+  if (p.pauseYears > 0) {
+    parts.push("pause", p.pauseYears, "from", p.pauseAtShock ? "shock" : p.pauseStartYear);
+    if (p.pauseWithdrawal > 0) parts.push("withdraw", p.pauseWithdrawal);
+  }
+  if (p.assetCurrency && p.assetCurrency !== DEFAULTS.assetCurrency) parts.push("asset", p.assetCurrency);
+  if (p.fxDriftPct) parts.push("fx", `${p.fxDriftPct}/yr`);
+  if (p.fxShockPct !== null && p.fxShockPct !== undefined) parts.push("fxshock", p.fxShockPct, "at", p.fxShockYear);
+  if (p.leverage > 1) {
+    parts.push("leverage", `${p.leverage}x`);
+    if (p.leverageVolPct !== DEFAULTS.leverageVolPct) parts.push("ivol", p.leverageVolPct);
+  }
+  if (p.marginLoanPct > 0) {
+    parts.push("margin", `${p.marginLoanPct}%`);
+    if (p.marginRatePct !== DEFAULTS.marginRatePct) parts.push("rate", p.marginRatePct);
+    if (p.maintenancePct !== DEFAULTS.maintenancePct) parts.push("maint", p.maintenancePct);
+  }
+  const increase = formatIncreaseOption(p);
+  if (increase) parts.push(increase);
+
+  const shocks = Array.isArray(p.shocks) && p.shocks.length > 0
+    ? p.shocks
+    : (p.shockPct !== null && p.shockYear !== null ? [{ pct: p.shockPct, year: p.shockYear, weeks: 0 }] : []);
+  shocks.forEach((shock) => {
+    parts.push("shock", shock.pct, "at", shock.year);
+    if (shock.weeks > 0) parts.push("over", `${shock.weeks}w`);
+  });
+  if (shocks.length > 0 && p.recoveryShape && p.recoveryShape !== "steady") {
+    parts.push("recovery", p.recoveryShape);
+    if (p.recoveryMonths !== null && p.recoveryMonths !== undefined) parts.push(p.recoveryMonths);
+  }
+
+  return parts.join(" ");
+}
+
+function parseMonteCarloCommand(text, deps) {
+  const { MONTE_CARLO, toNum, clamp } = deps;
+  const params = parseDcaCommand(text, deps);
+  const parts = String(text || "").trim().split(/\s+/);
+
+  let volatilityPct = MONTE_CARLO.defaultVolatilityPct;
+  let runs = MONTE_CARLO.defaultRuns;
+  let seed = null;
+
+  for (let i = 4; i < parts.length - 1; i++) {
+    const p = parts[i].toLowerCase();
+    // "leverage 3x vol 20" is the fund's index volatility, read by parseDcaCommand, not the paths'.
+    if (p === "leverage" && parseMultiple(parts[i + 1], toNum) !== null) {
+      i += isLeverageVolAt(parts, i + 2, toNum) ? 3 : 1;
+      continue;
+    }
+    const value = toNum(parts[i + 1], null);
+    if (value === null) continue;
+
+    if (p === "vol") {
+      volatilityPct = clamp(value, 0, MONTE_CARLO.maxVolatilityPct);
+      i += 1;
+    } else if (p === "runs") {
+      runs = clamp(Math.floor(value), MONTE_CARLO.minRuns, MONTE_CARLO.maxRuns);
+      i += 1;
+    } else if (p === "seed") {
+      seed = Math.abs(Math.floor(value));
+      i += 1;
+    }
+  }
+
+  return { params, volatilityPct, runs, seed };
+}
+
+function parseLumpSumCommand(text, deps) {
+  const { LIMITS, toNum, clamp } = deps;
+  const params = parseDcaCommand(text, deps);
+  const parts = String(text || "").trim().split(/\s+/);
+
+  const amount = clamp(toNum(parts[1], 10000), LIMITS.initialAmount.min, LIMITS.initialAmount.max);
+  let spreadWeeks = 52;
+
+  for (let i = 4; i < parts.length; i++) {
+    const p = parts[i].toLowerCase();
+
+    // Skip shock clauses so their own "over" isn't read as the DCA window.
+    if (p === "shock") {
+      i += 3;
+      if (parts[i + 1] && parts[i + 1].toLowerCase() === "over") i += 2;
+      continue;
+    }
+
+    if (p === "over" && i + 1 < parts.length) {
+      const weeks = parseDurationWeeks(parts[i + 1]);
+      if (weeks !== null && weeks > 0) {
+        spreadWeeks = weeks;
+        i += 1;
+      }
+    }
+  }
+
+  return { params, amount, spreadWeeks };
+}
+
+function parseFrequencyCommand(text, deps) {
+  const { FREQUENCIES } = deps;
+  const parts = String(text || "").trim().split(/\s+/).slice(1);
+  let frequency = null;
+  let timing = null;
+
+  parts.forEach((token) => {
+    frequency = parseFrequencyToken(token, FREQUENCIES) || frequency;
+    timing = parseTimingToken(token) || timing;
+  });
+
+  return { frequency, timing };
+}
+
+// Extra spellings accepted for GRID_AXES keys.
+const GRID_AXIS_ALIASES = {
+  ret: "return",
+  yrs: "years",
+  amt: "amount",
+  fees: "fee"
+};
+
+// /grid [x-axis] [y-axis] [<amount> <years> <return> ...]; params is null when no scenario is given.
+function parseGridCommand(text, deps) {
+  const { GRID_AXES } = deps;
+  const parts = String(text || "").trim().split(/\s+/).slice(1);
+  const axes = [];
+  while (axes.length < 2 && parts.length > 0) {
+    const token = parts[0].toLowerCase();
+    const key = GRID_AXIS_ALIASES[token] || token;
+    if (!GRID_AXES[key]) break;
+    axes.push(key);
+    parts.shift();
+  }
+
+  return {
+    xAxis: axes[0] || "return",
+    yAxis: axes[1] || (axes[0] === "years" ? "return" : "years"),
+    params: parts.length > 0 ? parseDcaCommand(["/dca", ...parts].join(" "), deps) : null
+  };
+}
+
+function parseStrategyCommand(text, deps) {
+  const parts = String(text || "").trim().split(/\s+/);
+  const strategy = (parts[1] || "").toLowerCase();
+  if (strategy !== "va") return null;
+
+  const params = parseDcaCommand(["/dca", ...parts.slice(2)].join(" "), deps);
+  return { strategy, params: { ...params, strategy } };
+}
+
+function parseRetireCommand(text, deps) {
+  const { LIMITS, toNum, clamp } = deps;
+  const params = parseDcaCommand(text, deps);
+  const parts = String(text || "").trim().split(/\s+/);
+
+  const balance = clamp(toNum(parts[1], 1000000), LIMITS.retirementBalance.min, LIMITS.retirementBalance.max);
+  let withdrawal = { pct: 4 };
+  let inflationIndexed = false;
+
+  for (let i = 4; i < parts.length; i++) {
+    const p = parts[i].toLowerCase();
+
+    if (p === "withdraw" && i + 1 < parts.length) {
+      const token = parts[i + 1];
+      const value = toNum(String(token).replace(/%$/, ""), null);
+      if (value !== null) {
+        withdrawal = /%$/.test(token)
+          ? { pct: clamp(value, 0, 100) }
+          : { amount: clamp(value, 0, LIMITS.retirementBalance.max) };
+        i += 1;
+      }
+      continue;
+    }
+
+    if (p === "inflation") {
+      inflationIndexed = true;
+      const pct = toNum(parts[i + 1], null);
+      if (pct !== null) {
+        params.inflationPct = clamp(pct, LIMITS.inflationPct.min, LIMITS.inflationPct.max);
+        i += 1;
+      }
+    }
+  }
+
+  return { params, balance, withdrawal, inflationIndexed };
+}
+
+function parseBacktestCommand(text, deps) {
+  const { toNum } = deps;
+  const parts = String(text || "").trim().split(/\s+/);
+
+  const ticker = String(parts[1] || "voo").toLowerCase();
+  let fromYear = parts.length >= 3 ? toNum(parts[2], null) : null;
+  let toYear = parts.length >= 4 ? toNum(parts[3], null) : null;
+
+  if (fromYear !== null) fromYear = Math.floor(fromYear);
+  if (toYear !== null) toYear = Math.floor(toYear);
+  if (fromYear !== null && toYear !== null && toYear < fromYear) {
+    [fromYear, toYear] = [toYear, fromYear];
+  }
+
+  return { ticker, fromYear, toYear };
 }
 
 function parseCompareCommand(text, deps) {
@@ -87,8 +749,9 @@ function parseMixShortAllocations(mixShort, deps) {
     const match = part.match(/^(\d+)(\w+)$/);
     if (!match) continue;
 
+    // Mix sleeves compound plain index funds; leveraged presets need simulateDCA's daily reset.
     const etf = ETF_PRESETS[match[2]];
-    if (!etf) continue;
+    if (!etf || etf.leverage > 1) continue;
 
     allocations.push({ pct: Number(match[1]), etf, name: match[2] });
   }
@@ -96,8 +759,26 @@ function parseMixShortAllocations(mixShort, deps) {
   return allocations;
 }
 
+// "rebalance <none|annual|quarterly|threshold> [band]" or "rebalance 5%" (threshold band).
+function parseMixRebalance(text, deps) {
+  const { REBALANCE_POLICIES, toNum } = deps;
+  const parts = String(text || "").trim().split(/\s+/);
+  const idx = parts.findIndex((p) => p.toLowerCase() === "rebalance");
+  if (idx < 0 || idx + 1 >= parts.length) return null;
+
+  const token = parts[idx + 1].toLowerCase();
+  const policy = token === "yearly" ? "annual" : token;
+  if (REBALANCE_POLICIES[policy]) {
+    const band = policy === "threshold" ? toNum(String(parts[idx + 2] || "").replace(/%$/, ""), null) : null;
+    return band !== null ? { policy, bandPct: band } : { policy };
+  }
+
+  const band = toNum(token.replace(/%$/, ""), null);
+  return band !== null ? { policy: "threshold", bandPct: band } : null;
+}
+
 function buildMixSimulationState(allocations, baseState, deps) {
-  const { simulateDCA } = deps;
+  const { simulateMix, computeMetrics } = deps;
   if (!Array.isArray(allocations) || allocations.length === 0) return null;
 
   let blendedReturn = 0;
@@ -118,15 +799,10 @@ function buildMixSimulationState(allocations, baseState, deps) {
   const mixName = allocations.map((a) => `${a.pct}% ${a.etf.name}`).join(" + ");
   const mixShort = allocations.map((a) => `${a.pct}${a.name}`).join("-");
 
-  const sim = simulateDCA({
-    ...(baseState || {}),
-    annualReturnPct: blendedReturn,
-    annualFeePct: blendedFee,
-    shockPct: blendedShock,
-    shockYear: Math.min((baseState && baseState.years) || 10, 3)
-  });
+  // Blended figures summarise the targets; the simulation itself runs one sleeve per asset.
+  const sim = simulateMix(allocations, baseState || {}, (baseState && baseState.mixRebalance) || {});
 
-  const roi = sim.contributed > 0 ? ((sim.gains / sim.contributed) * 100).toFixed(1) : "0";
+  const metrics = computeMetrics(sim);
 
   return {
     blendedReturn,
@@ -135,13 +811,24 @@ function buildMixSimulationState(allocations, baseState, deps) {
     mixName,
     mixShort,
     sim,
-    roi
+    metrics,
+    roi: metrics.roiPct.toFixed(1)
   };
 }
 
 module.exports = {
   parseDcaCommand,
+  buildDcaCommand,
+  parseGoalCommand,
+  parseMonteCarloCommand,
+  parseLumpSumCommand,
+  parseFrequencyCommand,
+  parseGridCommand,
+  parseStrategyCommand,
+  parseRetireCommand,
+  parseBacktestCommand,
   parseCompareCommand,
   parseMixShortAllocations,
+  parseMixRebalance,
   buildMixSimulationState
 };
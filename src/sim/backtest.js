@@ -0,0 +1,143 @@
+function monthLabel(startYear, startMonth, offset) {
+  const total = startYear * 12 + (startMonth - 1) + offset;
+  const year = Math.floor(total / 12);
+  const month = (total % 12) + 1;
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+function seriesYearRange(series) {
+  const [startYear, startMonth] = String(series.start).split("-").map(Number);
+  const startIndex = startYear * 12 + (startMonth - 1);
+  const endIndex = startIndex + series.returns.length;
+  return {
+    firstYear: startMonth === 1 ? startYear : startYear + 1,
+    lastYear: Math.floor(endIndex / 12) - 1
+  };
+}
+
+/**
+ * Slice a dataset series to whole calendar years [fromYear, toYear].
+ * Returns null when the window has no data.
+ */
+function sliceSeries(series, fromYear, toYear) {
+  if (!series || !Array.isArray(series.returns)) return null;
+  const [startYear, startMonth] = String(series.start).split("-").map(Number);
+  const range = seriesYearRange(series);
+  const from = Math.max(fromYear, range.firstYear);
+  const to = Math.min(toYear, range.lastYear);
+  if (to < from) return null;
+
+  const begin = from * 12 - (startYear * 12 + (startMonth - 1));
+  const end = begin + (to - from + 1) * 12;
+  return {
+    fromYear: from,
+    toYear: to,
+    returns: series.returns.slice(begin, end),
+    labelAt: (i) => monthLabel(startYear, startMonth, begin + i)
+  };
+}
+
+/**
+ * Worst peak-to-trough decline of the asset itself (growth of 1 unit),
+ * with the month it peaked, bottomed and regained the old high.
+ */
+function worstIndexDrawdown(returns, labelAt) {
+  let index = 1;
+  let peak = 1;
+  let peakAt = -1;
+  let episode = null;
+  let worst = null;
+
+  returns.forEach((r, i) => {
+    index *= 1 + r / 100;
+    if (index >= peak) {
+      if (episode) episode.recoveryDate = labelAt(i);
+      episode = null;
+      peak = index;
+      peakAt = i;
+      return;
+    }
+
+    if (!episode) episode = { pct: 0, peakDate: labelAt(peakAt), troughDate: null, recoveryDate: null };
+    const dd = ((index - peak) / peak) * 100;
+    if (dd < episode.pct) {
+      episode.pct = dd;
+      episode.troughDate = labelAt(i);
+    }
+    if (!worst || episode.pct < worst.pct) worst = episode;
+  });
+
+  return worst || { pct: 0, peakDate: null, troughDate: null, recoveryDate: null };
+}
+
+// Compounded return of each whole calendar year in the window, worst first year on ties.
+function worstCalendarYear(returns, fromYear) {
+  let worst = null;
+  for (let start = 0; start + 12 <= returns.length; start += 12) {
+    const growth = returns.slice(start, start + 12).reduce((g, r) => g * (1 + r / 100), 1);
+    const pct = (growth - 1) * 100;
+    if (!worst || pct < worst.pct) worst = { year: fromYear + start / 12, pct };
+  }
+  return worst;
+}
+
+// Card features that history replaces (fixed shocks) or that the backtest card has no comparison
+// lines for. They are switched off for the replay and listed as ignored on the caption.
+const IGNORED_FEATURES = [
+  { label: "shocks", on: (p) => p.shockPct !== null, off: { shockPct: null, shockYear: null, shocks: [] } },
+  { label: "value averaging", on: (p) => p.strategy === "va", off: { strategy: "dca" } },
+  { label: "dip buying", on: (p) => p.dipDrawdownPct !== null || p.dipReserve > 0, off: { dipDrawdownPct: null, dipReserve: 0 } },
+  { label: "contribution gap", on: (p) => p.pauseYears > 0, off: { pauseYears: 0, pauseWithdrawal: 0 } },
+  { label: "currency moves", on: (p) => p.fxDriftPct !== 0 || p.fxShockPct !== null, off: { fxDriftPct: 0, fxShockPct: null, fxShockYear: null } },
+  { label: "leverage", on: (p) => p.leverage > 1, off: { leverage: 1 } },
+  { label: "margin", on: (p) => p.marginLoanPct > 0, off: { marginLoanPct: 0 } }
+];
+
+function simulateBacktest(params, window, deps) {
+  const { simulateDCA, clampParams, periodsPerYearFor } = deps;
+  const p = clampParams(params);
+  const { returns, labelAt, fromYear, toYear, ticker, dataVersion, dataNote, dataResolution } = window;
+  const years = returns.length / 12;
+
+  // The dataset is monthly, so any schedule is replayed as the same yearly amount in 12 buys.
+  // Initial balance, raises, timing, trade costs, dividends and taxes apply as on the card.
+  const monthlyAmount = (p.weeklyAmount * periodsPerYearFor(p)) / 12;
+  const ignored = IGNORED_FEATURES.filter((feature) => feature.on(p));
+  const replay = Object.assign({ ...p, weeklyAmount: monthlyAmount, frequency: "monthly", years }, ...ignored.map((feature) => feature.off));
+  const sim = simulateDCA(replay, { periodReturns: returns.map((r) => r / 100), baselines: false });
+
+  const growth = returns.reduce((g, r) => g * (1 + r / 100), 1);
+  const cagrPct = years > 0 && growth > 0 ? (Math.pow(growth, 1 / years) - 1) * 100 : 0;
+  const milestones = {};
+  Object.keys(sim.milestones).forEach((year) => {
+    milestones[fromYear + Number(year) - 1] = sim.milestones[year];
+  });
+
+  return {
+    ...sim,
+    params: { ...sim.params, weeklyAmount: p.weeklyAmount, frequency: p.frequency, annualReturnPct: Math.round(cagrPct * 10) / 10 },
+    recoveryWeeks: null,
+    milestones,
+    backtest: {
+      ticker,
+      fromYear,
+      toYear,
+      dataVersion,
+      dataNote,
+      dataResolution: dataResolution || "monthly",
+      cagrPct,
+      monthlyAmount,
+      ignored: ignored.map((feature) => feature.label),
+      worstYear: worstCalendarYear(returns, fromYear),
+      worstDrawdown: worstIndexDrawdown(returns, labelAt)
+    }
+  };
+}
+
+module.exports = {
+  seriesYearRange,
+  sliceSeries,
+  worstIndexDrawdown,
+  worstCalendarYear,
+  simulateBacktest
+};
@@ -0,0 +1,89 @@
+// Parameters a sensitivity grid can sweep. `limit` names the LIMITS entry that bounds the axis;
+// `step` is the distance between neighbouring values (amount steps are multiples of the current one).
+const GRID_AXES = {
+  return: { label: "Return", short: "Ret", param: "annualReturnPct", limit: "annualReturnPct", unit: "%", step: () => 2 },
+  years: { label: "Years", short: "Yrs", param: "years", limit: "years", unit: "y", step: (p) => (p.years >= 10 ? 5 : 2) },
+  amount: { label: "Amount", short: "Amt", param: "weeklyAmount", limit: "weeklyAmount", unit: "", factors: [0.5, 0.75, 1, 1.5, 2] },
+  shock: { label: "Shock", short: "Shk", param: "shockPct", limit: "shockPct", unit: "%", step: () => 10 },
+  fee: { label: "Fee", short: "Fee", param: "annualFeePct", limit: "annualFeePct", unit: "%", step: () => 0.25 }
+};
+
+const GRID_SIZE = 5;
+
+// Up to GRID_SIZE values around `center`, two on each side where the limits allow.
+function axisWindow(center, step, min, max) {
+  const round = (x) => Math.round(x * 100) / 100;
+  const values = [round(center)];
+  for (let k = 1; values.length < GRID_SIZE && k < GRID_SIZE; k++) {
+    const below = round(center - k * step);
+    const above = round(center + k * step);
+    if (below >= min) values.unshift(below);
+    if (values.length < GRID_SIZE && above <= max) values.push(above);
+  }
+  return values.slice(0, GRID_SIZE).sort((a, b) => a - b);
+}
+
+function axisValues(axis, p, LIMITS) {
+  const limit = LIMITS[axis.limit];
+  if (axis.factors) {
+    const base = p[axis.param] > 0 ? p[axis.param] : 100;
+    return axis.factors.map((f) => Math.min(limit.max, Math.round(base * f)));
+  }
+  // A shock axis on a scenario without a shock sweeps around the default -30%.
+  const center = axis.param === "shockPct" && p.shockPct === null ? -30 : p[axis.param];
+  const min = axis.param === "years" ? Math.max(1, limit.min) : limit.min;
+  return axisWindow(center, axis.step(p), min, limit.max);
+}
+
+function withAxisValue(p, axis, value) {
+  if (axis.param !== "shockPct") return { ...p, [axis.param]: value };
+  return { ...p, shockPct: value, shockYear: p.shockYear !== null ? p.shockYear : Math.min(3, p.years) };
+}
+
+/**
+ * Run simulateDCA over a matrix of two parameters centred on the scenario.
+ * `cells[row][col]` is the final value for yValues[row] and xValues[col].
+ */
+function simulateGrid(params, options, deps) {
+  const { simulateDCA, clampParams, LIMITS } = deps;
+  const opts = options || {};
+  const p = clampParams(params);
+  const xKey = GRID_AXES[opts.xAxis] ? opts.xAxis : "return";
+  const yKey = GRID_AXES[opts.yAxis] && opts.yAxis !== xKey ? opts.yAxis : xKey === "years" ? "return" : "years";
+  const xAxis = GRID_AXES[xKey];
+  const yAxis = GRID_AXES[yKey];
+
+  const xValues = axisValues(xAxis, p, LIMITS);
+  const yValues = axisValues(yAxis, p, LIMITS);
+
+  let min = Infinity;
+  let max = -Infinity;
+  const cells = yValues.map((y) => xValues.map((x) => {
+    const finalValue = simulateDCA(withAxisValue(withAxisValue(p, xAxis, x), yAxis, y)).finalValue;
+    min = Math.min(min, finalValue);
+    max = Math.max(max, finalValue);
+    return finalValue;
+  }));
+
+  const centerOf = (axis, values) => {
+    const current = axis.param === "shockPct" && p.shockPct === null ? null : p[axis.param];
+    return values.indexOf(current);
+  };
+
+  return {
+    params: p,
+    xAxis: xKey,
+    yAxis: yKey,
+    xValues,
+    yValues,
+    cells,
+    center: { x: centerOf(xAxis, xValues), y: centerOf(yAxis, yValues) },
+    min,
+    max
+  };
+}
+
+module.exports = {
+  GRID_AXES,
+  simulateGrid
+};
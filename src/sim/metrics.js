@@ -0,0 +1,155 @@
+// Below this a volatility or downside deviation is rounding noise on a smooth path, so the
+// ratios built on it are reported as not applicable rather than as huge numbers.
+const MIN_DEVIATION = 1e-9;
+// A base smaller than this is the rounding left over after selling everything, not an investment.
+const MIN_BASE = 1e-6;
+
+// Cash the investor took out along the way (paid-out dividends), received at the end of period i.
+function payoutAt(flows, i) {
+  return (flows.payouts && flows.payouts[i]) || 0;
+}
+
+function totalPayouts(sim) {
+  return sim.flows ? sim.flows.periods.reduce((sum, _, i) => sum + payoutAt(sim.flows, i), 0) : 0;
+}
+
+// Paid-out dividends count as part of the return, not as money lost.
+function roiPct(sim) {
+  return sim.contributed > 0 ? ((sim.gains + totalPayouts(sim)) / sim.contributed) * 100 : 0;
+}
+
+// Dated cash flows from the investor's side: buys are negative, sales, payouts and the final value positive.
+function datedCashFlows(sim) {
+  const { initial, periods, timing, periodsPerYear } = sim.flows;
+  const out = [];
+  if (initial > 0) out.push({ t: 0, amount: -initial });
+  periods.forEach((flow, i) => {
+    if (flow !== 0) out.push({ t: (timing === "end" ? i + 1 : i) / periodsPerYear, amount: -flow });
+    const payout = payoutAt(sim.flows, i);
+    if (payout !== 0) out.push({ t: (i + 1) / periodsPerYear, amount: payout });
+  });
+  out.push({ t: periods.length / periodsPerYear, amount: sim.finalValue });
+  return out;
+}
+
+/**
+ * Annual rate that discounts dated cash flows `[{ t (years), amount }]` to zero (XIRR), found by
+ * bisection. Null when the flows never change sign, so no rate fits.
+ */
+function irr(cashFlows) {
+  const npv = (rate) => cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.t), 0);
+  let lo = -0.9999;
+  let hi = 10;
+  let npvLo = npv(lo);
+  if (npvLo * npv(hi) > 0) return null;
+  for (let i = 0; i < 200 && hi - lo > 1e-10; i++) {
+    const mid = (lo + hi) / 2;
+    const npvMid = npv(mid);
+    if (npvMid * npvLo > 0) {
+      lo = mid;
+      npvLo = npvMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Each period's return with that period's cash flow taken out: a start-of-period buy joins the
+// base, an end-of-period buy is removed from the result and a payout is added back to it.
+// Periods with nothing invested are skipped.
+function periodReturns(sim) {
+  const { initial, periods, timing } = sim.flows;
+  const returns = [];
+  let previous = initial;
+  sim.series.forEach((value, i) => {
+    const flow = periods[i] || 0;
+    const base = previous + (timing === "end" ? 0 : flow);
+    const end = value - (timing === "end" ? flow : 0) + payoutAt(sim.flows, i);
+    if (base > MIN_BASE) returns.push(end / base - 1);
+    previous = value;
+  });
+  return returns;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Risk and return metrics of a simulated run: money-weighted return (IRR on the contribution cash
+ * flows), time-weighted CAGR, annualized volatility, Sharpe and Sortino against `riskFreePct`,
+ * ulcer index and time spent below a previous peak.
+ * Needs `sim.flows` ({ initial, periods, payouts?, timing, periodsPerYear }); without it only ROI is known.
+ */
+function computeMetrics(sim, options) {
+  const opts = options || {};
+  const riskFreePct = Number(opts.riskFreePct) || 0;
+  const metrics = {
+    riskFreePct,
+    roiPct: roiPct(sim),
+    irrPct: null,
+    twrCagrPct: null,
+    volatilityPct: null,
+    sharpe: null,
+    sortino: null,
+    ulcerIndex: null,
+    underwaterPct: null,
+    longestUnderwaterYears: null
+  };
+  if (!sim.flows || !Array.isArray(sim.series) || sim.series.length === 0) return metrics;
+
+  const { periodsPerYear } = sim.flows;
+
+  const rate = sim.finalValue <= 0 ? -1 : irr(datedCashFlows(sim));
+  metrics.irrPct = rate === null ? null : rate * 100;
+
+  const returns = periodReturns(sim);
+  const growth = returns.reduce((g, r) => g * (1 + r), 1);
+  const investedYears = returns.length / periodsPerYear;
+  metrics.twrCagrPct = investedYears === 0 ? 0 : growth > 0 ? (Math.pow(growth, 1 / investedYears) - 1) * 100 : -100;
+
+  // Sample deviation of the per-period returns, scaled to a year.
+  const avg = mean(returns);
+  const variance = returns.length > 1
+    ? returns.reduce((sum, r) => sum + (r - avg) * (r - avg), 0) / (returns.length - 1)
+    : 0;
+  const deviation = Math.sqrt(variance);
+  metrics.volatilityPct = deviation * Math.sqrt(periodsPerYear) * 100;
+
+  const riskFree = Math.pow(1 + riskFreePct / 100, 1 / periodsPerYear) - 1;
+  const excess = mean(returns) - riskFree;
+  const downside = Math.sqrt(mean(returns.map((r) => Math.pow(Math.min(0, r - riskFree), 2))));
+  if (deviation > MIN_DEVIATION) metrics.sharpe = (excess / deviation) * Math.sqrt(periodsPerYear);
+  if (downside > MIN_DEVIATION) metrics.sortino = (excess / downside) * Math.sqrt(periodsPerYear);
+
+  // Drawdowns of the portfolio value itself, like maxDrawdownPct.
+  let peak = sim.flows.initial;
+  let squares = 0;
+  let underwater = 0;
+  let stretch = 0;
+  let longest = 0;
+  sim.series.forEach((value) => {
+    if (value > peak) peak = value;
+    const dd = peak > 0 && value < peak ? ((peak - value) / peak) * 100 : 0;
+    squares += dd * dd;
+    if (dd > 0) {
+      underwater += 1;
+      stretch += 1;
+      longest = Math.max(longest, stretch);
+    } else {
+      stretch = 0;
+    }
+  });
+  metrics.ulcerIndex = Math.sqrt(squares / sim.series.length);
+  metrics.underwaterPct = (underwater / sim.series.length) * 100;
+  metrics.longestUnderwaterYears = longest / periodsPerYear;
+
+  return metrics;
+}
+
+module.exports = {
+  roiPct,
+  irr,
+  computeMetrics
+};
@@ -0,0 +1,263 @@
+// Seeded PRNG (mulberry32) so a given seed always replays the same paths.
+function createRng(seed) {
+  let a = (Number(seed) >>> 0) || 1;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw via Box-Muller.
+function normalSample(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function percentile(sorted, q) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  if (lo === hi) return sorted[lo];
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Log-normal per-period returns whose median compounds to annualReturnPct.
+function buildReturnPath(annualReturnPct, volatilityPct, periodsPerYear, totalPeriods, rng) {
+  const growth = 1 + annualReturnPct / 100;
+  const path = new Array(totalPeriods);
+  if (growth <= 0) return path.fill(-1);
+
+  const drift = Math.log(growth) / periodsPerYear;
+  const sigma = (volatilityPct / 100) / Math.sqrt(periodsPerYear);
+  for (let i = 0; i < totalPeriods; i++) {
+    path[i] = Math.exp(drift + sigma * normalSample(rng)) - 1;
+  }
+  return path;
+}
+
+/**
+ * Seeded random-return paths through simulateDCA, summarised as percentiles and p10/p50/p90 bands.
+ * With `maxPeriodSteps` the run count is cut so runs × periods stays under it; `requestedRuns`
+ * keeps what was asked for.
+ */
+function simulateMonteCarlo(params, options, deps) {
+  const { simulateDCA, clampParams, periodsPerYearFor } = deps;
+  const opts = options || {};
+  const p = clampParams(params);
+  const requestedRuns = Math.max(1, Math.floor(opts.runs || 500));
+  const volatilityPct = Math.max(0, Number(opts.volatilityPct) || 0);
+  const seed = Math.floor(Number(opts.seed) || 1);
+  const maxPoints = opts.maxPoints || 100;
+
+  const periodsPerYear = periodsPerYearFor(p);
+  const totalPeriods = Math.max(0, Math.floor(p.years * periodsPerYear));
+  const runs = opts.maxPeriodSteps > 0
+    ? Math.max(1, Math.min(requestedRuns, Math.floor(opts.maxPeriodSteps / Math.max(1, totalPeriods))))
+    : requestedRuns;
+  const step = Math.max(1, Math.floor(totalPeriods / maxPoints));
+  const sampleIdx = [];
+  for (let i = 0; i < totalPeriods; i += step) sampleIdx.push(i);
+
+  const rng = createRng(seed);
+  const finals = [];
+  const drawdowns = [];
+  const sampledByPoint = sampleIdx.map(() => []);
+  let belowContributed = 0;
+  let contributed = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const path = buildReturnPath(p.annualReturnPct, volatilityPct, periodsPerYear, totalPeriods, rng);
+    // Only the path itself is read, so the with/without comparisons a card shows are skipped.
+    const sim = simulateDCA(p, { periodReturns: path, baselines: false });
+
+    finals.push(sim.finalValue);
+    drawdowns.push(sim.maxDrawdownPct);
+    contributed = sim.contributed;
+    if (sim.finalValue < sim.contributed) belowContributed += 1;
+    sampleIdx.forEach((idx, k) => sampledByPoint[k].push(sim.series[idx]));
+  }
+
+  const sortNum = (a, b) => a - b;
+  finals.sort(sortNum);
+  drawdowns.sort(sortNum);
+
+  const bands = { p10: [], p50: [], p90: [] };
+  sampledByPoint.forEach((values) => {
+    values.sort(sortNum);
+    bands.p10.push(percentile(values, 0.1));
+    bands.p50.push(percentile(values, 0.5));
+    bands.p90.push(percentile(values, 0.9));
+  });
+
+  return {
+    params: p,
+    runs,
+    requestedRuns,
+    seed,
+    volatilityPct,
+    contributed,
+    p10: percentile(finals, 0.1),
+    p50: percentile(finals, 0.5),
+    p90: percentile(finals, 0.9),
+    medianMaxDrawdownPct: percentile(drawdowns, 0.5),
+    probBelowContributedPct: (belowContributed / runs) * 100,
+    bands
+  };
+}
+
+// buildReturnPath plus random crashes: each year has a crashesPerDecade/10 chance of a crashPct drop
+// in one random period. The calm drift is lowered to match, so crashes are part of the average
+// return rather than on top of it and the median path still compounds to annualReturnPct.
+function buildCrashPath(annualReturnPct, risk, periodsPerYear, totalPeriods, rng) {
+  const crashChance = Math.min(1, Math.max(0, (Number(risk.crashesPerDecade) || 0) / 10));
+  const crashFactor = 1 + (Number(risk.crashPct) || 0) / 100;
+  const growth = 1 + annualReturnPct / 100;
+  const calmGrowth = growth > 0 && crashFactor > 0
+    ? Math.exp(Math.log(growth) - crashChance * Math.log(crashFactor))
+    : growth;
+
+  const path = buildReturnPath((calmGrowth - 1) * 100, Number(risk.volatilityPct) || 0, periodsPerYear, totalPeriods, rng);
+  for (let start = 0; start < totalPeriods; start += periodsPerYear) {
+    if (rng() >= crashChance) continue;
+    const at = start + Math.floor(rng() * periodsPerYear);
+    if (at < totalPeriods) path[at] = (1 + path[at]) * crashFactor - 1;
+  }
+  return path;
+}
+
+/**
+ * Chance that the scenario reaches `target` by its horizon over seeded random paths with the risk
+ * profile's volatility and crash frequency (which replace any fixed shocks), and the contribution
+ * needed for each confidence level. A first guess takes each path's final value as linear in the
+ * contribution; it is re-run at that guess, and where the paths disagree (flat trading fees, gap
+ * withdrawals, a dip reserve, value averaging, margin calls on a starting balance) the level is
+ * bisected until the contribution reaches the target on enough of the same paths.
+ */
+function simulateGoalOdds(params, options, deps) {
+  const { simulateDCA, clampParams, periodsPerYearFor } = deps;
+  const opts = options || {};
+  const p = clampParams({ ...params, shockPct: null, shockYear: null });
+  const target = Math.max(0, Number(opts.target) || 0);
+  const runs = Math.max(1, Math.floor(opts.runs || 500));
+  const seed = Math.floor(Number(opts.seed) || 1);
+  const risk = opts.risk || {};
+  const levels = (opts.confidenceLevels || [75, 90]).slice().sort((a, b) => a - b);
+  const valueOf = (sim) => (opts.realMoney ? sim.inflationAdjusted : sim.finalValue);
+
+  const periodsPerYear = periodsPerYearFor(p);
+  const totalPeriods = Math.max(0, Math.floor(p.years * periodsPerYear));
+  const unit = p.weeklyAmount > 0 ? p.weeklyAmount : 1;
+
+  const rng = createRng(seed);
+  const paths = [];
+  for (let run = 0; run < runs; run++) {
+    paths.push(buildCrashPath(p.annualReturnPct, risk, periodsPerYear, totalPeriods, rng));
+  }
+  // Only the final value is read, so the with/without comparisons a card shows are skipped.
+  const finalAt = (contribution, path) => (
+    valueOf(simulateDCA({ ...p, weeklyAmount: contribution }, { periodReturns: path, baselines: false }))
+  );
+  const finalsAt = (contribution) => paths.map((path) => finalAt(contribution, path));
+  // Which paths reach the target at `contribution`; paths settled in `known` are not re-run.
+  const reachesAt = (contribution, known) => paths.map((path, i) => (
+    known && known[i] !== undefined ? known[i] : finalAt(contribution, path) >= target
+  ));
+  const count = (flags) => flags.filter(Boolean).length;
+  const without = finalsAt(0);
+  const withUnit = finalsAt(unit);
+  // Per-path contribution that reaches the target on the line through (0, without) and (c, finals).
+  const neededAlong = (c, finals) => finals.map((v, i) => {
+    if (without[i] >= target) return 0;
+    const perUnit = (v - without[i]) / c;
+    return perUnit > 0 ? (target - without[i]) / perUnit : Infinity;
+  });
+  const quantile = (needed, required) => Math.ceil(needed.slice().sort((x, y) => x - y)[required - 1] * 100) / 100;
+
+  const hits = count((p.weeklyAmount > 0 ? withUnit : without).map((v) => v >= target));
+  const firstGuess = neededAlong(unit, withUnit);
+
+  const solveLevel = (confidencePct) => {
+    const required = Math.max(1, Math.ceil((confidencePct / 100) * runs));
+    if (count(without.map((v) => v >= target)) >= required) return 0;
+
+    let guess = quantile(firstGuess, required);
+    if (!Number.isFinite(guess)) return null;
+    let finals = finalsAt(guess);
+    const linear = finals.every((v, i) => (
+      Math.abs(v - (without[i] + ((withUnit[i] - without[i]) * guess) / unit)) <= 1e-6 * Math.max(1, Math.abs(v))
+    ));
+    if (linear) return guess;
+
+    // Re-linearise through the last guess, then bracket and bisect on the number of paths that reach
+    // the target. More contribution never lowers a path's final value, so a path that reaches it at
+    // `lo` (or misses at `hi`) is settled and only the rest are re-run.
+    for (let round = 0; round < 3; round++) {
+      const next = quantile(neededAlong(guess, finals), required);
+      if (!Number.isFinite(next) || Math.abs(next - guess) <= 0.005 * guess) break;
+      guess = next;
+      finals = finalsAt(guess);
+    }
+    let lo = 0;
+    let hi = guess;
+    let atLo = without.map((v) => v >= target);
+    let atHi = finals.map((v) => v >= target);
+    if (count(atHi) >= required) {
+      for (let next = guess * 0.95; next > 0.01; next *= 0.8) {
+        const at = reachesAt(next, atHi.map((reached) => (reached ? undefined : false)));
+        if (count(at) < required) {
+          lo = next;
+          atLo = at;
+          break;
+        }
+        hi = next;
+        atHi = at;
+      }
+    } else {
+      for (let grow = 0; count(atHi) < required; grow++) {
+        if (grow >= 20) return null;
+        lo = hi;
+        atLo = atHi;
+        hi *= 1.5;
+        atHi = reachesAt(hi, atLo.map((reached) => (reached ? true : undefined)));
+      }
+    }
+    while (hi - lo > Math.max(0.01, 0.001 * hi)) {
+      const mid = (lo + hi) / 2;
+      const at = reachesAt(mid, atLo.map((reached, i) => (reached ? true : atHi[i] ? undefined : false)));
+      if (count(at) >= required) {
+        hi = mid;
+        atHi = at;
+      } else {
+        lo = mid;
+        atLo = at;
+      }
+    }
+    return Math.ceil(hi * 100) / 100;
+  };
+
+  return {
+    params: p,
+    target,
+    runs,
+    seed,
+    risk,
+    probabilityPct: (hits / runs) * 100,
+    levels: levels.map((confidencePct) => ({ confidencePct, contribution: solveLevel(confidencePct) }))
+  };
+}
+
+module.exports = {
+  createRng,
+  normalSample,
+  percentile,
+  buildReturnPath,
+  buildCrashPath,
+  simulateMonteCarlo,
+  simulateGoalOdds
+};
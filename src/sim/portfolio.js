@@ -0,0 +1,129 @@
+const REBALANCE_POLICIES = {
+  none: { label: "None (buy & hold)" },
+  annual: { label: "Annual" },
+  quarterly: { label: "Quarterly" },
+  threshold: { label: "Threshold bands" }
+};
+
+function shouldRebalance(policy, period, periodsPerYear, weights, values, total, bandPct) {
+  if (policy === "annual") return period % periodsPerYear === 0;
+  if (policy === "quarterly") return period % Math.max(1, Math.round(periodsPerYear / 4)) === 0;
+  if (policy === "threshold") {
+    return total > 0 && values.some((v, i) => Math.abs(v / total - weights[i]) * 100 > bandPct);
+  }
+  return false;
+}
+
+// One pass over the horizon with every asset in its own sleeve.
+function runSleeves(sleeves, p, policy, bandPct, deps) {
+  const { periodRateFromAnnual, periodFeeFactorFromAnnual, periodsPerYearFor } = deps;
+  const periodsPerYear = periodsPerYearFor(p);
+  const totalPeriods = Math.max(0, Math.floor(p.years * periodsPerYear));
+  const shockPeriod = Math.min(totalPeriods, Math.max(1, Math.floor(p.shockYear * periodsPerYear)));
+
+  const weights = sleeves.map((s) => s.weight);
+  const growth = sleeves.map((s) => 1 + periodRateFromAnnual(s.annualReturnPct, periodsPerYear));
+  const fees = sleeves.map((s) => periodFeeFactorFromAnnual(s.annualFeePct, periodsPerYear));
+
+  const values = sleeves.map(() => 0);
+  let contributed = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let rebalances = 0;
+  const series = [];
+  const flows = [];
+  const milestones = {};
+
+  for (let period = 1; period <= totalPeriods; period++) {
+    contributed += p.weeklyAmount;
+    sleeves.forEach((s, i) => {
+      values[i] = (values[i] + p.weeklyAmount * weights[i]) * growth[i] * fees[i];
+      // Each asset takes its own crash: bonds don't fall with stocks.
+      if (period === shockPeriod) values[i] *= 1 + s.shockPct / 100;
+    });
+
+    let total = values.reduce((sum, v) => sum + v, 0);
+    if (shouldRebalance(policy, period, periodsPerYear, weights, values, total, bandPct)) {
+      weights.forEach((w, i) => { values[i] = total * w; });
+      rebalances += 1;
+    }
+    total = values.reduce((sum, v) => sum + v, 0);
+
+    if (total > peak) peak = total;
+    if (peak > 0) {
+      const dd = (total - peak) / peak;
+      if (dd < maxDrawdown) maxDrawdown = dd;
+    }
+
+    series.push(total);
+    flows.push(p.weeklyAmount);
+    const year = Math.floor(period / periodsPerYear);
+    if (period === year * periodsPerYear && year > 0) milestones[year] = total;
+  }
+
+  const finalValue = values.reduce((sum, v) => sum + v, 0);
+  if (p.years > 0) milestones[p.years] = finalValue;
+
+  return {
+    contributed,
+    finalValue,
+    gains: finalValue - contributed,
+    maxDrawdownPct: maxDrawdown * 100,
+    rebalances,
+    series,
+    flows: { initial: 0, periods: flows, timing: "start", periodsPerYear },
+    milestones,
+    sleeves: sleeves.map((s, i) => ({
+      name: s.name,
+      targetPct: s.weight * 100,
+      finalValue: values[i],
+      weightPct: finalValue > 0 ? (values[i] / finalValue) * 100 : 0
+    }))
+  };
+}
+
+/**
+ * Simulate a multi-asset mix with one sleeve per asset, per-asset shocks and a rebalancing policy.
+ * The same mix is also run buy-and-hold so the caller can show what rebalancing was worth.
+ */
+function simulateMix(allocations, params, options, deps) {
+  const { clampParams } = deps;
+  const opts = options || {};
+  const p = clampParams(params);
+  const policy = REBALANCE_POLICIES[opts.policy] ? opts.policy : "annual";
+  const bandPct = Math.min(50, Math.max(1, Number(opts.bandPct) || 5));
+  const shockYear = opts.shockYear !== undefined ? opts.shockYear : Math.min(p.years || 10, 3);
+
+  const totalPct = allocations.reduce((sum, a) => sum + a.pct, 0) || 1;
+  const sleeves = allocations.map((a) => ({
+    name: a.etf.name,
+    weight: a.pct / totalPct,
+    annualReturnPct: a.etf.annualReturnPct,
+    annualFeePct: a.etf.annualFeePct,
+    shockPct: a.etf.typicalShock
+  }));
+
+  const run = { ...p, shockYear };
+  const result = runSleeves(sleeves, run, policy, bandPct, deps);
+  const buyAndHold = policy === "none" ? result : runSleeves(sleeves, run, "none", bandPct, deps);
+  const inflationFactor = Math.pow(1 + p.inflationPct / 100, p.years);
+
+  return {
+    params: p,
+    policy,
+    bandPct,
+    ...result,
+    inflationAdjusted: result.finalValue / inflationFactor,
+    buyAndHold: {
+      finalValue: buyAndHold.finalValue,
+      maxDrawdownPct: buyAndHold.maxDrawdownPct,
+      sleeves: buyAndHold.sleeves
+    },
+    rebalanceBenefit: result.finalValue - buyAndHold.finalValue
+  };
+}
+
+module.exports = {
+  REBALANCE_POLICIES,
+  simulateMix
+};
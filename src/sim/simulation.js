@@ -1,14 +1,46 @@
-function weeklyRateFromAnnual(annualPct) {
+// Post-shock recovery profiles; `months` is the default length of each shape's defining phase.
+const RECOVERY_SHAPES = {
+  steady: { label: "Steady", months: 0 },
+  v: { label: "V (fast rebound)", months: 6 },
+  u: { label: "U (flat bottom)", months: 12 },
+  l: { label: "L (stagnation)", months: 36 },
+  w: { label: "W (double dip)", months: 12 }
+};
+
+// Trading days in a year: leveraged funds reset once per trading day.
+const TRADING_DAYS = 252;
+
+// Contribution schedules. `unit` is the short per-period label ("$100/wk"), `noun` the long one ("$100/week").
+// Daily means trading days; semi-monthly is the 1st and 15th.
+const FREQUENCIES = {
+  daily: { label: "Daily", unit: "day", noun: "trading day", periodsPerYear: 252 },
+  weekly: { label: "Weekly", unit: "wk", noun: "week", periodsPerYear: 52 },
+  biweekly: { label: "Biweekly", unit: "2wk", noun: "2 weeks", periodsPerYear: 26 },
+  semimonthly: { label: "Semi-monthly", unit: "½mo", noun: "half-month", periodsPerYear: 24 },
+  monthly: { label: "Monthly", unit: "mo", noun: "month", periodsPerYear: 12 },
+  quarterly: { label: "Quarterly", unit: "qtr", noun: "quarter", periodsPerYear: 4 },
+  annual: { label: "Annual", unit: "yr", noun: "year", periodsPerYear: 1 }
+};
+
+function periodRateFromAnnual(annualPct, periodsPerYear) {
   const a = annualPct / 100;
   if (a <= -1) return -1;
-  return Math.pow(1 + a, 1 / 52) - 1;
+  return Math.pow(1 + a, 1 / periodsPerYear) - 1;
 }
 
-function weeklyFeeFactorFromAnnual(feePct) {
+function periodFeeFactorFromAnnual(feePct, periodsPerYear) {
   const f = feePct / 100;
   if (f <= 0) return 1;
   if (f >= 1) return 0;
-  return Math.pow(1 - f, 1 / 52);
+  return Math.pow(1 - f, 1 / periodsPerYear);
+}
+
+function weeklyRateFromAnnual(annualPct) {
+  return periodRateFromAnnual(annualPct, 52);
+}
+
+function weeklyFeeFactorFromAnnual(feePct) {
+  return periodFeeFactorFromAnnual(feePct, 52);
 }
 
 function clampParams(p, deps) {
@@ -19,79 +51,924 @@ function clampParams(p, deps) {
   out.years = clamp(toNum(out.years, DEFAULTS.years), LIMITS.years.min, LIMITS.years.max);
   out.annualReturnPct = clamp(toNum(out.annualReturnPct, DEFAULTS.annualReturnPct), LIMITS.annualReturnPct.min, LIMITS.annualReturnPct.max);
   out.annualFeePct = clamp(toNum(out.annualFeePct, DEFAULTS.annualFeePct), LIMITS.annualFeePct.min, LIMITS.annualFeePct.max);
+  out.initialAmount = clamp(toNum(out.initialAmount, 0), LIMITS.initialAmount.min, LIMITS.initialAmount.max);
+  out.contributionWeeks = out.contributionWeeks === null || out.contributionWeeks === undefined
+    ? null
+    : clamp(Math.round(toNum(out.contributionWeeks, 0)), LIMITS.contributionWeeks.min, LIMITS.contributionWeeks.max);
+
+  out.dividendYieldPct = clamp(toNum(out.dividendYieldPct, 0), LIMITS.dividendYieldPct.min, LIMITS.dividendYieldPct.max);
+  out.dividendMode = out.dividendMode === "payout" ? "payout" : "reinvest";
+  out.dividendTaxPct = clamp(toNum(out.dividendTaxPct, 0), LIMITS.taxPct.min, LIMITS.taxPct.max);
+  out.capitalGainsTaxPct = clamp(toNum(out.capitalGainsTaxPct, 0), LIMITS.taxPct.min, LIMITS.taxPct.max);
+  out.taxExemption = clamp(toNum(out.taxExemption, 0), LIMITS.taxExemption.min, LIMITS.taxExemption.max);
+
+  out.strategy = out.strategy === "va" ? "va" : "dca";
+  out.vaMaxBuyMultiple = out.vaMaxBuyMultiple === null || out.vaMaxBuyMultiple === undefined
+    ? null
+    : clamp(toNum(out.vaMaxBuyMultiple, 1), LIMITS.vaMultiple.min, LIMITS.vaMultiple.max);
+  out.vaMaxSellMultiple = out.vaMaxSellMultiple === null || out.vaMaxSellMultiple === undefined
+    ? null
+    : clamp(toNum(out.vaMaxSellMultiple, 0), 0, LIMITS.vaMultiple.max);
+
+  out.dipDrawdownPct = out.dipDrawdownPct === null || out.dipDrawdownPct === undefined
+    ? null
+    : clamp(toNum(out.dipDrawdownPct, -20), LIMITS.dipDrawdownPct.min, LIMITS.dipDrawdownPct.max);
+  out.dipMultiplier = clamp(toNum(out.dipMultiplier, 2), LIMITS.dipMultiplier.min, LIMITS.dipMultiplier.max);
+  out.dipReserve = clamp(toNum(out.dipReserve, 0), LIMITS.dipReserve.min, LIMITS.dipReserve.max);
+  out.dipReserveDrawdownPct = clamp(toNum(out.dipReserveDrawdownPct, -30), LIMITS.dipDrawdownPct.min, LIMITS.dipDrawdownPct.max);
+
+  out.pauseYears = clamp(toNum(out.pauseYears, 0), LIMITS.pauseYears.min, LIMITS.pauseYears.max);
+  out.pauseStartYear = clamp(toNum(out.pauseStartYear, 3), 0, out.years);
+  out.pauseAtShock = Boolean(out.pauseAtShock);
+  out.pauseWithdrawal = clamp(toNum(out.pauseWithdrawal, 0), LIMITS.weeklyAmount.min, LIMITS.weeklyAmount.max);
+
+  out.tradeFixedFee = clamp(toNum(out.tradeFixedFee, 0), LIMITS.tradeFee.min, LIMITS.tradeFee.max);
+  out.tradeFeePct = clamp(toNum(out.tradeFeePct, 0), LIMITS.tradeFeePct.min, LIMITS.tradeFeePct.max);
+  out.tradeMinFee = clamp(toNum(out.tradeMinFee, 0), LIMITS.tradeFee.min, LIMITS.tradeFee.max);
+  out.spreadBps = clamp(toNum(out.spreadBps, 0), LIMITS.spreadBps.min, LIMITS.spreadBps.max);
+
+  // Currency the asset is priced in; `currency` is the investor's home currency.
+  const assetCurrency = String(out.assetCurrency || DEFAULTS.assetCurrency || "usd").toLowerCase();
+  out.assetCurrency = /^[a-z]{3}$/.test(assetCurrency) ? assetCurrency : "usd";
+  out.fxDriftPct = clamp(toNum(out.fxDriftPct, 0), LIMITS.fxDriftPct.min, LIMITS.fxDriftPct.max);
+  if (out.fxShockPct === null || out.fxShockPct === undefined) {
+    out.fxShockPct = null;
+    out.fxShockYear = null;
+  } else {
+    out.fxShockPct = clamp(toNum(out.fxShockPct, 0), LIMITS.fxShockPct.min, LIMITS.fxShockPct.max);
+    out.fxShockYear = clamp(toNum(out.fxShockYear, 1), 0, out.years);
+  }
+
+  // Daily-reset leveraged fund; margin loans borrow marginLoanPct on top of each buy.
+  out.leverage = clamp(toNum(out.leverage, 1), LIMITS.leverage.min, LIMITS.leverage.max);
+  out.leverageVolPct = clamp(toNum(out.leverageVolPct, DEFAULTS.leverageVolPct), LIMITS.leverageVolPct.min, LIMITS.leverageVolPct.max);
+  out.marginLoanPct = clamp(toNum(out.marginLoanPct, 0), LIMITS.marginLoanPct.min, LIMITS.marginLoanPct.max);
+  out.marginRatePct = clamp(toNum(out.marginRatePct, DEFAULTS.marginRatePct), LIMITS.marginRatePct.min, LIMITS.marginRatePct.max);
+  out.maintenancePct = clamp(toNum(out.maintenancePct, DEFAULTS.maintenancePct), LIMITS.maintenancePct.min, LIMITS.maintenancePct.max);
+
+  out.inflationPct = clamp(toNum(out.inflationPct, DEFAULTS.inflationPct), LIMITS.inflationPct.min, LIMITS.inflationPct.max);
+  out.riskFreePct = clamp(toNum(out.riskFreePct, DEFAULTS.riskFreePct), LIMITS.riskFreePct.min, LIMITS.riskFreePct.max);
+
+  out.contributionIncreasePct = clamp(toNum(out.contributionIncreasePct, 0), LIMITS.contributionIncreasePct.min, LIMITS.contributionIncreasePct.max);
+  out.contributionIncreaseMode = out.contributionIncreaseMode === "inflation" ? "inflation" : "fixed";
+
+  out.frequency = FREQUENCIES[out.frequency] ? out.frequency : "weekly";
+  out.contributionTiming = out.contributionTiming === "end" ? "end" : "start";
+
+  out.recoveryShape = RECOVERY_SHAPES[out.recoveryShape] ? out.recoveryShape : "steady";
+  out.recoveryMonths = out.recoveryMonths === null || out.recoveryMonths === undefined
+    ? null
+    : clamp(Math.round(toNum(out.recoveryMonths, RECOVERY_SHAPES[out.recoveryShape].months)), LIMITS.recoveryMonths.min, LIMITS.recoveryMonths.max);
 
   const shockOn = out.shockPct !== null && out.shockYear !== null;
   if (!shockOn) {
     out.shockPct = null;
     out.shockYear = null;
+    out.shocks = [];
   } else {
     out.shockPct = clamp(toNum(out.shockPct, -30), LIMITS.shockPct.min, LIMITS.shockPct.max);
     out.shockYear = clamp(toNum(out.shockYear, 3), 0, out.years);
+
+    // shockPct/shockYear stay authoritative for the first shock so single-shock buttons keep working.
+    const schedule = Array.isArray(out.shocks) ? out.shocks : [];
+    const first = schedule[0] || {};
+    out.shocks = [{ pct: out.shockPct, year: out.shockYear, weeks: first.weeks }, ...schedule.slice(1)]
+      .slice(0, LIMITS.shockCount.max)
+      .map((s) => ({
+        pct: clamp(toNum(s.pct, -30), LIMITS.shockPct.min, LIMITS.shockPct.max),
+        year: clamp(toNum(s.year, 3), 0, out.years),
+        weeks: clamp(Math.floor(toNum(s.weeks, 0)), LIMITS.shockWeeks.min, LIMITS.shockWeeks.max)
+      }))
+      .sort((a, b) => a.year - b.year);
+    // Shocks typed out of order: the earliest one is the first shock everywhere (pause from shock,
+    // recovery, buttons), so shockPct/shockYear follow it.
+    out.shockPct = out.shocks[0].pct;
+    out.shockYear = out.shocks[0].year;
   }
 
   return out;
 }
 
+function periodsPerYearFor(p) {
+  const frequency = p && FREQUENCIES[p.frequency];
+  return frequency ? frequency.periodsPerYear : 52;
+}
+
+// Periods with a contribution. Any nonzero window buys at least once, even when it is shorter
+// than one period of the schedule (e.g. 1 week on a monthly plan).
+function contributionPeriodsFor(p, periodsPerYear, totalPeriods) {
+  if (p.contributionWeeks === null) return totalPeriods;
+  if (p.contributionWeeks <= 0) return 0;
+  return Math.min(totalPeriods, Math.max(1, Math.round((p.contributionWeeks * periodsPerYear) / 52)));
+}
+
+// Annual contribution step-up in percent: fixed raise or the scenario's inflation rate.
+function contributionGrowthPct(p) {
+  return p.contributionIncreaseMode === "inflation" ? Number(p.inflationPct) || 0 : p.contributionIncreasePct || 0;
+}
+
+function hasTradeCosts(p) {
+  return p.tradeFixedFee > 0 || p.tradeFeePct > 0 || p.tradeMinFee > 0 || p.spreadBps > 0;
+}
+
+// Broker cost of one trade: flat fee, plus the percentage commission (or its minimum), plus the spread.
+function tradeCost(amount, p) {
+  if (!(amount > 0)) return 0;
+  const commission = p.tradeFeePct > 0 || p.tradeMinFee > 0
+    ? Math.max((amount * p.tradeFeePct) / 100, p.tradeMinFee)
+    : 0;
+  const cost = p.tradeFixedFee + commission + (amount * p.spreadBps) / 10000;
+  return Math.min(amount, cost);
+}
+
+// Growth of a fund that resets to `leverage` times its index every trading day, over `days` days
+// in which the index moves by `growth` in total, spread evenly. A day that takes the fund to
+// zero (an index drop of 1/leverage) wipes it out for good.
+function leveragedGrowth(growth, leverage, days) {
+  if (leverage === 1) return growth;
+  const n = Math.max(1, days);
+  const daily = 1 + leverage * (Math.pow(Math.max(0, growth), 1 / n) - 1);
+  return daily > 0 ? Math.pow(daily, n) : 0;
+}
+
+function periodsToWeeks(periods, p) {
+  return Math.round((periods * 52) / periodsPerYearFor(p));
+}
+
+// Spread each shock's depth evenly (geometrically) over its duration in periods.
+function buildShockPlan(shocks, periodsPerYear, totalPeriods) {
+  return (shocks || []).map((s) => {
+    const length = Math.max(1, Math.round((s.weeks || 0) * periodsPerYear / 52));
+    const startPeriod = Math.min(totalPeriods, Math.max(1, Math.floor(s.year * periodsPerYear)));
+    return {
+      pct: s.pct,
+      year: s.year,
+      weeks: s.weeks || 0,
+      startPeriod,
+      endPeriod: Math.min(totalPeriods, startPeriod + length - 1),
+      factor: Math.pow(1 + s.pct / 100, 1 / length),
+      preShockPeak: null,
+      worstDrawdown: 0,
+      recoveryPeriods: null
+    };
+  });
+}
+
+/**
+ * Per-period return adjustments after each shock ends.
+ * `growthScale` scales the period's normal return (0 = flat, 0.5 = depressed);
+ * `boost` is an extra multiplier that claws back (or, for W, re-deepens) the crash.
+ */
+function buildRecoveryOverlay(shockPlan, shape, months, periodsPerYear, totalPeriods) {
+  const growthScale = new Array(totalPeriods + 1).fill(1);
+  const boost = new Array(totalPeriods + 1).fill(1);
+  if (!RECOVERY_SHAPES[shape] || shape === "steady") return { growthScale, boost };
+
+  const length = Math.max(1, Math.round(((months || RECOVERY_SHAPES[shape].months) * periodsPerYear) / 12));
+
+  // Spread a fraction of the crash's log-loss across [from, from + n).
+  const rebound = (from, n, fraction, lossLog) => {
+    const factor = Math.exp((-lossLog * fraction) / n);
+    for (let period = from; period < from + n && period <= totalPeriods; period++) boost[period] *= factor;
+  };
+  const scale = (from, n, value) => {
+    for (let period = from; period < from + n && period <= totalPeriods; period++) {
+      growthScale[period] = Math.min(growthScale[period], value);
+    }
+  };
+
+  for (const shock of shockPlan) {
+    const lossLog = Math.log(Math.max(1e-9, 1 + shock.pct / 100));
+    const from = shock.endPeriod + 1;
+
+    if (shape === "v") {
+      rebound(from, length, 1, lossLog);
+    } else if (shape === "u") {
+      scale(from, length, 0);
+      rebound(from + length, Math.max(1, Math.round(length / 2)), 1, lossLog);
+    } else if (shape === "l") {
+      scale(from, length, 0.5);
+    } else if (shape === "w") {
+      const third = Math.max(1, Math.round(length / 3));
+      rebound(from, third, 0.5, lossLog);
+      rebound(from + third, third, -0.5, lossLog);
+      rebound(from + 2 * third, third, 1, lossLog);
+    }
+  }
+
+  return { growthScale, boost };
+}
+
 function simulateDCA(params, deps) {
-  const { clampParams: clampParamsFn, weeklyRateFromAnnual: weeklyRateFn, weeklyFeeFactorFromAnnual: weeklyFeeFn } = deps;
+  const { clampParams: clampParamsFn } = deps;
   const p = clampParamsFn(params);
+  const periodReturns = Array.isArray(deps.periodReturns) ? deps.periodReturns : null;
+  // The dip, fx, pause, leverage and margin comparisons each re-run the scenario without their
+  // feature (and nest), so callers that only read the path can switch them off.
+  const baselines = deps.baselines !== false;
 
-  const isMonthly = p.frequency === "monthly";
-  const periodsPerYear = isMonthly ? 12 : 52;
+  const periodsPerYear = periodsPerYearFor(p);
   const totalPeriods = Math.max(0, Math.floor(p.years * periodsPerYear));
 
-  const rPeriod = isMonthly
-    ? Math.pow(1 + p.annualReturnPct / 100, 1 / 12) - 1
-    : weeklyRateFn(p.annualReturnPct);
-  const feeFactor = isMonthly
-    ? Math.pow(1 - p.annualFeePct / 100, 1 / 12)
-    : weeklyFeeFn(p.annualFeePct);
+  const rPeriod = periodRateFromAnnual(p.annualReturnPct, periodsPerYear);
+  const feeFactor = periodFeeFactorFromAnnual(p.annualFeePct, periodsPerYear);
 
-  let portfolio = 0;
-  let contributed = 0;
+  // Margin: every buy borrows marginLoanPct of it on top. The loan accrues interest and the
+  // reported value is equity (holdings minus the loan). Value averaging never borrows.
+  const marginOn = p.marginLoanPct > 0 && p.strategy !== "va";
+  const marginRatio = marginOn ? p.marginLoanPct / 100 : 0;
+  const initialEquityRatio = 1 / (1 + marginRatio);
+  const maintenance = p.maintenancePct / 100;
+  const marginRate = periodRateFromAnnual(p.marginRatePct, periodsPerYear);
+  let loan = p.initialAmount * marginRatio;
+  let borrowed = loan;
+  let borrowedReal = loan;
+  let marginInterest = 0;
+  let debtRepaid = 0;
+  let worstEquityRatio = loan > 0 ? initialEquityRatio : 1;
+  const marginCalls = [];
 
-  let peak = 0;
+  // The starting balance is invested at period 0 and counts as contributed money.
+  // Trading costs come out of each trade; the full cash amount still counts as contributed.
+  let tradingCosts = tradeCost(p.initialAmount + loan, p);
+  let trades = p.initialAmount > 0 ? 1 : 0;
+  let tradingCostsReal = tradingCosts;
+  let portfolio = p.initialAmount + loan - tradingCosts;
+  let contributed = p.initialAmount;
+  // Cost basis: money put in plus reinvested after-tax dividends; fees and shocks don't change it.
+  let costBasis = p.initialAmount + loan;
+  let dividendTaxPaid = 0;
+  const dividendYield = Math.pow(1 + p.dividendYieldPct / 100, 1 / periodsPerYear) - 1;
+  const dividendTaxRate = p.dividendTaxPct / 100;
+  const payout = p.dividendMode === "payout";
+  let dividendsPaidOut = 0;
+  const dividendSeries = [];
+
+  // Value averaging: each period tops the portfolio up (or trims it) to the value plain DCA
+  // would reach at the expected return, within the optional buy/sell caps.
+  const valueAveraging = p.strategy === "va";
+  let target = p.initialAmount;
+  let cashInvested = p.initialAmount;
+  let cashWithdrawn = 0;
+  // Net money put in, each flow deflated to day-one prices (for the today's-money view).
+  let contributedReal = p.initialAmount;
+  const inflationGrowth = 1 + p.inflationPct / 100;
+  let largestContribution = 0;
+  let realizedGainsTax = 0;
+
+  let peak = portfolio - loan;
   let maxDrawdown = 0;
+  let drawdown = 0;
+
+  // Dip rules react to the drawdown at the end of the previous period.
+  // Value averaging already buys dips on its own, so the rules only apply to fixed contributions.
+  const dipRules = !valueAveraging && (p.dipDrawdownPct !== null || p.dipReserve > 0);
+  let dipExtraInvested = 0;
+  let reserveDeployedYear = null;
 
   const series = [];
+  // Percent below the running peak at the end of each period (0 at a new high).
+  const drawdownSeries = [];
   const milestones = {};
+  // Net cash put in during each period (aligned with series), for the money- and time-weighted returns.
+  const periodFlows = [];
+  // After-tax dividends handed to the investor during each period (payout mode), counted at its end.
+  const payoutFlows = [];
+
+  // One row per year (and a final part year) for the yearly table. A year's gain is the change
+  // in value that contributions don't explain, so the gains add up to finalValue - contributed.
+  const yearly = [];
+  let feesPaid = 0;
+  let yearStart = { value: p.initialAmount, contributed, costs: 0 };
+  const closeYear = (year) => {
+    const value = portfolio - loan;
+    const costs = feesPaid + tradingCosts;
+    yearly.push({
+      year,
+      contributed,
+      gain: value - yearStart.value - (contributed - yearStart.contributed),
+      fees: costs - yearStart.costs,
+      endValue: value,
+      drawdownPct: drawdown * 100,
+      realValue: value / Math.pow(inflationGrowth, year)
+    });
+    yearStart = { value, contributed, costs };
+  };
+
+  const contributionPeriods = contributionPeriodsFor(p, periodsPerYear, totalPeriods);
+  const contributionGrowth = 1 + contributionGrowthPct(p) / 100;
+  let contribution = p.weeklyAmount;
+
+  const shockPlan = buildShockPlan(p.shocks, periodsPerYear, totalPeriods);
+  const recovery = buildRecoveryOverlay(shockPlan, p.recoveryShape, p.recoveryMonths, periodsPerYear, totalPeriods);
+
+  // A leveraged fund multiplies each trading day's move, so a period's move is split into its
+  // trading days and an instant shock lands in one day. Resetting every day also costs about
+  // (L² - L)·σ²/2 a year in volatility decay, which a smooth path doesn't show: it is charged
+  // explicitly, except on random paths (periodReturns) whose own swings already produce it.
+  const leveraged = p.leverage > 1;
+  const daysPerPeriod = TRADING_DAYS / periodsPerYear;
+  const decayPerYear = leveraged ? ((p.leverage * p.leverage - p.leverage) * Math.pow(p.leverageVolPct / 100, 2)) / 2 : 0;
+  const leverageDecay = leveraged && !periodReturns ? Math.exp(-decayPerYear / periodsPerYear) : 1;
+  const leverageWipeouts = [];
+
+  // Everything is tracked in the home currency. Contributions convert at the going rate, so only
+  // the holdings move with the exchange rate: an asset currency that gains 1% adds 1% to them.
+  const fxActive = p.assetCurrency !== (p.currency || "usd");
+  const fxMoves = fxActive && (p.fxDriftPct !== 0 || p.fxShockPct !== null);
+  const fxGrowth = fxActive ? 1 + periodRateFromAnnual(p.fxDriftPct, periodsPerYear) : 1;
+  const fxShockPeriod = fxActive && p.fxShockPct !== null
+    ? Math.min(totalPeriods, Math.max(1, Math.floor(p.fxShockYear * periodsPerYear)))
+    : null;
+  let fxIndex = 1;
+
+  // Contribution gap (say, a job loss): no buys for pauseYears, from a set year or from the
+  // first crash, optionally selling pauseWithdrawal each period to cover living costs.
+  const pauseOn = p.pauseYears > 0;
+  const pauseStartPeriod = !pauseOn
+    ? null
+    : p.pauseAtShock && shockPlan.length > 0
+      ? shockPlan[0].startPeriod
+      : Math.floor(p.pauseStartYear * periodsPerYear) + 1;
+  const pauseEndPeriod = pauseOn ? pauseStartPeriod + Math.max(1, Math.round(p.pauseYears * periodsPerYear)) - 1 : null;
+  let missedContributions = 0;
+  let pauseWithdrawn = 0;
+
+  // One period's buy (or value-averaging sale), paid at the start or the end of the period.
+  const endTiming = p.contributionTiming === "end";
+  const contribute = (period) => {
+    const flowTime = endTiming ? period : period - 1;
+    let flow = 0;
+    if (period <= contributionPeriods) {
+      contribution = p.weeklyAmount * Math.pow(contributionGrowth, Math.floor((period - 1) / periodsPerYear));
+      flow = contribution;
+    }
+    const paused = pauseOn && period >= pauseStartPeriod && period <= pauseEndPeriod;
+    if (paused) {
+      missedContributions += flow;
+      flow = -Math.min(portfolio, p.pauseWithdrawal);
+      pauseWithdrawn -= flow;
+    }
+    if (dipRules && !paused) {
+      const before = flow;
+      if (p.dipDrawdownPct !== null && flow > 0 && drawdown * 100 <= p.dipDrawdownPct) flow *= p.dipMultiplier;
+      if (p.dipReserve > 0 && reserveDeployedYear === null && drawdown * 100 <= p.dipReserveDrawdownPct) {
+        flow += p.dipReserve;
+        reserveDeployedYear = flowTime / periodsPerYear;
+      }
+      dipExtraInvested += flow - before;
+    }
+    if (valueAveraging && !paused) {
+      target += flow;
+      flow = target - portfolio;
+      const base = Math.max(contribution, p.weeklyAmount);
+      if (p.vaMaxBuyMultiple !== null) flow = Math.min(flow, base * p.vaMaxBuyMultiple);
+      if (p.vaMaxSellMultiple !== null) flow = Math.max(flow, -base * p.vaMaxSellMultiple);
+      flow = Math.max(flow, -portfolio);
+    }
+
+    // A margin account under water pays down the debt before it buys again; otherwise the loan
+    // tops up the buy as far as the initial requirement (equity / holdings) allows.
+    let borrow = 0;
+    if (marginOn && flow > 0) {
+      const repay = Math.min(flow, Math.max(0, loan - portfolio));
+      loan -= repay;
+      debtRepaid += repay;
+      borrow = Math.max(0, Math.min(flow * marginRatio, (portfolio - loan + flow) / initialEquityRatio - portfolio - flow));
+      loan += borrow;
+      borrowed += borrow;
+      borrowedReal += borrow / Math.pow(inflationGrowth, flowTime / periodsPerYear);
+      contributed += repay;
+      contributedReal += repay / Math.pow(inflationGrowth, flowTime / periodsPerYear);
+      flow -= repay;
+    }
+
+    const cost = tradeCost(Math.abs(flow) + borrow, p);
+    let cash = flow;
+    if (flow > 0) {
+      cashInvested += flow;
+      costBasis += flow + borrow;
+      if (flow > largestContribution) largestContribution = flow;
+      portfolio += flow + borrow - cost;
+    } else if (flow < 0) {
+      // A sale releases its share of the cost basis; gains on it are taxed right away.
+      const sold = -flow;
+      const basisSold = portfolio > 0 ? costBasis * (sold / portfolio) : 0;
+      realizedGainsTax += Math.max(0, sold - basisSold - cost) * (p.capitalGainsTaxPct / 100);
+      costBasis -= basisSold;
+      cashWithdrawn += sold - cost;
+      portfolio -= sold;
+      cash = cost - sold;
+    }
+    if (flow !== 0) {
+      tradingCosts += cost;
+      tradingCostsReal += cost / Math.pow(inflationGrowth, flowTime / periodsPerYear);
+      trades += 1;
+    }
+    contributed += cash;
+    contributedReal += cash / Math.pow(inflationGrowth, flowTime / periodsPerYear);
+  };
+
+  for (let period = 1; period <= totalPeriods; period++) {
+    const contributedBefore = contributed;
+    const paidOutBefore = dividendsPaidOut;
+    if (!endTiming) contribute(period);
+
+    // The dividend is part of the period's total return: price growth is what's left after it.
+    // Reinvested, only its tax leaves the portfolio; paid out, all of it does.
+    const dividend = portfolio * dividendYield;
+    const held = portfolio;
+    const periodReturn = (periodReturns ? periodReturns[period - 1] : rPeriod) * recovery.growthScale[period];
+    if (leveraged) {
+      portfolio *= leveragedGrowth((1 + periodReturn) * recovery.boost[period], p.leverage, daysPerPeriod) * leverageDecay;
+    } else {
+      portfolio *= 1 + periodReturn;
+      portfolio *= recovery.boost[period];
+    }
+    if (feeFactor < 1) {
+      feesPaid += portfolio * (1 - feeFactor);
+      portfolio *= feeFactor;
+    }
+
+    if (loan > 0) {
+      const interest = loan * marginRate;
+      loan += interest;
+      marginInterest += interest;
+    }
+
+    if (fxMoves) {
+      const fxMove = fxGrowth * (period === fxShockPeriod ? 1 + p.fxShockPct / 100 : 1);
+      portfolio *= fxMove;
+      fxIndex *= fxMove;
+    }
+
+    if (dividend > 0) {
+      const tax = dividend * dividendTaxRate;
+      dividendTaxPaid += tax;
+      if (payout) {
+        portfolio -= dividend;
+        dividendsPaidOut += dividend - tax;
+      } else {
+        portfolio -= tax;
+        costBasis += dividend - tax;
+      }
+    }
+    dividendSeries.push(dividend * (1 - dividendTaxRate));
+
+    if (valueAveraging) {
+      // The target path follows the expected return after fees and dividend leakage, never the shocks.
+      const targetDividend = target * dividendYield;
+      target *= (1 + rPeriod) * (feeFactor < 1 ? feeFactor : 1);
+      target -= payout ? targetDividend : targetDividend * dividendTaxRate;
+    }
+
+    for (const shock of shockPlan) {
+      if (period === shock.startPeriod) shock.preShockPeak = peak > 0 ? peak : portfolio - loan;
+      if (period >= shock.startPeriod && period <= shock.endPeriod) {
+        portfolio *= leveraged ? leveragedGrowth(shock.factor, p.leverage, shock.weeks > 0 ? daysPerPeriod : 1) : shock.factor;
+      }
+    }
+
+    if (leveraged && held > 0 && portfolio <= 0) {
+      portfolio = 0;
+      leverageWipeouts.push({ year: period / periodsPerYear, lost: held });
+    }
+
+    // Margin call: below the maintenance requirement the broker sells just enough to restore it,
+    // or everything once the loan is as big as the holdings. The sale repays the loan.
+    if (loan > 0 && portfolio > 0) {
+      const equityRatio = (portfolio - loan) / portfolio;
+      worstEquityRatio = Math.min(worstEquityRatio, Math.max(0, equityRatio));
+      if (equityRatio < maintenance) {
+        const sold = equityRatio > 0 ? portfolio - (portfolio - loan) / maintenance : portfolio;
+        const cost = tradeCost(sold, p);
+        const basisSold = costBasis * (sold / portfolio);
+        realizedGainsTax += Math.max(0, sold - basisSold - cost) * (p.capitalGainsTaxPct / 100);
+        costBasis -= basisSold;
+        portfolio -= sold;
+        loan -= sold - cost;
+        tradingCosts += cost;
+        tradingCostsReal += cost / Math.pow(inflationGrowth, period / periodsPerYear);
+        trades += 1;
+        marginCalls.push({ year: period / periodsPerYear, sold, equityPct: equityRatio * 100, wipedOut: equityRatio <= 0 });
+      }
+    }
+
+    if (endTiming) contribute(period);
+
+    const equity = portfolio - loan;
+    if (equity > peak) peak = equity;
+
+    if (peak > 0) {
+      drawdown = (equity - peak) / peak;
+      if (drawdown < maxDrawdown) maxDrawdown = drawdown;
+    }
+
+    for (const shock of shockPlan) {
+      if (shock.preShockPeak === null || shock.recoveryPeriods !== null) continue;
+      const dd = shock.preShockPeak > 0 ? (equity - shock.preShockPeak) / shock.preShockPeak : 0;
+      if (dd < shock.worstDrawdown) shock.worstDrawdown = dd;
+      if (period >= shock.endPeriod && equity >= shock.preShockPeak) {
+        shock.recoveryPeriods = period - shock.startPeriod + 1;
+      }
+    }
+
+    series.push(equity);
+    drawdownSeries.push(drawdown * 100);
+    periodFlows.push(contributed - contributedBefore);
+    payoutFlows.push(dividendsPaidOut - paidOutBefore);
+
+    const year = Math.floor(period / periodsPerYear);
+    if (period === year * periodsPerYear && year > 0) {
+      milestones[year] = equity;
+      closeYear(year);
+    }
+  }
 
-  let shockPeriod = null;
-  if (p.shockPct !== null && p.shockYear !== null) {
-    shockPeriod = Math.min(totalPeriods, Math.max(1, Math.floor(p.shockYear) * periodsPerYear));
+  const finalValue = portfolio - loan;
+  if (p.years > 0) {
+    milestones[p.years] = finalValue;
+    if (!yearly.length || yearly[yearly.length - 1].year < p.years) closeYear(p.years);
+  }
+
+  const inflationFactor = Math.pow(inflationGrowth, p.years);
+  const inflationAdjusted = finalValue / inflationFactor;
+
+  const finalYearDividendIncome = dividendSeries
+    .slice(-periodsPerYear)
+    .reduce((sum, value) => sum + value, 0);
+
+  // Capital gains are taxed once, as if everything is sold at the end (plus any value-averaging sales).
+  const taxableGain = Math.max(0, portfolio - costBasis - p.taxExemption);
+  const finalSaleTax = taxableGain * (p.capitalGainsTaxPct / 100);
+  const capitalGainsTax = finalSaleTax + realizedGainsTax;
+
+  const shocks = shockPlan.map((shock) => ({
+    pct: shock.pct,
+    year: shock.year,
+    weeks: shock.weeks,
+    drawdownPct: shock.worstDrawdown * 100,
+    recoveryWeeks: shock.recoveryPeriods !== null ? periodsToWeeks(shock.recoveryPeriods, p) : null,
+    startPeriod: shock.startPeriod,
+    recoveryPeriods: shock.recoveryPeriods
+  }));
+  const recoveryWeeks = shocks.length > 0 ? shocks[0].recoveryWeeks : null;
+
+  // Same scenario without the rules, so the card can say what the war chest was worth.
+  let dip = null;
+  if (dipRules && baselines) {
+    const baseline = simulateDCA({ ...p, dipDrawdownPct: null, dipReserve: 0 }, deps);
+    dip = {
+      extraInvested: dipExtraInvested,
+      reserveDeployedYear,
+      baselineFinalValue: baseline.finalValue,
+      finalValueEffect: finalValue - baseline.finalValue,
+      netEffect: finalValue - baseline.finalValue - dipExtraInvested,
+      baselineRecoveryWeeks: baseline.recoveryWeeks
+    };
+  }
+
+  // Same scenario at a flat exchange rate, so the card can say what the currency did.
+  let fx = null;
+  if (fxActive && baselines) {
+    const baselineFinalValue = fxMoves
+      ? simulateDCA({ ...p, fxDriftPct: 0, fxShockPct: null }, deps).finalValue
+      : finalValue;
+    fx = {
+      homeCurrency: p.currency || "usd",
+      assetCurrency: p.assetCurrency,
+      index: fxIndex,
+      baselineFinalValue,
+      effect: finalValue - baselineFinalValue
+    };
+  }
+
+  // Same scenario without the gap: what the missed buys (and any forced sales) cost.
+  let pause = null;
+  if (pauseOn && baselines) {
+    const baseline = simulateDCA({ ...p, pauseYears: 0 }, deps);
+    pause = {
+      startYear: (pauseStartPeriod - 1) / periodsPerYear,
+      years: p.pauseYears,
+      missedContributions,
+      withdrawn: pauseWithdrawn,
+      baselineFinalValue: baseline.finalValue,
+      cost: baseline.finalValue - finalValue
+    };
+  }
+
+  // Same scenario on the plain index: the caption sets the leveraged result and its wipeout
+  // risk against it.
+  let leverage = null;
+  if (leveraged && baselines) {
+    const baseline = simulateDCA({ ...p, leverage: 1 }, deps);
+    leverage = {
+      factor: p.leverage,
+      volatilityPct: p.leverageVolPct,
+      decayPctPerYear: (1 - Math.exp(-decayPerYear)) * 100,
+      wipeoutDropPct: 100 / p.leverage,
+      shockMoves: shockPlan.map((shock) => ({
+        pct: shock.pct,
+        year: shock.year,
+        leveragedPct: (leveragedGrowth(1 + shock.pct / 100, p.leverage, shock.weeks > 0 ? (shock.weeks * TRADING_DAYS) / 52 : 1) - 1) * 100
+      })),
+      wipeouts: leverageWipeouts,
+      baselineFinalValue: baseline.finalValue,
+      baselineMaxDrawdownPct: baseline.maxDrawdownPct,
+      effect: finalValue - baseline.finalValue
+    };
+  }
+
+  // Same scenario without the loan. dropToCallPct is how far the holdings can fall from here
+  // before the next margin call.
+  let margin = null;
+  if (marginOn && baselines) {
+    const baseline = simulateDCA({ ...p, marginLoanPct: 0 }, deps);
+    margin = {
+      loanPct: p.marginLoanPct,
+      ratePct: p.marginRatePct,
+      maintenancePct: p.maintenancePct,
+      borrowed,
+      borrowedReal,
+      owed: loan,
+      interest: marginInterest,
+      debtRepaid,
+      calls: marginCalls,
+      worstEquityPct: worstEquityRatio * 100,
+      dropToCallPct: loan > 0 && portfolio > 0 ? Math.max(0, (1 - loan / (portfolio * (1 - maintenance))) * 100) : null,
+      baselineFinalValue: baseline.finalValue,
+      baselineMaxDrawdownPct: baseline.maxDrawdownPct,
+      effect: finalValue - baseline.finalValue
+    };
   }
 
-  let preShockPeak = null;
-  let recoveryPeriods = null;
-  let shockApplied = false;
-  let afterShockCounter = 0;
+  return {
+    params: p,
+    contributed,
+    finalContribution: contribution,
+    finalValue,
+    gains: finalValue - contributed,
+    maxDrawdownPct: maxDrawdown * 100,
+    recoveryWeeks,
+    shocks,
+    series,
+    drawdownSeries,
+    flows: { initial: p.initialAmount, periods: periodFlows, payouts: payoutFlows, timing: p.contributionTiming, periodsPerYear },
+    milestones,
+    inflationAdjusted,
+    costBasis,
+    dividendTaxPaid,
+    capitalGainsTax,
+    totalTaxPaid: dividendTaxPaid + capitalGainsTax,
+    afterTaxFinalValue: finalValue - finalSaleTax,
+    dividendSeries,
+    dividendsPaidOut,
+    finalYearDividendIncome,
+    contributedReal,
+    strategy: p.strategy,
+    cashInvested,
+    cashWithdrawn,
+    largestContribution,
+    tradingCosts,
+    tradingCostsReal,
+    trades,
+    feesPaid,
+    yearly,
+    dip,
+    pause,
+    fx,
+    leverage,
+    margin
+  };
+}
+
+/**
+ * Restate a simulateDCA() result in today's money: every value is divided by cumulative
+ * inflation up to the moment it refers to. Drawdowns and recovery times are left as simulated.
+ */
+function inTodaysMoney(sim) {
+  const p = sim.params;
+  const periodsPerYear = periodsPerYearFor(p);
+  const growth = 1 + p.inflationPct / 100;
+  const deflate = (value, years) => value / Math.pow(growth, years);
+  const finalValue = deflate(sim.finalValue, p.years);
+
+  // The last contribution is paid at the start (or end) of its period.
+  const totalPeriods = Math.max(0, Math.floor(p.years * periodsPerYear));
+  const lastPeriod = contributionPeriodsFor(p, periodsPerYear, totalPeriods);
+
+  const milestones = {};
+  Object.keys(sim.milestones).forEach((year) => {
+    milestones[year] = deflate(sim.milestones[year], Number(year));
+  });
+
+  return {
+    ...sim,
+    realMoney: true,
+    nominalFinalValue: sim.finalValue,
+    finalContribution: deflate(sim.finalContribution, Math.max(0, p.contributionTiming === "end" ? lastPeriod : lastPeriod - 1) / periodsPerYear),
+    contributed: sim.contributedReal,
+    tradingCosts: sim.tradingCostsReal,
+    pause: sim.pause && {
+      ...sim.pause,
+      missedContributions: deflate(sim.pause.missedContributions, sim.pause.startYear),
+      withdrawn: deflate(sim.pause.withdrawn, sim.pause.startYear),
+      baselineFinalValue: deflate(sim.pause.baselineFinalValue, p.years),
+      cost: deflate(sim.pause.cost, p.years)
+    },
+    fx: sim.fx && {
+      ...sim.fx,
+      baselineFinalValue: deflate(sim.fx.baselineFinalValue, p.years),
+      effect: deflate(sim.fx.effect, p.years)
+    },
+    leverage: sim.leverage && {
+      ...sim.leverage,
+      baselineFinalValue: deflate(sim.leverage.baselineFinalValue, p.years),
+      effect: deflate(sim.leverage.effect, p.years)
+    },
+    margin: sim.margin && {
+      ...sim.margin,
+      borrowed: sim.margin.borrowedReal,
+      owed: deflate(sim.margin.owed, p.years),
+      interest: deflate(sim.margin.interest, p.years),
+      calls: sim.margin.calls.map((call) => ({ ...call, sold: deflate(call.sold, call.year) })),
+      baselineFinalValue: deflate(sim.margin.baselineFinalValue, p.years),
+      effect: deflate(sim.margin.effect, p.years)
+    },
+    finalValue,
+    gains: finalValue - sim.contributedReal,
+    series: sim.series.map((value, i) => deflate(value, (i + 1) / periodsPerYear)),
+    flows: sim.flows && {
+      ...sim.flows,
+      periods: sim.flows.periods.map((flow, i) => deflate(flow, (sim.flows.timing === "end" ? i + 1 : i) / periodsPerYear)),
+      payouts: sim.flows.payouts && sim.flows.payouts.map((payout, i) => deflate(payout, (i + 1) / periodsPerYear))
+    },
+    milestones,
+    afterTaxFinalValue: deflate(sim.afterTaxFinalValue, p.years),
+    finalYearDividendIncome: deflate(sim.finalYearDividendIncome, p.years)
+  };
+}
+
+/**
+ * Invest `amount` on day one vs spread it evenly over `spreadWeeks`, same market path for both.
+ * Contribution raises are switched off so both legs put in the same total.
+ */
+function simulateLumpSum(params, options, deps) {
+  const { clampParams: clampParamsFn } = deps;
+  const p = clampParamsFn({ ...params, weeklyAmount: 0, initialAmount: 0, contributionWeeks: null, contributionIncreasePct: 0, contributionIncreaseMode: "fixed" });
+  const amount = Math.max(0, Number(options.amount) || 0);
+  const spreadWeeks = Math.max(1, Math.min(Math.round(Number(options.spreadWeeks) || 52), Math.round(p.years * 52) || 1));
+
+  const periodsPerYear = periodsPerYearFor(p);
+  const spreadPeriods = Math.max(1, Math.round((spreadWeeks * periodsPerYear) / 52));
+
+  const lump = simulateDCA({ ...p, initialAmount: amount }, deps);
+  const dca = simulateDCA({ ...p, weeklyAmount: amount / spreadPeriods, contributionWeeks: spreadWeeks }, deps);
+
+  const diff = lump.finalValue - dca.finalValue;
+  const winner = Math.abs(diff) < 1 ? "tie" : diff > 0 ? "lump" : "dca";
+
+  // Shocks that start before the DCA leg has finished buying.
+  const spreadYears = spreadWeeks / 52;
+  const shocksDuringSpread = p.shocks.filter((s) => s.year < spreadYears);
+
+  return {
+    params: p,
+    amount,
+    spreadWeeks,
+    lump,
+    dca,
+    winner,
+    diff: Math.abs(diff),
+    shocksDuringSpread
+  };
+}
+
+/**
+ * Run plain DCA and value averaging over the same scenario and shock path.
+ * `diff` and `extraCash` are VA minus DCA, so positive means VA ended higher / needed more money.
+ */
+function compareStrategies(params, deps) {
+  const { clampParams: clampParamsFn } = deps;
+  const p = clampParamsFn({ ...params, strategy: "va" });
+  const dca = simulateDCA({ ...p, strategy: "dca" }, deps);
+  const va = simulateDCA(p, deps);
+
+  return {
+    params: p,
+    dca,
+    va,
+    diff: va.finalValue - dca.finalValue,
+    extraCash: va.cashInvested - dca.cashInvested
+  };
+}
+
+/**
+ * Run the same yearly budget on every contribution schedule and rank them by what they cost.
+ * The budget is assumed to arrive evenly, so each buy invests what built up since the last one
+ * (end-of-period timing); otherwise an annual schedule would simply be prepaying the year.
+ * A schedule's total cost is how far its final value falls short of the best schedule with no
+ * trading costs, so it counts both the fees and the growth missed while cash waits for the next buy.
+ */
+function costEfficiency(params, deps) {
+  const { clampParams: clampParamsFn } = deps;
+  const p = clampParamsFn(params);
+  const yearlyAmount = p.weeklyAmount * periodsPerYearFor(p);
+  const free = { tradeFixedFee: 0, tradeFeePct: 0, tradeMinFee: 0, spreadBps: 0 };
+
+  let idealFinalValue = -Infinity;
+  const rows = Object.keys(FREQUENCIES).map((frequency) => {
+    const run = {
+      ...p,
+      frequency,
+      contributionTiming: "end",
+      weeklyAmount: yearlyAmount / FREQUENCIES[frequency].periodsPerYear
+    };
+    const sim = simulateDCA(run, deps);
+    idealFinalValue = Math.max(idealFinalValue, simulateDCA({ ...run, ...free }, deps).finalValue);
+    return {
+      frequency,
+      amountPerTrade: run.weeklyAmount,
+      trades: sim.trades,
+      tradingCosts: sim.tradingCosts,
+      finalValue: sim.finalValue
+    };
+  });
+
+  rows.forEach((row) => { row.totalCost = Math.max(0, idealFinalValue - row.finalValue); });
+  const best = rows.reduce((a, b) => (b.totalCost < a.totalCost ? b : a));
+  const current = rows.find((row) => row.frequency === p.frequency);
+
+  return {
+    params: p,
+    yearlyAmount,
+    rows,
+    best: best.frequency,
+    current: p.frequency,
+    savings: current.totalCost - best.totalCost
+  };
+}
+
+/**
+ * Decumulation: start from `balance`, withdraw every period, apply the usual return, fee and shocks.
+ * `withdrawal` is either { amount } per year or { pct } of the starting balance per year;
+ * with `inflationIndexed` the yearly amount rises by the scenario's inflation rate.
+ */
+function simulateRetirement(params, options, deps) {
+  const { clampParams: clampParamsFn } = deps;
+  const p = clampParamsFn(params);
+  const opts = options || {};
+  const balance = Math.max(0, Number(opts.balance) || 0);
+  const withdrawal = opts.withdrawal || {};
+  const annualWithdrawal = withdrawal.pct !== undefined && withdrawal.pct !== null
+    ? (balance * Math.max(0, Number(withdrawal.pct) || 0)) / 100
+    : Math.max(0, Number(withdrawal.amount) || 0);
+  const inflationPct = opts.inflationIndexed ? Number(p.inflationPct) || 0 : 0;
+
+  const periodsPerYear = periodsPerYearFor(p);
+  const totalPeriods = Math.max(0, Math.floor(p.years * periodsPerYear));
+  const rPeriod = periodRateFromAnnual(p.annualReturnPct, periodsPerYear);
+  const feeFactor = periodFeeFactorFromAnnual(p.annualFeePct, periodsPerYear);
+
+  const shockPlan = buildShockPlan(p.shocks, periodsPerYear, totalPeriods);
+  const recovery = buildRecoveryOverlay(shockPlan, p.recoveryShape, p.recoveryMonths, periodsPerYear, totalPeriods);
+
+  let portfolio = balance;
+  let peak = balance;
+  let maxDrawdown = 0;
+  let withdrawn = 0;
+  let yearlyWithdrawal = annualWithdrawal;
+  let depletedPeriod = null;
+
+  const series = [];
+  const milestones = {};
 
   for (let period = 1; period <= totalPeriods; period++) {
-    portfolio += p.weeklyAmount;
-    contributed += p.weeklyAmount;
+    yearlyWithdrawal = annualWithdrawal * Math.pow(1 + inflationPct / 100, Math.floor((period - 1) / periodsPerYear));
 
-    portfolio *= 1 + rPeriod;
+    // Withdraw at the start of the period, then let what's left ride the market.
+    const take = Math.min(portfolio, yearlyWithdrawal / periodsPerYear);
+    portfolio -= take;
+    withdrawn += take;
+    if (depletedPeriod === null && portfolio <= 1e-9 && yearlyWithdrawal > 0) {
+      portfolio = 0;
+      depletedPeriod = period;
+    }
+
+    portfolio *= 1 + rPeriod * recovery.growthScale[period];
+    portfolio *= recovery.boost[period];
     if (feeFactor < 1) portfolio *= feeFactor;
 
-    if (shockPeriod !== null && period === shockPeriod) {
-      preShockPeak = peak > 0 ? peak : portfolio;
-      portfolio *= 1 + p.shockPct / 100;
-      shockApplied = true;
-      afterShockCounter = 0;
+    for (const shock of shockPlan) {
+      if (period >= shock.startPeriod && period <= shock.endPeriod) portfolio *= shock.factor;
     }
 
     if (portfolio > peak) peak = portfolio;
-
     if (peak > 0) {
       const dd = (portfolio - peak) / peak;
       if (dd < maxDrawdown) maxDrawdown = dd;
     }
 
-    if (shockApplied && recoveryPeriods === null && preShockPeak !== null) {
-      afterShockCounter += 1;
-      if (portfolio >= preShockPeak) recoveryPeriods = afterShockCounter;
-    }
-
     series.push(portfolio);
 
     const year = Math.floor(period / periodsPerYear);
@@ -104,29 +981,166 @@ function simulateDCA(params, deps) {
     milestones[p.years] = portfolio;
   }
 
-  const inflationFactor = Math.pow(1 + (p.inflationPct || 3) / 100, p.years);
-  const inflationAdjusted = portfolio / inflationFactor;
-
-  const recoveryWeeks = recoveryPeriods !== null
-    ? (isMonthly ? recoveryPeriods * 4 : recoveryPeriods)
-    : null;
-
   return {
     params: p,
-    contributed,
+    startBalance: balance,
+    annualWithdrawal,
+    withdrawalRatePct: balance > 0 ? (annualWithdrawal / balance) * 100 : 0,
+    inflationIndexed: inflationPct > 0,
+    finalWithdrawal: yearlyWithdrawal,
+    withdrawn,
     finalValue: portfolio,
-    gains: portfolio - contributed,
+    survived: depletedPeriod === null,
+    depletedYear: depletedPeriod === null ? null : depletedPeriod / periodsPerYear,
     maxDrawdownPct: maxDrawdown * 100,
-    recoveryWeeks,
     series,
-    milestones,
-    inflationAdjusted
+    milestones
+  };
+}
+
+/**
+ * Highest starting withdrawal rate (% of balance per year) that lasts the whole horizon,
+ * found by bisection over simulateRetirement with the same shocks and indexing.
+ */
+function safeWithdrawalRate(params, options, deps) {
+  const survives = (pct) => simulateRetirement(params, { ...options, withdrawal: { pct } }, deps).survived;
+  let lo = 0;
+  let hi = 100;
+  if (survives(hi)) return hi;
+
+  for (let i = 0; i < 40 && hi - lo > 0.001; i++) {
+    const mid = (lo + hi) / 2;
+    if (survives(mid)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Goal solver unknowns and the scenario field each one solves for.
+const GOAL_UNKNOWNS = {
+  contribution: "weeklyAmount",
+  years: "years",
+  return: "annualReturnPct"
+};
+
+function goalValue(sim, realMoney) {
+  return realMoney ? sim.inflationAdjusted : sim.finalValue;
+}
+
+// Years until the portfolio first reaches `target` over the longest allowed horizon, or null if it never does.
+function yearsToTarget(p, target, realMoney, deps) {
+  const { LIMITS } = deps;
+  const periodsPerYear = periodsPerYearFor(p);
+  const growth = 1 + p.inflationPct / 100;
+  const sim = simulateDCA({ ...p, years: LIMITS.years.max }, deps);
+  const hit = sim.series.findIndex((value, i) => {
+    const years = (i + 1) / periodsPerYear;
+    return (realMoney ? value / Math.pow(growth, years) : value) >= target;
+  });
+  return hit === -1 ? null : (hit + 1) / periodsPerYear;
+}
+
+// Drop shocks, gaps and FX moves that fall after `years`; clampParams would otherwise pull them into the last year.
+function trimToHorizon(p, years) {
+  const shocks = p.shocks.filter((s) => s.year <= years);
+  return {
+    ...p,
+    years,
+    shockPct: shocks.length ? shocks[0].pct : null,
+    shockYear: shocks.length ? shocks[0].year : null,
+    shocks,
+    pauseYears: p.pauseStartYear <= years || p.pauseAtShock ? p.pauseYears : 0,
+    fxShockPct: p.fxShockYear !== null && p.fxShockYear > years ? null : p.fxShockPct
+  };
+}
+
+// Smallest x in [lo, hi] for which reaches(x) holds, assuming it only flips once from false to true.
+function bisectUp(reaches, lo, hi, tolerance) {
+  for (let i = 0; i < 60 && hi - lo > tolerance; i++) {
+    const mid = (lo + hi) / 2;
+    if (reaches(mid)) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+/**
+ * Solve for whichever of contribution, years or return is `unknown` so the final value reaches `target`
+ * (in today's money with `realMoney`). Everything else in params (fees, shocks, schedule, raises,
+ * trading costs...) is simulated as-is. `solved` is null when the target is out of reach within LIMITS;
+ * finalValue is then what the limit itself reaches.
+ * With shocks on, `shock` compares when the solved scenario first reaches the target with and without them.
+ */
+function solveGoal(params, options, deps) {
+  const { clampParams: clampParamsFn, LIMITS } = deps;
+  const opts = options || {};
+  const p = clampParamsFn(params);
+  const target = Math.max(0, Number(opts.target) || 0);
+  const unknown = GOAL_UNKNOWNS[opts.unknown] ? opts.unknown : "contribution";
+  const field = GOAL_UNKNOWNS[unknown];
+  const realMoney = Boolean(opts.realMoney);
+  const reaches = (value) => goalValue(simulateDCA({ ...p, [field]: value }, deps), realMoney) >= target;
+
+  let solved = null;
+  if (unknown === "years") {
+    const years = yearsToTarget(p, target, realMoney, deps);
+    // Round up to a tenth of a year so the solved horizon still contains the period that hits the target.
+    if (years !== null) solved = Math.ceil(years * 10 - 1e-9) / 10;
+  } else {
+    const { min, max } = LIMITS[field];
+    if (reaches(min)) solved = min;
+    else if (reaches(max)) solved = Math.ceil(bisectUp(reaches, min, max, 0.001) * 100) / 100;
+  }
+
+  const limit = LIMITS[field].max;
+  const solvedParams = solved === null
+    ? p
+    : clampParamsFn(unknown === "years" ? trimToHorizon(p, solved) : { ...p, [field]: solved });
+  // Out of reach: report how far the limit itself gets.
+  const sim = simulateDCA(solved === null ? { ...p, [field]: limit } : solvedParams, deps);
+
+  let shock = null;
+  if (solved !== null && p.shocks.length > 0) {
+    const years = yearsToTarget(solvedParams, target, realMoney, deps);
+    const baselineYears = yearsToTarget({ ...solvedParams, shockPct: null, shockYear: null }, target, realMoney, deps);
+    shock = {
+      count: p.shocks.length,
+      years,
+      baselineYears,
+      delayYears: years !== null && baselineYears !== null ? years - baselineYears : null
+    };
+  }
+
+  return {
+    params: solvedParams,
+    target,
+    unknown,
+    realMoney,
+    solved,
+    limit,
+    finalValue: goalValue(sim, realMoney),
+    finalContribution: sim.finalContribution,
+    shock
   };
 }
 
 module.exports = {
+  RECOVERY_SHAPES,
+  FREQUENCIES,
+  GOAL_UNKNOWNS,
   weeklyRateFromAnnual,
   weeklyFeeFactorFromAnnual,
+  periodRateFromAnnual,
+  periodFeeFactorFromAnnual,
+  periodsPerYearFor,
+  contributionGrowthPct,
   clampParams,
-  simulateDCA
+  simulateDCA,
+  inTodaysMoney,
+  simulateLumpSum,
+  compareStrategies,
+  costEfficiency,
+  simulateRetirement,
+  safeWithdrawalRate,
+  solveGoal
 };
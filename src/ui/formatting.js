@@ -7,12 +7,39 @@ function formatMoney(x, currencyCode, deps) {
   return `${currency.symbol}${formatted}`;
 }
 
+function describeRebalancePolicy(sim) {
+  if (sim.policy === "threshold") return `±${sim.bandPct}% bands (${sim.rebalances} rebalances)`;
+  if (sim.policy === "none") return "none (buy & hold)";
+  return `${sim.policy} (${sim.rebalances} rebalances)`;
+}
+
+function formatWeights(sleeves) {
+  return sleeves.map((s) => `${s.name} ${Math.round(s.weightPct)}%`).join(" · ");
+}
+
+function formatRebalanceLines(sim, curr, deps) {
+  const { formatMoney } = deps;
+  const escHtml = deps.escHtml || ((value) => String(value));
+  if (!Array.isArray(sim.sleeves) || !sim.buyAndHold) return "";
+
+  const lines = [`\n\n<b>${escHtml("Rebalancing:")}</b> ${escHtml(describeRebalancePolicy(sim))}`];
+  lines.push(escHtml(`🎯 Ending weights: ${formatWeights(sim.sleeves)}`));
+  if (sim.policy !== "none") {
+    const hold = sim.buyAndHold;
+    const verb = sim.rebalanceBenefit >= 0 ? "adds" : "costs";
+    lines.push(escHtml(`🌊 Buy & hold drift: ${formatWeights(hold.sleeves)}`));
+    lines.push(escHtml(`⚖️ Rebalancing ${verb} ${formatMoney(Math.abs(sim.rebalanceBenefit), curr)} vs buy & hold (drawdown ${sim.maxDrawdownPct.toFixed(1)}% vs ${hold.maxDrawdownPct.toFixed(1)}%)`));
+  }
+  return lines.join("\n");
+}
+
 function formatMixMessage(mixState, displayState, deps) {
   const { formatMoney } = deps;
   const escHtml = deps.escHtml || ((value) => String(value));
   const curr = (displayState && displayState.currency) || "usd";
   const years = (displayState && displayState.years) || 10;
   const weeklyAmount = (displayState && displayState.weeklyAmount) || 100;
+  const unit = frequencyOf(displayState || {}, deps.FREQUENCIES).unit;
 
   return (
     `🎨 <b>Portfolio Mix</b>\n\n` +
@@ -20,17 +47,20 @@ function formatMixMessage(mixState, displayState, deps) {
     escHtml(`📊 Blended return: ${mixState.blendedReturn}%\n`) +
     escHtml(`💰 Blended fee: ${mixState.blendedFee}%\n`) +
     escHtml(`📉 Blended crash: ${mixState.blendedShock}%\n\n`) +
-    `<b>${escHtml(`Simulation (${years} years, ${formatMoney(weeklyAmount, curr)}/wk):`)}</b>\n` +
+    `<b>${escHtml(`Simulation (${years} years, ${formatMoney(weeklyAmount, curr)}/${unit}):`)}</b>\n` +
     escHtml(`💵 Contributed: ${formatMoney(mixState.sim.contributed, curr)}\n`) +
     escHtml(`📈 Final: ${formatMoney(mixState.sim.finalValue, curr)}\n`) +
     escHtml(`✅ Gains: ${formatMoney(mixState.sim.gains, curr)} (${mixState.roi}% ROI)\n`) +
-    escHtml(`📉 Max drawdown: ${mixState.sim.maxDrawdownPct.toFixed(1)}%`)
+    escHtml(`📉 Max drawdown: ${mixState.sim.maxDrawdownPct.toFixed(1)}%`) +
+    (mixState.metrics ? formatMetricsLines(mixState.metrics).map((line) => `\n${escHtml(line)}`).join("") : "") +
+    formatRebalanceLines(mixState.sim, curr, deps)
   );
 }
 
 function buildMixControlsKeyboard(mixShort, options, deps) {
   const { Markup } = deps;
   const opts = options || {};
+  const rebalanceLabel = opts.rebalanceLabel || "Annual";
   const amountButtonsWithDollar = opts.amountButtonsWithDollar !== false;
   const minusLabel = amountButtonsWithDollar ? "$-50/wk" : "-50/wk";
   const plusLabel = amountButtonsWithDollar ? "$+50/wk" : "+50/wk";
@@ -44,6 +74,7 @@ function buildMixControlsKeyboard(mixShort, options, deps) {
       Markup.button.callback("Yrs -1", `mix:yrs:-1:${mixShort}`),
       Markup.button.callback("Yrs +1", `mix:yrs:+1:${mixShort}`)
     ],
+    [Markup.button.callback(`⚖️ Rebalance: ${rebalanceLabel}`, `mix:reb:${mixShort}`)],
     [Markup.button.callback("▶️ Full simulation", `mix:run:${mixShort}`)],
     [
       Markup.button.callback("60/40 VOO/BND", "mix:60voo-40bnd"),
@@ -57,11 +88,16 @@ function buildMixControlsKeyboard(mixShort, options, deps) {
   ]);
 }
 
+function shapeShortLabel(shape) {
+  return !shape || shape === "steady" ? "Steady" : shape.toUpperCase();
+}
+
 function keyboardFor(p, options, deps) {
-  const { Markup } = deps;
+  const { Markup, FREQUENCIES } = deps;
+  const unit = frequencyOf(p, FREQUENCIES).unit;
   const opts = options || {};
   const shockOn = p.shockPct !== null && p.shockYear !== null;
-  const { cta, hasSaved } = opts;
+  const { cta, hasSaved, realMoney, chartView, chartScale } = opts;
 
   const journeyRows = [];
   if (cta && cta.label && cta.action) {
@@ -74,8 +110,8 @@ function keyboardFor(p, options, deps) {
 
   return Markup.inlineKeyboard([
     [
-      Markup.button.callback("$-50/wk", "amt:-50"),
-      Markup.button.callback("$+50/wk", "amt:+50")
+      Markup.button.callback(`$-50/${unit}`, "amt:-50"),
+      Markup.button.callback(`$+50/${unit}`, "amt:+50")
     ],
     [
       Markup.button.callback("Yrs -1", "years:-1"),
@@ -89,6 +125,25 @@ function keyboardFor(p, options, deps) {
       Markup.button.callback(shockOn ? `${p.shockPct}%` : "Shock", "shock:toggle"),
       Markup.button.callback(shockOn ? "Worse" : "--", shockOn ? "shockpct:-10" : "noop")
     ],
+    ...(shockOn
+      ? [[Markup.button.callback(`↩️ Recovery: ${shapeShortLabel(p.recoveryShape)}`, "recovery:cycle")]]
+      : []),
+    [
+      Markup.button.callback(realMoney ? "💲 Show nominal" : "💵 Today's money", "real:toggle"),
+      Markup.button.callback("🔥 Sensitivity", "grid:open")
+    ],
+    [Markup.button.callback("📋 Yearly table", "table:open")],
+    [
+      Markup.button.callback(chartView === "drawdown" ? "📈 Growth chart" : "📉 Drawdown chart", "chart:toggle"),
+      // The scale only applies to the growth chart.
+      ...(chartView === "drawdown"
+        ? []
+        : [Markup.button.callback(chartScale === "log" ? "📐 Linear scale" : "📐 Log scale", "chart:scale")])
+    ],
+    [Markup.button.callback(p.pauseYears > 0 ? "▶️ Remove contribution gap" : "⏸️ 1-year job loss", "pause:toggle")],
+    ...(p.tradeFixedFee > 0 || p.tradeFeePct > 0 || p.tradeMinFee > 0 || p.spreadBps > 0
+      ? [[Markup.button.callback("🏦 Cheapest schedule", "costs:report")]]
+      : []),
     [
       Markup.button.callback("VOO", "etf:voo"),
       Markup.button.callback("QQQ", "etf:qqq")
@@ -114,49 +169,350 @@ function keyboardFor(p, options, deps) {
   ]);
 }
 
-function buildCaption(sim, deps) {
+function frequencyOf(p, frequencies) {
+  return frequencies[p.frequency] || frequencies.weekly;
+}
+
+function describeRaises(p) {
+  if (p.contributionIncreaseMode === "inflation") return `inflation (${p.inflationPct}%/yr)`;
+  if (p.contributionIncreasePct > 0) return `${p.contributionIncreasePct}%/yr`;
+  return null;
+}
+
+function describeShocks(p) {
+  const shocks = Array.isArray(p.shocks) ? p.shocks : [];
+  if (shocks.length <= 1 && !(shocks[0] && shocks[0].weeks > 0)) {
+    return p.shockPct !== null && p.shockYear !== null ? `Shock: ${p.shockPct}% @ year ${p.shockYear}` : null;
+  }
+
+  const label = shocks.length > 1 ? "Shocks" : "Shock";
+  const list = shocks
+    .map((s) => `${s.pct}% @ yr ${s.year}${s.weeks > 0 ? ` over ${s.weeks}w` : ""}`)
+    .join(", ");
+  return `${label}: ${list}`;
+}
+
+function describeTaxes(p, formatMoney, curr) {
+  const gains = p.capitalGainsTaxPct || 0;
+  const dividends = p.dividendTaxPct || 0;
+  if (gains <= 0 && dividends <= 0) return null;
+  const rates = gains === dividends ? `${gains}%` : `${gains}% gains / ${dividends}% dividends`;
+  const exempt = gains > 0 && p.taxExemption > 0 ? `, ${formatMoney(p.taxExemption, curr)} exempt` : "";
+  return `Tax: ${rates}${exempt}`;
+}
+
+function describeStrategy(p) {
+  if (p.strategy !== "va") return null;
+  const caps = [];
+  if (p.vaMaxBuyMultiple !== null && p.vaMaxBuyMultiple !== undefined) caps.push(`buys ≤${p.vaMaxBuyMultiple}×`);
+  if (p.vaMaxSellMultiple === 0) caps.push("no selling");
+  else if (p.vaMaxSellMultiple !== null && p.vaMaxSellMultiple !== undefined) caps.push(`sales ≤${p.vaMaxSellMultiple}×`);
+  return `Strategy: value averaging${caps.length ? ` (${caps.join(", ")})` : ""}`;
+}
+
+function describeDipRules(p, formatMoney, curr) {
+  const rules = [];
+  if (p.dipDrawdownPct !== null && p.dipDrawdownPct !== undefined) rules.push(`${p.dipMultiplier}× below ${p.dipDrawdownPct}%`);
+  if (p.dipReserve > 0) rules.push(`${formatMoney(p.dipReserve, curr)} reserve at ${p.dipReserveDrawdownPct}%`);
+  return rules.length ? `Dip: ${rules.join(", ")}` : null;
+}
+
+function formatDipLines(sim, curr, formatMoney) {
+  const { dip } = sim;
+  const signed = (x) => `${x < 0 ? "-" : "+"}${formatMoney(Math.abs(x), curr)}`;
+  const reserve = sim.params.dipReserve > 0
+    ? (dip.reserveDeployedYear === null ? ", reserve never used" : `, reserve used in year ${Number(dip.reserveDeployedYear.toFixed(1))}`)
+    : "";
+  const lines = [
+    `🛒 Dip buys: ${formatMoney(dip.extraInvested, curr)} extra${reserve} → final ${signed(dip.finalValueEffect)}, ${signed(dip.netEffect)} after the extra cash`
+  ];
+  if (sim.recoveryWeeks !== dip.baselineRecoveryWeeks && (sim.shocks || []).length === 1) {
+    const weeks = (w) => (w === null ? "never" : `${w} weeks`);
+    lines.push(`⏱️ Recovery ${weeks(sim.recoveryWeeks)} vs ${weeks(dip.baselineRecoveryWeeks)} without the rules`);
+  }
+  return lines;
+}
+
+function describePause(p, unit, formatMoney, curr) {
+  if (!(p.pauseYears > 0)) return null;
+  const from = p.pauseAtShock && (p.shocks || []).length > 0 ? "the crash" : `yr ${p.pauseStartYear}`;
+  const withdrawal = p.pauseWithdrawal > 0 ? `, selling ${formatMoney(p.pauseWithdrawal, curr)}/${unit}` : "";
+  return `Pause: ${p.pauseYears}y from ${from}${withdrawal}`;
+}
+
+function describeTradeCosts(p, formatMoney, curr) {
+  const parts = [];
+  if (p.tradeFixedFee > 0) parts.push(formatMoney(p.tradeFixedFee, curr));
+  if (p.tradeFeePct > 0 || p.tradeMinFee > 0) {
+    parts.push(p.tradeMinFee > 0 ? `${p.tradeFeePct || 0}% (min ${formatMoney(p.tradeMinFee, curr)})` : `${p.tradeFeePct}%`);
+  }
+  if (p.spreadBps > 0) parts.push(`${p.spreadBps} bps spread`);
+  return parts.length ? `Per trade: ${parts.join(" + ")}` : null;
+}
+
+function describeFx(p) {
+  const moves = [];
+  if (p.fxDriftPct) moves.push(`${p.fxDriftPct > 0 ? "+" : ""}${p.fxDriftPct}%/yr`);
+  if (p.fxShockPct !== null && p.fxShockPct !== undefined) moves.push(`${p.fxShockPct > 0 ? "+" : ""}${p.fxShockPct}% in yr ${p.fxShockYear}`);
+  return moves.length ? `FX: ${p.assetCurrency.toUpperCase()} ${moves.join(", ")}` : null;
+}
+
+// Units of `to` per 1 `from`, via the table's base currency; null if either is missing.
+function fxRate(from, to, table) {
+  const rates = (table && table.rates) || {};
+  const a = rates[String(from).toUpperCase()];
+  const b = rates[String(to).toUpperCase()];
+  return a > 0 && b > 0 ? b / a : null;
+}
+
+function formatFxLines(sim, formatMoney, table) {
+  const { fx } = sim;
+  const home = fx.homeCurrency;
+  const asset = fx.assetCurrency;
+  const lines = [];
+
+  const startRate = fxRate(asset, home, table);
+  if (startRate === null) {
+    lines.push(`💱 No ${asset.toUpperCase()}→${home.toUpperCase()} rate in the FX table; amounts are shown in ${home.toUpperCase()} only`);
+  } else {
+    const endRate = startRate * fx.index;
+    const nominalFinal = sim.realMoney ? sim.nominalFinalValue : sim.finalValue;
+    const digits = (x) => Number(x.toFixed(4));
+    const rates = Math.abs(endRate - startRate) < 1e-9
+      ? `${digits(startRate)}`
+      : `${digits(startRate)} → ${digits(endRate)}`;
+    lines.push(`💱 In ${asset.toUpperCase()}: ${formatMoney(nominalFinal / endRate, asset)} (1 ${asset.toUpperCase()} = ${rates} ${home.toUpperCase()})`);
+  }
+
+  if (Math.abs(fx.effect) >= 1 || describeFx(sim.params)) {
+    const sign = fx.effect < 0 ? "-" : "+";
+    const share = sim.gains !== 0 ? ` (${((fx.effect / Math.abs(sim.gains)) * 100).toFixed(1)}% of gains)` : "";
+    lines.push(`💱 FX effect: ${sign}${formatMoney(Math.abs(fx.effect), home)} vs a flat rate${share}`);
+  }
+  return lines;
+}
+
+function describeLeverage(p) {
+  return p.leverage > 1 ? `Leverage: ${p.leverage}× daily reset (${p.leverageVolPct}% index vol)` : null;
+}
+
+function describeMargin(p) {
+  return p.marginLoanPct > 0
+    ? `Margin: ${p.marginLoanPct}% loan at ${p.marginRatePct}%, call below ${p.maintenancePct}% equity`
+    : null;
+}
+
+// Leveraged result next to the plain index, and what wiped the fund out (or what would).
+function formatLeverageLine(sim, curr, formatMoney) {
+  const { leverage } = sim;
+  const pct = (x) => `${x > 0 ? "+" : ""}${Number(x.toFixed(1))}%`;
+  const factor = `${leverage.factor}×`;
+  const versus = `${formatMoney(sim.finalValue, curr)} vs ${formatMoney(leverage.baselineFinalValue, curr)} unleveraged`;
+
+  const wipeout = leverage.wipeouts[0];
+  if (wipeout) {
+    const move = leverage.shockMoves.find((m) => Math.abs(m.year - wipeout.year) < 0.5);
+    const cause = move ? ` by the ${pct(move.pct)} shock (${pct(move.leveragedPct)} at ${factor})` : "";
+    return `💀 ${factor} fund: ${versus} | wiped out in year ${Number(wipeout.year.toFixed(1))}${cause}`;
+  }
+  return `🎢 ${factor} fund: ${versus} | decay ${pct(-leverage.decayPctPerYear)}/yr | a ${Number(leverage.wipeoutDropPct.toFixed(1))}% day wipes it out`;
+}
+
+// Margin result next to the same plan without the loan; the calls themselves are in the table view.
+function formatMarginLine(sim, curr, formatMoney) {
+  const { margin } = sim;
+  const versus = `${formatMoney(sim.finalValue, curr)} vs ${formatMoney(margin.baselineFinalValue, curr)} without the loan`;
+  const call = margin.calls[0];
+  if (call) {
+    const count = margin.calls.length > 1 ? `${margin.calls.length} margin calls` : "Margin call";
+    return `🚨 On margin: ${versus} | ${count} from year ${Number(call.year.toFixed(1))}${call.wipedOut ? ", wiped out" : ""}`;
+  }
+  const drop = margin.dropToCallPct !== null ? `, a ${margin.dropToCallPct.toFixed(1)}% drop triggers one` : "";
+  return `⚖️ On margin: ${versus} | no margin call${drop}`;
+}
+
+// Margin calls listed one by one; a slow grind can trigger one nearly every period.
+const MAX_LISTED_CALLS = 10;
+
+// Leverage and margin detail for the table view: drawdowns against the baseline, the loan and every
+// forced sale.
+function formatRiskDetailLines(sim, curr, formatMoney) {
+  const lines = [];
+  const { leverage, margin } = sim;
+  if (leverage) {
+    const pct = (x) => `${x > 0 ? "+" : ""}${Number(x.toFixed(1))}%`;
+    lines.push(`🎢 ${leverage.factor}× drawdown ${sim.maxDrawdownPct.toFixed(1)}% vs ${leverage.baselineMaxDrawdownPct.toFixed(1)}% unleveraged, decay ${pct(-leverage.decayPctPerYear)}/yr at ${leverage.volatilityPct}% index vol`);
+    leverage.shockMoves.forEach((move) => {
+      lines.push(`📉 Year ${Number(move.year.toFixed(1))}: the ${pct(move.pct)} shock is ${pct(move.leveragedPct)} at ${leverage.factor}×`);
+    });
+    leverage.wipeouts.forEach((wipeout) => {
+      lines.push(`💀 Year ${Number(wipeout.year.toFixed(1))}: wiped out, ${formatMoney(wipeout.lost, curr)} lost`);
+    });
+  }
+  if (margin) {
+    const repaid = margin.debtRepaid > 0 ? `, ${formatMoney(margin.debtRepaid, curr)} repaid from contributions` : "";
+    lines.push(`💳 Borrowed ${formatMoney(margin.borrowed, curr)}, owes ${formatMoney(margin.owed, curr)} (${formatMoney(margin.interest, curr)} interest)${repaid}`);
+    lines.push(`⚖️ Drawdown ${sim.maxDrawdownPct.toFixed(1)}% vs ${margin.baselineMaxDrawdownPct.toFixed(1)}% without the loan, lowest equity ${margin.worstEquityPct.toFixed(1)}% (call below ${margin.maintenancePct}%)`);
+    margin.calls.slice(0, MAX_LISTED_CALLS).forEach((call) => {
+      const year = Number(call.year.toFixed(1));
+      lines.push(call.wipedOut
+        ? `🚨 Year ${year}: the loan outgrew the holdings, all ${formatMoney(call.sold, curr)} force-sold`
+        : `🚨 Year ${year}: equity ${call.equityPct.toFixed(1)}% < ${margin.maintenancePct}%, ${formatMoney(call.sold, curr)} force-sold`);
+    });
+    if (margin.calls.length > MAX_LISTED_CALLS) lines.push(`🚨 … and ${margin.calls.length - MAX_LISTED_CALLS} more`);
+  }
+  return lines;
+}
+
+const metricPct = (x) => (x === null ? "n/a" : `${x.toFixed(1)}%`);
+const metricRatio = (x) => (x === null ? "n/a" : x.toFixed(2));
+
+// Return and risk lines for a computeMetrics() result; nothing when the run has no cash-flow record.
+function formatMetricsLines(metrics) {
+  if (metrics.twrCagrPct === null) return [];
+  const underwater = metrics.underwaterPct > 0
+    ? `⏳ Below a previous peak ${metrics.underwaterPct.toFixed(0)}% of the time, longest ${metrics.longestUnderwaterYears.toFixed(1)}y`
+    : "⏳ Never below a previous peak";
+  return [
+    `🧮 IRR: ${metricPct(metrics.irrPct)}/yr | Time-weighted: ${metricPct(metrics.twrCagrPct)}/yr | Volatility: ${metricPct(metrics.volatilityPct)}`,
+    `📏 Sharpe: ${metricRatio(metrics.sharpe)} | Sortino: ${metricRatio(metrics.sortino)} (vs ${metrics.riskFreePct}% cash) | Ulcer: ${metrics.ulcerIndex.toFixed(1)}`,
+    underwater
+  ];
+}
+
+// One-line version for side-by-side views.
+function formatMetricsSummary(metrics) {
+  if (metrics.twrCagrPct === null) return "";
+  return `IRR: ${metricPct(metrics.irrPct)}/yr | Sharpe: ${metricRatio(metrics.sharpe)} | Ulcer: ${metrics.ulcerIndex.toFixed(1)}`;
+}
+
+function describeRecovery(p, shapes) {
+  const shape = shapes && shapes[p.recoveryShape];
+  if (!shape || p.recoveryShape === "steady" || !(p.shocks || []).length) return null;
+  const months = p.recoveryMonths !== null && p.recoveryMonths !== undefined ? p.recoveryMonths : shape.months;
+  return `Recovery: ${shape.label}, ${months}m`;
+}
+
+function pickMilestoneYears(milestones) {
+  if (!milestones || Object.keys(milestones).length === 0) return [];
+  const years = Object.keys(milestones).map(Number).sort((a, b) => a - b);
+  if (years.length <= 3) return years;
+  return [years[0], years[Math.floor(years.length / 2)], years[years.length - 1]];
+}
+
+// Telegram rejects photo captions and text messages longer than these.
+const CAPTION_LIMIT = 1024;
+const MESSAGE_LIMIT = 4096;
+
+// The card's caption in parts: `core` lines always show, `extras` (one per feature in use) show
+// while they fit and otherwise live only in the table view.
+function cardParts(sim, deps) {
   const { escHtml, formatMoney } = deps;
   const p = sim.params;
   const curr = p.currency || "usd";
 
   const header = `<b>📈 DCA Shock Bot</b>`;
-  const freqLabel = p.frequency === "monthly" ? "Monthly" : "Weekly";
-  const line1 = escHtml(`${freqLabel}: ${formatMoney(p.weeklyAmount, curr)} | Years: ${p.years} | Return: ${p.annualReturnPct}%`);
+  const freqLabel = frequencyOf(p, deps.FREQUENCIES).label;
+  const raises = describeRaises(p);
+  const amountLabel = raises && sim.finalContribution !== undefined
+    ? `${formatMoney(p.weeklyAmount, curr)} → ${formatMoney(sim.finalContribution, curr)}`
+    : formatMoney(p.weeklyAmount, curr);
+  const line1 = escHtml(`${freqLabel}: ${amountLabel} | Years: ${p.years} | Return: ${p.annualReturnPct}%`);
 
   const meta = [];
   if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
-  if (p.shockPct !== null && p.shockYear !== null) meta.push(`Shock: ${p.shockPct}% @ year ${p.shockYear}`);
+  if (p.contributionTiming === "end") meta.push("Paid at period end");
+  const tradeCostLabel = describeTradeCosts(p, formatMoney, curr);
+  if (tradeCostLabel) meta.push(tradeCostLabel);
+  if (p.initialAmount > 0) meta.push(`Initial: ${formatMoney(p.initialAmount, curr)}`);
+  if (p.dividendYieldPct > 0) meta.push(`Yield: ${p.dividendYieldPct}%${p.dividendMode === "payout" ? " paid out" : ""}`);
+  const taxLabel = describeTaxes(p, formatMoney, curr);
+  if (taxLabel) meta.push(taxLabel);
+  const strategyLabel = describeStrategy(p);
+  if (strategyLabel) meta.push(strategyLabel);
+  const dipLabel = sim.dip ? describeDipRules(p, formatMoney, curr) : null;
+  if (dipLabel) meta.push(dipLabel);
+  const pauseLabel = sim.pause ? describePause(p, frequencyOf(p, deps.FREQUENCIES).unit, formatMoney, curr) : null;
+  if (pauseLabel) meta.push(pauseLabel);
+  if (sim.realMoney) meta.push(`Today's money (${p.inflationPct}% inflation)`);
+  const fxLabel = sim.fx ? describeFx(p) : null;
+  if (fxLabel) meta.push(fxLabel);
+  const leverageLabel = sim.leverage ? describeLeverage(p) : null;
+  if (leverageLabel) meta.push(leverageLabel);
+  const marginLabel = sim.margin ? describeMargin(p) : null;
+  if (marginLabel) meta.push(marginLabel);
+  if (raises) meta.push(`Raises: ${raises}`);
+  const shockLabel = describeShocks(p);
+  if (shockLabel) meta.push(shockLabel);
+  const recoveryLabel = describeRecovery(p, deps.RECOVERY_SHAPES);
+  if (recoveryLabel) meta.push(recoveryLabel);
   if (meta.length === 0) meta.push("Shock: off");
-  const line2 = escHtml(meta.join(" | "));
 
-  const roi = sim.contributed > 0 ? ((sim.gains / sim.contributed) * 100).toFixed(1) : "0.0";
+  const metrics = deps.computeMetrics(sim);
 
-  const stats = [
+  const core = [
     `💰 Contributed: ${formatMoney(sim.contributed, curr)}`,
     `📈 Final: ${formatMoney(sim.finalValue, curr)}`,
-    `✅ Gains: ${formatMoney(sim.gains, curr)} (${roi}% ROI)`,
+    `✅ Gains: ${formatMoney(sim.gains, curr)} (${metrics.roiPct.toFixed(1)}% ROI)`,
     `📉 Max drawdown: ${sim.maxDrawdownPct.toFixed(1)}%`
   ];
+  // The full metrics are in the table view.
+  const summary = formatMetricsSummary(metrics);
+  if (summary) core.push(`🧮 ${summary}`);
+
+  const stats = [];
 
-  if (sim.inflationAdjusted) {
-    stats.push(`💵 After ${p.inflationPct || 3}% inflation: ${formatMoney(sim.inflationAdjusted, curr)}`);
+  if (strategyLabel && sim.cashInvested !== undefined) {
+    stats.push(`💳 Cash in: ${formatMoney(sim.cashInvested, curr)} | Sold: ${formatMoney(sim.cashWithdrawn, curr)} | Largest buy: ${formatMoney(sim.largestContribution, curr)}`);
   }
 
-  if (p.shockPct !== null && p.shockYear !== null) {
+  if (dipLabel) stats.push(...formatDipLines(sim, curr, formatMoney));
+
+  if (pauseLabel) {
+    const { pause } = sim;
+    const sold = pause.withdrawn > 0 ? `, ${formatMoney(pause.withdrawn, curr)} sold` : "";
+    const cost = pause.cost >= 0 ? `-${formatMoney(pause.cost, curr)}` : `+${formatMoney(-pause.cost, curr)}`;
+    stats.push(`⏸️ Gap: ${formatMoney(pause.missedContributions, curr)} of buys missed${sold} → final ${cost} vs no gap`);
+  }
+
+  if (tradeCostLabel && sim.tradingCosts !== undefined) {
+    const share = sim.contributed > 0 ? ((sim.tradingCosts / sim.contributed) * 100).toFixed(2) : "0.00";
+    stats.push(`🏦 Trading costs: ${formatMoney(sim.tradingCosts, curr)} over ${sim.trades} trades (${share}% of contributed)`);
+  }
+
+  if (p.dividendYieldPct > 0 && sim.finalYearDividendIncome !== undefined) {
+    stats.push(p.dividendMode === "payout"
+      ? `💸 Dividends paid out: ${formatMoney(sim.dividendsPaidOut, curr)} total, ${formatMoney(sim.finalYearDividendIncome, curr)}/yr by the end`
+      : `💸 Dividend income: ${formatMoney(sim.finalYearDividendIncome, curr)}/yr by the end (reinvested)`);
+  }
+
+  if (taxLabel && sim.afterTaxFinalValue !== undefined) {
+    stats.push(`🧾 After tax: ${formatMoney(sim.afterTaxFinalValue, curr)} (taxes paid ${formatMoney(sim.totalTaxPaid, curr)})`);
+  }
+
+  if (sim.fx) stats.push(...formatFxLines(sim, formatMoney, deps.FX_RATES));
+  if (leverageLabel) stats.push(formatLeverageLine(sim, curr, formatMoney));
+  if (marginLabel) stats.push(formatMarginLine(sim, curr, formatMoney));
+
+  if (sim.realMoney) {
+    stats.push(`💵 Nominal final: ${formatMoney(sim.nominalFinalValue, curr)}`);
+  } else if (sim.inflationAdjusted) {
+    stats.push(`💵 After ${p.inflationPct}% inflation: ${formatMoney(sim.inflationAdjusted, curr)}`);
+  }
+
+  const shocks = sim.shocks || [];
+  if (shocks.length > 1) {
+    shocks.forEach((shock, i) => {
+      const rec = shock.recoveryWeeks === null ? "not recovered" : `recovered in ${shock.recoveryWeeks} weeks`;
+      stats.push(`🔄 Shock ${i + 1}: ${shock.drawdownPct.toFixed(1)}%, ${rec}`);
+    });
+  } else if (p.shockPct !== null && p.shockYear !== null) {
     const rec = sim.recoveryWeeks === null ? "not reached" : `${sim.recoveryWeeks} weeks`;
     stats.push(`🔄 Recovery: ${rec}`);
   }
 
-  if (sim.milestones && Object.keys(sim.milestones).length > 0) {
-    const years = Object.keys(sim.milestones).map(Number).sort((a, b) => a - b);
-    const keyYears = [];
-    if (years.length <= 3) {
-      keyYears.push.apply(keyYears, years);
-    } else {
-      keyYears.push(years[0]);
-      keyYears.push(years[Math.floor(years.length / 2)]);
-      keyYears.push(years[years.length - 1]);
-    }
+  const keyYears = pickMilestoneYears(sim.milestones);
+  if (keyYears.length > 0) {
     const milestonesStr = keyYears
       .map((y) => `Yr${y}: ${formatMoney(sim.milestones[y], curr)}`)
       .join(" → ");
@@ -164,7 +520,529 @@ function buildCaption(sim, deps) {
   }
 
   const assumptions = [
-    "🧾 Assumptions: constant return, no taxes, fees as shown.",
+    taxLabel
+      ? "🧾 Assumptions: constant return, dividends taxed as paid, gains taxed on a full sale at the end, fees as shown."
+      : "🧾 Assumptions: constant return, no taxes, fees as shown.",
+    "⚠️ Education only — not financial advice."
+  ];
+
+  return { header, line1, meta, core, extras: stats, assumptions };
+}
+
+// Extras are added in order while the caption stays under CAPTION_LIMIT; the rest are counted in a
+// pointer to the table. A setup line too long on its own loses its last entries.
+function buildCaption(sim, deps) {
+  const { escHtml } = deps;
+  const { header, line1, meta, core, extras, assumptions } = cardParts(sim, deps);
+  const compose = (setup, shown, more) => [
+    header,
+    line1,
+    escHtml(setup.join(" | ")),
+    "",
+    escHtml([...core, ...shown, ...(more > 0 ? [`📋 ${more} more details in the yearly table`] : [])].join("\n")),
+    "",
+    escHtml(assumptions.join("\n"))
+  ].join("\n");
+
+  const setup = [...meta];
+  while (setup.length > 1 && compose(setup, [], extras.length).length > CAPTION_LIMIT) {
+    if (setup[setup.length - 1] === "…") setup.splice(-2, 1);
+    else setup[setup.length - 1] = "…";
+  }
+
+  const shown = [];
+  extras.forEach((line) => {
+    const candidate = [...shown, line];
+    if (compose(setup, candidate, extras.length - candidate.length).length <= CAPTION_LIMIT) shown.push(line);
+  });
+  return compose(setup, shown, extras.length - shown.length);
+}
+
+function buildBacktestCaption(sim, deps) {
+  const { escHtml, formatMoney } = deps;
+  const p = sim.params;
+  const bt = sim.backtest;
+  const curr = p.currency || "usd";
+
+  // Spread calendar-year data replays years, not months, so the title says so.
+  const title = bt.dataResolution === "monthly" ? "Backtest" : "Annual backtest";
+  const header = `<b>${escHtml(`📜 ${title}: ${bt.ticker.toUpperCase()} ${bt.fromYear}–${bt.toYear}`)}</b>`;
+  const frequency = frequencyOf(p, deps.FREQUENCIES);
+  const raises = describeRaises(p);
+  // The replay raises its monthly buy; shown back on the card's own schedule.
+  const amountLabel = raises && sim.finalContribution !== undefined
+    ? `${formatMoney(p.weeklyAmount, curr)} → ${formatMoney((sim.finalContribution * 12) / frequency.periodsPerYear, curr)}`
+    : formatMoney(p.weeklyAmount, curr);
+  const line1 = escHtml(`${frequency.label}: ${amountLabel} | Years: ${p.years} | Realized CAGR: ${bt.cagrPct.toFixed(1)}%`);
+
+  const meta = [];
+  if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
+  if (p.contributionTiming === "end") meta.push("Paid at period end");
+  const tradeCostLabel = describeTradeCosts(p, formatMoney, curr);
+  if (tradeCostLabel) meta.push(tradeCostLabel);
+  if (p.initialAmount > 0) meta.push(`Initial: ${formatMoney(p.initialAmount, curr)}`);
+  if (p.dividendYieldPct > 0) meta.push(`Yield: ${p.dividendYieldPct}%${p.dividendMode === "payout" ? " paid out" : ""}`);
+  const taxLabel = describeTaxes(p, formatMoney, curr);
+  if (taxLabel) meta.push(taxLabel);
+  if (raises) meta.push(`Raises: ${raises}`);
+  meta.push(`Data v${bt.dataVersion}`);
+  const line2 = escHtml(meta.join(" | "));
+
+  const metrics = deps.computeMetrics(sim);
+  const dd = bt.worstDrawdown;
+
+  const stats = [
+    `💰 Contributed: ${formatMoney(sim.contributed, curr)}`,
+    `📈 Final: ${formatMoney(sim.finalValue, curr)}`,
+    `✅ Gains: ${formatMoney(sim.gains, curr)} (${metrics.roiPct.toFixed(1)}% ROI)`,
+    `📉 Max drawdown (your portfolio): ${sim.maxDrawdownPct.toFixed(1)}%`
+  ];
+  const metricsAt = stats.length;
+  const metricsLines = formatMetricsLines(metrics);
+  stats.push(...metricsLines);
+  if (tradeCostLabel && sim.tradingCosts !== undefined) {
+    stats.push(`🏦 Trading costs: ${formatMoney(sim.tradingCosts, curr)} over ${sim.trades} trades`);
+  }
+  if (taxLabel && sim.afterTaxFinalValue !== undefined) {
+    stats.push(`🧾 After tax: ${formatMoney(sim.afterTaxFinalValue, curr)} (taxes paid ${formatMoney(sim.totalTaxPaid, curr)})`);
+  }
+
+  // Peak, bottom and recovery months only mean something with true monthly data; interpolated
+  // annual data can only tell the worst calendar year.
+  if (bt.dataResolution === "monthly" && dd.peakDate) {
+    stats.push(`🕳️ Worst market drawdown: ${dd.pct.toFixed(1)}% (peak ${dd.peakDate}, bottom ${dd.troughDate})`);
+    stats.push(`🔄 Recovered: ${dd.recoveryDate || `not by ${bt.toYear}`}`);
+  } else if (bt.worstYear && bt.worstYear.pct < 0) {
+    stats.push(`🕳️ Worst calendar year: ${bt.worstYear.year} (${bt.worstYear.pct.toFixed(1)}%)`);
+  }
+
+  const keyYears = pickMilestoneYears(sim.milestones);
+  if (keyYears.length > 0) {
+    const milestonesStr = keyYears
+      .map((y) => `${y}: ${formatMoney(sim.milestones[y], curr)}`)
+      .join(" → ");
+    stats.push(`📅 ${milestonesStr}`);
+  }
+
+  const assumptions = [`🧾 ${bt.dataNote || "Historical monthly total returns."}`];
+  if (bt.monthlyAmount !== undefined && p.frequency !== "monthly") {
+    assumptions.push(`🗓️ Bought monthly: ${formatMoney(bt.monthlyAmount, curr)}, the same yearly total`);
+  }
+  // Card features the replay switched off, so nobody reads them into the result.
+  if (bt.ignored && bt.ignored.length > 0) assumptions.push(`🚫 Ignored in backtests: ${bt.ignored.join(", ")}`);
+  assumptions.push("⚠️ Education only — not financial advice.");
+
+  const compose = (lines) => [header, line1, line2, "", escHtml(lines.join("\n")), "", escHtml(assumptions.join("\n"))].join("\n");
+  const caption = compose(stats);
+  if (caption.length <= CAPTION_LIMIT) return caption;
+  // With many settings on, the metrics shrink to the card's one-line summary.
+  const summary = formatMetricsSummary(metrics);
+  stats.splice(metricsAt, metricsLines.length, ...(summary ? [`🧮 ${summary}`] : []));
+  return compose(stats);
+}
+
+function buildMonteCarloCaption(mc, deps) {
+  const { escHtml, formatMoney } = deps;
+  const p = mc.params;
+  const curr = p.currency || "usd";
+  const freqLabel = frequencyOf(p, deps.FREQUENCIES).label;
+
+  const header = `<b>🎲 Monte Carlo</b>`;
+  const line1 = escHtml(`${freqLabel}: ${formatMoney(p.weeklyAmount, curr)} | Years: ${p.years} | Return: ${p.annualReturnPct}% ± ${mc.volatilityPct}% vol`);
+
+  const runs = mc.requestedRuns > mc.runs ? `${mc.runs} (capped from ${mc.requestedRuns} for the horizon)` : mc.runs;
+  const meta = [`Runs: ${runs}`, `Seed: ${mc.seed}`];
+  if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
+  const shockLabel = describeShocks(p);
+  if (shockLabel) meta.push(shockLabel);
+  const line2 = escHtml(meta.join(" | "));
+
+  const stats = [
+    `💰 Contributed: ${formatMoney(mc.contributed, curr)}`,
+    `🔻 Bad case (p10): ${formatMoney(mc.p10, curr)}`,
+    `📈 Median (p50): ${formatMoney(mc.p50, curr)}`,
+    `🚀 Good case (p90): ${formatMoney(mc.p90, curr)}`,
+    `📉 Median max drawdown: ${mc.medianMaxDrawdownPct.toFixed(1)}%`,
+    `⚠️ Chance of ending below contributions: ${mc.probBelowContributedPct.toFixed(1)}%`
+  ];
+
+  const assumptions = [
+    "🧾 Assumptions: log-normal returns, median path = stated return.",
+    "⚠️ Education only — not financial advice."
+  ];
+
+  return [header, line1, line2, "", escHtml(stats.join("\n")), "", escHtml(assumptions.join("\n"))].join("\n");
+}
+
+function explainLumpSumWinner(result) {
+  const { winner, shocksDuringSpread, spreadWeeks, params } = result;
+  const shocks = params.shocks || [];
+  const during = shocksDuringSpread[0];
+
+  if (winner === "tie") return "Dead heat: the cheaper DCA buys exactly offset the lump sum's extra time in the market.";
+
+  if (winner === "dca") {
+    if (during) {
+      return `DCA wins: the ${during.pct}% crash at year ${during.year} landed while cash was still waiting, so the later ${spreadWeeks}-week buys happened at lower prices.`;
+    }
+    return "DCA wins: with this return, holding cash longer lost less than being fully invested.";
+  }
+
+  if (during) {
+    return `Lump sum still wins: the ${during.pct}% crash at year ${during.year} hit during the DCA window, but the extra time in the market outweighed the cheaper buys.`;
+  }
+  if (shocks.length > 0) {
+    return `Lump sum wins: the crash came after DCA was fully invested, so both took the same hit and the lump sum kept its head start.`;
+  }
+  return "Lump sum wins: with a positive return, every week spent in cash is missed growth.";
+}
+
+function buildLumpSumCaption(result, deps) {
+  const { escHtml, formatMoney } = deps;
+  const { lump, dca, params: p, spreadWeeks } = result;
+  const curr = p.currency || "usd";
+
+  const header = `<b>⚖️ Lump Sum vs DCA</b>`;
+  const line1 = escHtml(`Amount: ${formatMoney(result.amount, curr)} | Years: ${p.years} | Return: ${p.annualReturnPct}%`);
+
+  const perPeriod = dca.params.weeklyAmount;
+  const periodLabel = frequencyOf(p, deps.FREQUENCIES).unit;
+  const meta = [`DCA over ${spreadWeeks} weeks (${formatMoney(perPeriod, curr)}/${periodLabel})`];
+  if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
+  const shockLabel = describeShocks(p);
+  if (shockLabel) meta.push(shockLabel);
+  const line2 = escHtml(meta.join(" | "));
+
+  const stats = [
+    `💰 Lump sum: ${formatMoney(lump.finalValue, curr)} | Max drawdown ${lump.maxDrawdownPct.toFixed(1)}%`,
+    `🐢 DCA ${spreadWeeks}w: ${formatMoney(dca.finalValue, curr)} | Max drawdown ${dca.maxDrawdownPct.toFixed(1)}%`
+  ];
+  if (result.winner !== "tie") {
+    const name = result.winner === "lump" ? "Lump sum" : "DCA";
+    stats.push(`🏆 ${name} ahead by ${formatMoney(result.diff, curr)}`);
+  }
+  stats.push(`💡 ${explainLumpSumWinner(result)}`);
+
+  const assumptions = [
+    "🧾 Assumptions: same market path for both, uninvested cash earns nothing.",
+    "⚠️ Education only — not financial advice."
+  ];
+
+  return [header, line1, line2, "", escHtml(stats.join("\n")), "", escHtml(assumptions.join("\n"))].join("\n");
+}
+
+function buildStrategyCaption(result, deps) {
+  const { escHtml, formatMoney } = deps;
+  const { dca, va, params: p } = result;
+  const curr = p.currency || "usd";
+
+  const header = `<b>🎯 Value Averaging vs DCA</b>`;
+  const freqLabel = frequencyOf(p, deps.FREQUENCIES).label;
+  const line1 = escHtml(`${freqLabel}: ${formatMoney(p.weeklyAmount, curr)} | Years: ${p.years} | Return: ${p.annualReturnPct}%`);
+
+  const meta = [describeStrategy(p)];
+  if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
+  if (p.initialAmount > 0) meta.push(`Initial: ${formatMoney(p.initialAmount, curr)}`);
+  const shockLabel = describeShocks(p);
+  meta.push(shockLabel || "Shock: off");
+  const line2 = escHtml(meta.join(" | "));
+
+  const stats = [
+    `🐢 DCA: cash in ${formatMoney(dca.cashInvested, curr)} | final ${formatMoney(dca.finalValue, curr)} | largest ${formatMoney(dca.largestContribution, curr)}`,
+    `🎯 VA: cash in ${formatMoney(va.cashInvested, curr)} | final ${formatMoney(va.finalValue, curr)} | largest ${formatMoney(va.largestContribution, curr)}`
+  ];
+  if (va.cashWithdrawn > 0) stats.push(`💵 VA sold ${formatMoney(va.cashWithdrawn, curr)} above target along the way`);
+
+  const diffLabel = Math.abs(result.diff) < 1
+    ? "Same final value"
+    : `VA ends ${formatMoney(Math.abs(result.diff), curr)} ${result.diff > 0 ? "higher" : "lower"}`;
+  const cashLabel = Math.abs(result.extraCash) < 1
+    ? "with the same cash"
+    : `with ${formatMoney(Math.abs(result.extraCash), curr)} ${result.extraCash > 0 ? "more" : "less"} cash`;
+  stats.push(`📊 ${diffLabel} ${cashLabel}`);
+
+  const ratio = p.weeklyAmount > 0 ? va.largestContribution / p.weeklyAmount : 0;
+  if (ratio >= 2) {
+    stats.push(`💡 VA's biggest top-up is ${ratio.toFixed(1)}× the usual amount — that cash has to be on hand after a crash.`);
+  }
+
+  const assumptions = [
+    "🧾 Assumptions: VA target is the path DCA would follow at the expected return; same shock path for both; sales are taken as cash.",
+    "⚠️ Education only — not financial advice."
+  ];
+
+  return [header, line1, line2, "", escHtml(stats.join("\n")), "", escHtml(assumptions.join("\n"))].join("\n");
+}
+
+function buildCostReport(report, deps) {
+  const { escHtml, formatMoney } = deps;
+  const p = report.params;
+  const curr = p.currency || "usd";
+  const label = (key) => frequencyOf({ frequency: key }, deps.FREQUENCIES).label;
+
+  const header = `<b>🏦 Cost Efficiency</b>`;
+  const line1 = escHtml(`${formatMoney(report.yearlyAmount, curr)}/yr | Years: ${p.years} | Return: ${p.annualReturnPct}%`);
+  const line2 = escHtml(describeTradeCosts(p, formatMoney, curr) || "Per trade: free");
+
+  const ranked = [...report.rows].sort((a, b) => a.totalCost - b.totalCost);
+  const rows = ranked.map((row) => {
+    const marker = row.frequency === report.best ? "🥇" : row.frequency === report.current ? "👉" : "▫️";
+    return `${marker} ${label(row.frequency)}: ${formatMoney(row.amountPerTrade, curr)} × ${row.trades} | fees ${formatMoney(row.tradingCosts, curr)} | final ${formatMoney(row.finalValue, curr)}`;
+  });
+
+  const verdict = report.best === report.current
+    ? `✅ ${label(report.current)} is already your cheapest schedule.`
+    : `💡 Switching from ${label(report.current)} to ${label(report.best)} adds ${formatMoney(report.savings, curr)} to the final value.`;
+
+  const notes = [
+    "🧾 Assumes the money arrives evenly and each buy invests what built up since the last one.",
+    "Total cost = fees plus growth missed while cash waits, against the best fee-free schedule.",
+    "⚠️ Education only — not financial advice."
+  ];
+
+  return [header, line1, line2, "", escHtml(rows.join("\n")), "", escHtml(verdict), "", escHtml(notes.join("\n"))].join("\n");
+}
+
+// "10 months" below two years, "3.4 years" above.
+function formatDuration(years) {
+  const months = Math.round(years * 12);
+  if (months < 24) return `${months} month${months === 1 ? "" : "s"}`;
+  return `${Number(years.toFixed(1))} years`;
+}
+
+function formatGoalShockLine(shock) {
+  const plural = shock.count > 1;
+  const label = plural ? "The shocks" : "The shock";
+  if (shock.years === null) {
+    if (shock.baselineYears === null) return null;
+    return `⚡ ${label} keep${plural ? "" : "s"} you from ever reaching it; without ${plural ? "them" : "it"} you'd get there in ${formatDuration(shock.baselineYears)}.`;
+  }
+  if (shock.delayYears === null || shock.delayYears <= 0) return `⚡ ${label} ${plural ? "don't" : "doesn't"} delay the goal.`;
+  return `⚡ ${label} delay${plural ? "" : "s"} the goal by ${formatDuration(shock.delayYears)} (${formatDuration(shock.baselineYears)} → ${formatDuration(shock.years)}).`;
+}
+
+// Random-path odds for a solved goal; `odds.selected` is the confidence level the tip and button use.
+function formatGoalOddsLines(goal, formatMoney, frequency) {
+  const { odds } = goal;
+  const p = goal.params;
+  const curr = p.currency || "usd";
+  const { risk } = odds;
+  const lines = [
+    `🎲 ${odds.runs} random markets, ${risk.name} risk: ${risk.volatilityPct}% volatility, ${risk.crashPct}% crash ~${risk.crashesPerDecade}×/decade`,
+    `Chance of reaching it in ${p.years} years with ${formatMoney(p.weeklyAmount, curr)}/${frequency.noun}: ${Math.round(odds.probabilityPct)}%`
+  ];
+  odds.levels.forEach((level) => {
+    const marker = level.confidencePct === odds.selected ? "👉" : "▫️";
+    const amount = level.contribution === null ? "out of reach" : `${formatMoney(level.contribution, curr)}/${frequency.noun}`;
+    lines.push(`${marker} ${level.confidencePct}% sure: ${amount}`);
+  });
+  lines.push(`Random crashes replace the card's fixed shocks; the median market still earns ${p.annualReturnPct}%.`);
+  return lines;
+}
+
+function buildGoalMessage(goal, tipCmd, deps) {
+  const { escHtml, formatMoney } = deps;
+  const p = goal.params;
+  const curr = p.currency || "usd";
+  const frequency = frequencyOf(p, deps.FREQUENCIES);
+  const unknownOr = (key, text) => (goal.unknown === key ? "?" : text);
+
+  const header = `🎯 <b>Goal Calculator</b>`;
+  const target = `Target: <b>${escHtml(formatMoney(goal.target, curr))}</b>${goal.realMoney ? escHtml(" in today's money") : ""}`;
+  const line1 = escHtml(
+    `${frequency.label}: ${unknownOr("contribution", formatMoney(p.weeklyAmount, curr))} | ` +
+    `Years: ${unknownOr("years", p.years)} | Return: ${unknownOr("return", `${p.annualReturnPct}%`)}`
+  );
+
+  const meta = [];
+  if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
+  if (p.contributionTiming === "end") meta.push("Paid at period end");
+  const tradeCostLabel = describeTradeCosts(p, formatMoney, curr);
+  if (tradeCostLabel) meta.push(tradeCostLabel);
+  if (p.initialAmount > 0) meta.push(`Initial: ${formatMoney(p.initialAmount, curr)}`);
+  const raises = describeRaises(p);
+  if (raises) meta.push(`Raises: ${raises}`);
+  const shockLabel = describeShocks(p);
+  if (shockLabel) meta.push(shockLabel);
+  const recoveryLabel = describeRecovery(p, deps.RECOVERY_SHAPES);
+  if (recoveryLabel) meta.push(recoveryLabel);
+  const pauseLabel = describePause(p, frequency.unit, formatMoney, curr);
+  if (pauseLabel) meta.push(pauseLabel);
+  const fxLabel = p.assetCurrency !== curr ? describeFx(p) : null;
+  if (fxLabel) meta.push(fxLabel);
+  const leverageLabel = describeLeverage(p);
+  if (leverageLabel) meta.push(leverageLabel);
+  const marginLabel = describeMargin(p);
+  if (marginLabel) meta.push(marginLabel);
+
+  const result = [];
+  if (goal.solved === null) {
+    const limits = {
+      contribution: `even ${formatMoney(goal.limit, curr)}/${frequency.noun} only gets to`,
+      years: `after ${goal.limit} years you'd have`,
+      return: `even a ${goal.limit}% return only gets to`
+    };
+    result.push(`❌ Out of reach: ${limits[goal.unknown]} ${formatMoney(goal.finalValue, curr)}.`);
+  } else if (goal.unknown === "contribution") {
+    result.push(`You need to invest:`);
+    result.push(`💵 ${formatMoney(p.weeklyAmount, curr)}/${frequency.noun}`);
+    if (frequency.periodsPerYear !== 12) result.push(`💵 ${formatMoney((p.weeklyAmount * frequency.periodsPerYear) / 12, curr)}/month`);
+    if (raises) result.push(`📈 Rising ${raises} to ${formatMoney(goal.finalContribution, curr)}/${frequency.noun} in the final year`);
+  } else if (goal.unknown === "years") {
+    result.push(`You get there in:`);
+    result.push(`⏱️ ${p.years} year${p.years === 1 ? "" : "s"}`);
+  } else {
+    result.push(`You need a return of:`);
+    result.push(`📈 ${p.annualReturnPct}%/yr`);
+  }
+  if (goal.solved !== null && goal.shock) {
+    const shockLine = formatGoalShockLine(goal.shock);
+    if (shockLine) result.push(shockLine);
+  }
+
+  const lines = [header, "", target, line1];
+  if (meta.length) lines.push(escHtml(meta.join(" | ")));
+  lines.push("", escHtml(result.join("\n")));
+  if (goal.solved !== null && goal.odds) lines.push("", escHtml(formatGoalOddsLines(goal, formatMoney, frequency).join("\n")));
+  if (goal.solved !== null) lines.push("", `<i>${escHtml(`Tip: Try ${tipCmd} to simulate`)}</i>`);
+  return lines.join("\n");
+}
+
+// 950, 78k, 1.2M: short enough for a five-column table.
+function compactNumber(x) {
+  const n = Math.abs(x);
+  const sign = x < 0 ? "-" : "";
+  if (n >= 1e9) return `${sign}${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `${sign}${(n / 1e6).toFixed(n >= 1e8 ? 0 : 1)}M`;
+  if (n >= 1e3) return `${sign}${Math.round(n / 1e3)}k`;
+  return `${sign}${Math.round(n)}`;
+}
+
+function buildGridCaption(grid, deps) {
+  const { escHtml, GRID_AXES } = deps;
+  const xAxis = GRID_AXES[grid.xAxis];
+  const yAxis = GRID_AXES[grid.yAxis];
+  const curr = (grid.params.currency || "usd").toUpperCase();
+  const axisLabel = (axis, v) => `${v}${axis.unit}`;
+  const width = 7;
+
+  // Highest y on top, like the heatmap.
+  const header = `${yAxis.short}\\${xAxis.short}`.padEnd(width) + grid.xValues.map((v) => axisLabel(xAxis, v).padStart(width)).join("");
+  const rows = grid.yValues.map((y, row) => {
+    const cells = grid.cells[row].map((value, col) => {
+      const text = compactNumber(value);
+      return (row === grid.center.y && col === grid.center.x ? `[${text}]` : text).padStart(width);
+    });
+    return axisLabel(yAxis, y).padEnd(width) + cells.join("");
+  }).reverse();
+
+  const lines = [
+    `<b>${escHtml(`🔥 Sensitivity: ${xAxis.label} × ${yAxis.label}`)}</b>`,
+    escHtml(`Final value in ${curr}${grid.center.x >= 0 && grid.center.y >= 0 ? " · [ ] is your scenario" : ""}`),
+    "",
+    `<pre>${escHtml([header, ...rows].join("\n"))}</pre>`,
+    "",
+    escHtml(`📊 Range: ${compactNumber(grid.min)} → ${compactNumber(grid.max)}`),
+    escHtml("⚠️ Education only — not financial advice.")
+  ];
+  return lines.join("\n");
+}
+
+// 9876, 52.4k, 523k, 1.25M: keeps small early years readable in a narrow column.
+function tableNumber(x) {
+  const n = Math.abs(x);
+  const sign = x < 0 ? "-" : "";
+  if (n >= 1e9) return `${sign}${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `${sign}${(n / 1e6).toFixed(n >= 1e8 ? 0 : n >= 1e7 ? 1 : 2)}M`;
+  if (n >= 1e4) return `${sign}${(n / 1e3).toFixed(n >= 1e5 ? 0 : 1)}k`;
+  return `${sign}${Math.round(n)}`;
+}
+
+/**
+ * One page of the year-by-year breakdown as a <pre> table. `page` is zero-based and clamped;
+ * returns the HTML with the page actually shown and the page count for the navigation buttons.
+ */
+function buildYearlyTable(sim, page, pageRows, deps) {
+  const { escHtml, formatMoney } = deps;
+  const p = sim.params;
+  const curr = p.currency || "usd";
+  const rows = sim.yearly || [];
+  const pages = Math.max(1, Math.ceil(rows.length / pageRows));
+  const shown = Math.min(pages - 1, Math.max(0, Math.floor(Number(page) || 0)));
+
+  const widths = [4, 8, 8, 7, 8, 6, 8];
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join("");
+  const header = line(["Yr", "In", "Gain", "Fees", "Value", "DD%", "Real"]);
+  const body = rows.slice(shown * pageRows, (shown + 1) * pageRows).map((row) => line([
+    Number(row.year.toFixed(2)),
+    tableNumber(row.contributed),
+    `${row.gain > 0 ? "+" : ""}${tableNumber(row.gain)}`,
+    tableNumber(row.fees),
+    tableNumber(row.endValue),
+    row.drawdownPct.toFixed(1),
+    tableNumber(row.realValue)
+  ]));
+
+  const freq = frequencyOf(p, deps.FREQUENCIES);
+  const html = [
+    `<b>📋 Yearly table</b>${pages > 1 ? escHtml(` · page ${shown + 1}/${pages}`) : ""}`,
+    escHtml(`${freq.label}: ${formatMoney(p.weeklyAmount, curr)} | Years: ${p.years} | Return: ${p.annualReturnPct}%`),
+    "",
+    `<pre>${escHtml([header, ...body].join("\n"))}</pre>`,
+    "",
+    escHtml(`In = contributed to date, Gain = the year's growth after fees, Fees = fund fee plus trading costs, DD = below the peak at year end, Real = value in today's money (${p.inflationPct}% inflation). Amounts in ${curr.toUpperCase()}.`)
+  ];
+  // Everything the card may not have room for: full metrics, every feature line and the risk detail.
+  const details = [
+    ...(deps.computeMetrics ? [...formatMetricsLines(deps.computeMetrics(sim)), ...cardParts(sim, deps).extras] : []),
+    ...formatRiskDetailLines(sim, curr, formatMoney)
+  ];
+  // A text message holds MESSAGE_LIMIT characters; the last detail lines give way first.
+  while (details.length > 0 && [...html, "", escHtml(details.join("\n"))].join("\n").length > MESSAGE_LIMIT) details.pop();
+  if (details.length > 0) html.push("", escHtml(details.join("\n")));
+  return { html: html.join("\n"), page: shown, pages };
+}
+
+function buildRetirementCaption(result, safeRatePct, deps) {
+  const { escHtml, formatMoney } = deps;
+  const p = result.params;
+  const curr = p.currency || "usd";
+
+  const header = `<b>🏖️ Retirement Drawdown</b>`;
+  const line1 = escHtml(`Start: ${formatMoney(result.startBalance, curr)} | Years: ${p.years} | Return: ${p.annualReturnPct}%`);
+
+  const meta = [`Withdraw: ${formatMoney(result.annualWithdrawal, curr)}/yr (${result.withdrawalRatePct.toFixed(1)}%)`];
+  if (result.inflationIndexed) meta.push(`Indexed to ${p.inflationPct}% inflation`);
+  if (p.annualFeePct > 0) meta.push(`Fee: ${p.annualFeePct}%`);
+  const shockLabel = describeShocks(p);
+  if (shockLabel) meta.push(shockLabel);
+  const recoveryLabel = describeRecovery(p, deps.RECOVERY_SHAPES);
+  if (recoveryLabel) meta.push(recoveryLabel);
+  const line2 = escHtml(meta.join(" | "));
+
+  const stats = [];
+  if (result.survived) {
+    stats.push(`✅ Lasts all ${p.years} years, ending with ${formatMoney(result.finalValue, curr)}`);
+  } else {
+    stats.push(`❌ Money runs out in year ${Math.ceil(result.depletedYear)} (after ${result.depletedYear.toFixed(1)} years)`);
+  }
+  stats.push(`💸 Total withdrawn: ${formatMoney(result.withdrawn, curr)}`);
+  if (result.inflationIndexed) {
+    stats.push(`📈 Final-year spending: ${formatMoney(result.finalWithdrawal, curr)}/yr`);
+  }
+  stats.push(`🛡️ Safe withdrawal rate: ${safeRatePct.toFixed(1)}% (${formatMoney((result.startBalance * safeRatePct) / 100, curr)}/yr)`);
+  stats.push(`📉 Max drawdown: ${result.maxDrawdownPct.toFixed(1)}%`);
+
+  const keyYears = pickMilestoneYears(result.milestones);
+  if (keyYears.length > 0) {
+    const milestonesStr = keyYears
+      .map((y) => `Yr${y}: ${formatMoney(result.milestones[y], curr)}`)
+      .join(" → ");
+    stats.push(`📅 ${milestonesStr}`);
+  }
+
+  const assumptions = [
+    "🧾 Assumptions: withdrawals at the start of each period, constant return outside shocks, no taxes.",
     "⚠️ Education only — not financial advice."
   ];
 
@@ -182,5 +1060,16 @@ module.exports = {
   buildMixControlsKeyboard,
   keyboardFor,
   buildCaption,
-  buildScenarioSummary
+  buildBacktestCaption,
+  buildMonteCarloCaption,
+  buildLumpSumCaption,
+  buildStrategyCaption,
+  buildCostReport,
+  buildGoalMessage,
+  buildGridCaption,
+  buildYearlyTable,
+  buildRetirementCaption,
+  buildScenarioSummary,
+  formatMetricsSummary,
+  describeRaises
 };